@@ -5,6 +5,27 @@ import dotenv from 'dotenv';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { searchService } from './src/services/searchService.js';
+import { SearchBudget, dailyBudget } from './src/services/creditBudget.js';
+import { responseCache } from './src/utils/responseCache.js';
+import { fxRates, isSupportedCurrency } from './src/utils/fx.js';
+import { parseConditionFilter } from './src/utils/condition.js';
+import { resolveRankingMode } from './src/services/rankingService.js';
+import { parseQuery } from './src/search/query.js';
+import { parseResultView, viewResults } from './src/search/results.js';
+import { resolveNear } from './src/search/location.js';
+import { regionProfile } from './src/search/regions.js';
+import { resolveDeadline } from './src/search/deadline.js';
+import { searchSessions } from './src/services/searchSessionStore.js';
+import { imageAnalysis } from './src/services/imageAnalysisService.js';
+import { enrichment } from './src/services/enrichmentService.js';
+import { sourceHealth } from './src/services/sourceHealth.js';
+import { sourceRegistry } from './src/services/sourceRegistry.js';
+import { fetchBackends } from './src/services/fetchBackends.js';
+import { priceHistory } from './src/services/priceHistoryService.js';
+import { savedSearchService } from './src/services/savedSearchService.js';
+import { savedSearchesRouter } from './src/routes/savedSearches.js';
+import { alertService } from './src/services/alertService.js';
+import { alertsRouter } from './src/routes/alerts.js';
 
 dotenv.config();
 
@@ -26,7 +47,7 @@ const corsOptions = {
     );
     return cb(ok ? null : new Error(`CORS blocked for ${origin}`), ok);
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
   credentials: false,      // keep false since we allow multiple origins
   optionsSuccessStatus: 204,
@@ -70,6 +91,12 @@ app.get('/health', (_req, res) => {
       openai: !!process.env.OPENAI_API_KEY,
       scrapingbee: !!process.env.SCRAPINGBEE_API_KEY,
     },
+    cache: responseCache.stats(),
+    credits: dailyBudget.summary(),
+    images: imageAnalysis.stats(),
+    enrichment: enrichment.stats(),
+    sources: sourceHealth.stats(),
+    fetchBackends: fetchBackends.summary(sourceRegistry.ids()), // per-source chain in use
     ts: new Date().toISOString(),
   });
 });
@@ -85,32 +112,102 @@ app.get('/user-stats', (_req, res) => {
 });
 
 /* ---------- search ---------- */
+// ranked listings kept per search session for paging/sorting (GET /search/:searchId)
+const SESSION_MAX_RESULTS = Number(process.env.SEARCH_SESSION_MAX_RESULTS || 500);
+
+/** Parse sort/minPrice/maxPrice/maxDistance/sources/limit/cursor, or { error } for a 400. */
+function resultViewOrError(params) {
+  try {
+    return { view: parseResultView(params) };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/** 400 message for bad query syntax (search/query.js), `condition` filter, `rankingMode`, `near`/`radius` or `deadlineMs`, else null. */
+function searchInputError(searchTerm, condition, rankingMode, near, radius, location, deadlineMs) {
+  try {
+    const query = parseQuery(searchTerm, { requireText: true });
+    parseConditionFilter([condition, query.condition].flat().filter(Boolean).flatMap(t => String(t).split(',')));
+    resolveRankingMode(rankingMode);
+    resolveNear(near, radius, { region: regionProfile(location).code });
+    resolveDeadline(deadlineMs);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// location: UK | IE | US | FR | DE (search/regions.js); currency defaults to the region's
 app.post('/search', async (req, res) => {
   const start = Date.now();
   try {
-    const { search_term, location = 'UK', currency = 'GBP', sources, maxPages, ukOnly } = req.body || {};
+    const {
+      search_term, location = 'UK', currency = regionProfile(location).currency, sources, maxPages, ukOnly, condition, rankingMode, explain,
+      sort, minPrice, maxPrice, maxDistance, limit, hideHighRisk, soldComps, enrich,
+      near = req.body?.postcode, radius, deadlineMs,
+    } = req.body || {};
     if (!search_term || typeof search_term !== 'string' || !search_term.trim()) {
       return res.status(400).json({ error: 'Invalid search term' });
     }
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `Unsupported currency (use one of ${Object.keys(fxRates()).join(', ')})` });
+    }
+    const badInput = searchInputError(search_term, condition, rankingMode, near, radius, location, deadlineMs);
+    if (badInput) return res.status(400).json({ error: badInput });
+    const { view, error: badView } = resultViewOrError({ sort, minPrice, maxPrice, maxDistance, limit });
+    if (badView) return res.status(400).json({ error: badView });
 
     const clean = search_term.trim();
     log('info', 'Starting search', {
       origin: req.headers.origin,
       search_term: clean,
-      location, currency, sources, maxPages, ukOnly,
+      location, currency, sources, maxPages, ukOnly, condition, rankingMode, explain, sort, minPrice, maxPrice, limit,
+      hideHighRisk, soldComps, enrich, near, radius, deadlineMs,
     });
 
     userStats.totalSearches++;
-    const items = await searchService.performSearch(clean, location, currency, { sources, maxPages, ukOnly });
-    const enhancedQuery = searchService.getLastEnhancedQuery();
+    // capture this request's enhancement (getLastEnhancedQuery() is shared with scheduled runs)
+    let enhancedQuery = null;
+    let ranking = null;
+    let marketValue = null;
+    let sold = null;
+    let timedOut = [];
+    const onEvent = (type, data) => {
+      if (type === 'enhanced') enhancedQuery = data.enhancedQuery;
+      if (type === 'ranked') ranking = data;
+      if (type === 'market') marketValue = data.marketValue;
+      if (type === 'soldComps') sold = data.soldComps;
+      if (type === 'timedOut') timedOut = data.sources;
+    };
+    const budget = new SearchBudget();
+    const items = await searchService.performSearch(clean, location, currency, {
+      sources, maxPages, ukOnly, condition, rankingMode, onEvent, budget,
+      near, radiusMiles: radius, // UK postcode or town: distances and the collection radius
+      deadlineMs, // answer with what has arrived by then; slower sources are cancelled (timedOut)
+      explain: explain === true || explain === 'true', // per-item score breakdown for tuning weights
+      hideHighRisk: hideHighRisk === true || hideHighRisk === 'true',
+      soldComps: soldComps == null ? undefined : soldComps === true || soldComps === 'true', // eBay completed sales
+      enrich: enrich == null ? undefined : enrich === true || enrich === 'true', // item pages for the top results
+      maxResults: SESSION_MAX_RESULTS,
+    });
+    const cost = budget.summary();
+    const { searchId } = await searchSessions.create({ listings: items, searchTerm: clean, location, currency, enhancedQuery, ranking });
+    const page = viewResults(items, view, { searchId });
 
     log('info', 'Search completed', {
       resultsCount: items?.length || 0,
       processingTimeMs: Date.now() - start,
+      credits: cost.credits,
     });
 
     // IMPORTANT: return normalized fields including image/priceLabel/currency
-    return res.json({ listings: items, items, enhancedQuery });
+    // (priceAmount/priceLabel are in the requested currency; money/price/currency are as listed)
+    return res.json({
+      listings: page.items, items: page.items,
+      searchId, total: page.total, nextCursor: page.nextCursor,
+      enhancedQuery, ranking, marketValue, soldComps: sold, timedOut, cost,
+    });
   } catch (err) {
     log('error', 'Search failed', {
       message: err?.message,
@@ -125,6 +222,141 @@ app.post('/search', async (req, res) => {
   }
 });
 
+/* ---------- search (SSE stream) ---------- */
+// GET /search/stream?search_term=...&location=UK&sources=ebay,gumtree&maxPages=1&ukOnly=true&condition=used,good%2B&rankingMode=semantic&explain=true&sort=price_asc&limit=20&hideHighRisk=true&soldComps=true&enrich=false&near=LS6&radius=25&maxDistance=50&deadlineMs=8000
+// events: enhanced → batch (per source×term job) → timedOut { sources, deadlineMs } (when any were cancelled) → soldComps { soldComps } (when asked) → market { marketValue } → ranked { rankingMode, provider } → done (first page of the ranked, deduped snapshot + searchId) | error
+app.get('/search/stream', async (req, res) => {
+  const start = Date.now();
+  const {
+    search_term, location = 'UK', currency = regionProfile(location).currency, sources, maxPages, ukOnly, condition, rankingMode, explain,
+    sort, minPrice, maxPrice, maxDistance, limit, hideHighRisk, soldComps, enrich,
+    near = req.query?.postcode, radius, deadlineMs,
+  } = req.query || {};
+  if (!search_term || typeof search_term !== 'string' || !search_term.trim()) {
+    return res.status(400).json({ error: 'Invalid search term' });
+  }
+  if (!isSupportedCurrency(currency)) {
+    return res.status(400).json({ error: `Unsupported currency (use one of ${Object.keys(fxRates()).join(', ')})` });
+  }
+  const badInput = searchInputError(search_term, condition, rankingMode, near, radius, location, deadlineMs);
+  if (badInput) return res.status(400).json({ error: badInput });
+  const { view, error: badView } = resultViewOrError({ sort, minPrice, maxPrice, maxDistance, limit });
+  if (badView) return res.status(400).json({ error: badView });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop nginx/Render proxies buffering the stream
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const hangUp = new AbortController(); // stop fetching for a client that has gone
+  res.on('close', () => { closed = true; hangUp.abort(); });
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, 15000);
+
+  const clean = search_term.trim();
+  const sourceList = typeof sources === 'string' && sources.trim()
+    ? sources.split(',').map(s => s.trim()).filter(Boolean)
+    : undefined;
+  const opts = {
+    sources: sourceList,
+    maxPages: maxPages ? Number(maxPages) || 1 : undefined,
+    ukOnly: ukOnly === 'true' || ukOnly === '1',
+    condition: condition || undefined,
+    rankingMode: rankingMode || undefined,
+    explain: explain === 'true' || explain === '1',
+    hideHighRisk: hideHighRisk === 'true' || hideHighRisk === '1',
+    soldComps: soldComps == null ? undefined : soldComps === 'true' || soldComps === '1',
+    enrich: enrich == null ? undefined : enrich === 'true' || enrich === '1',
+    near: near || undefined,
+    radiusMiles: radius || undefined,
+    deadlineMs: deadlineMs || undefined,
+  };
+  log('info', 'Starting streamed search', { origin: req.headers.origin, search_term: clean, location, currency, ...opts });
+
+  try {
+    userStats.totalSearches++;
+    const budget = new SearchBudget();
+    let enhancedQuery = null;
+    let ranking = null;
+    const onEvent = (type, data) => {
+      if (type === 'enhanced') enhancedQuery = data.enhancedQuery;
+      if (type === 'ranked') ranking = data;
+      send(type, data);
+    };
+    const items = await searchService.performSearch(clean, location, currency, {
+      ...opts, onEvent, budget, signal: hangUp.signal, maxResults: SESSION_MAX_RESULTS,
+    });
+    const { searchId } = await searchSessions.create({ listings: items, searchTerm: clean, location, currency, enhancedQuery, ranking });
+    const page = viewResults(items, view, { searchId });
+    send('done', {
+      listings: page.items, items: page.items,
+      searchId, total: page.total, nextCursor: page.nextCursor,
+      cost: budget.summary(), tookMs: Date.now() - start,
+    });
+    log('info', 'Streamed search completed', { resultsCount: items?.length || 0, processingTimeMs: Date.now() - start, clientClosed: closed });
+  } catch (err) {
+    log('error', 'Streamed search failed', { message: err?.message, stack: err?.stack, tookMs: Date.now() - start });
+    send('error', { error: 'Search failed', message: err?.message || 'Internal error' });
+  } finally {
+    clearInterval(heartbeat);
+    if (!closed) res.end();
+  }
+});
+
+/* ---------- market value (price history per normalised query) ---------- */
+// GET /market-value?q=strymon+ob-1&location=UK&currency=GBP&days=90 (history is kept per region; currency defaults to the region's)
+app.get('/market-value', async (req, res, next) => {
+  try {
+    const { q, location = 'UK', currency = regionProfile(location).currency, days = '90' } = req.query || {};
+    if (!q || typeof q !== 'string' || !q.trim()) return res.status(400).json({ error: 'q is required' });
+    try {
+      parseQuery(q, { requireText: true });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `Unsupported currency (use one of ${Object.keys(fxRates()).join(', ')})` });
+    }
+    const n = Number(days);
+    if (!Number.isInteger(n) || n < 1 || n > 365) return res.status(400).json({ error: 'days must be a whole number from 1 to 365' });
+    return res.json(await priceHistory.marketValue(q, { currency: String(currency).toUpperCase(), region: regionProfile(location).code, days: n }));
+  } catch (e) { next(e); }
+});
+
+/* ---------- search sessions (paging / re-sorting without re-scraping) ---------- */
+// GET /search/:searchId?sort=price_asc&minPrice=50&maxPrice=150&maxDistance=30&sources=ebay,gumtree&limit=20&cursor=...
+app.get('/search/:searchId', async (req, res, next) => {
+  try {
+    const session = await searchSessions.get(req.params.searchId);
+    if (!session) return res.status(404).json({ error: 'Search session not found or expired' });
+    const { view, error: badView } = resultViewOrError(req.query || {});
+    if (badView) return res.status(400).json({ error: badView });
+
+    const page = viewResults(session.listings, view, { searchId: session.searchId });
+    return res.json({
+      listings: page.items, items: page.items,
+      searchId: session.searchId, total: page.total, nextCursor: page.nextCursor,
+      searchTerm: session.searchTerm, currency: session.currency, expiresAt: session.expiresAt,
+    });
+  } catch (e) {
+    if (e?.code === 'BAD_VIEW') return res.status(400).json({ error: e.message });
+    next(e);
+  }
+});
+
+/* ---------- saved searches ---------- */
+app.use('/saved-searches', savedSearchesRouter);
+
+/* ---------- price alerts ---------- */
+app.use('/alerts', alertsRouter);
+
 /* ---------- 404 ---------- */
 app.use((req, res) => {
   log('warn', 'Not found', { method: req.method, path: req.path });
@@ -142,11 +374,23 @@ app.use((err, req, res, _next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-process.on('unhandledRejection', (r) => console.error('UNHANDLED_REJECTION', r));
-process.on('uncaughtException', (e) => console.error('UNCAUGHT_EXCEPTION', e));
+export { app };
 
-app.listen(PORT, () => {
-  console.log(`🎯 Hunta Backend API on ${PORT}`);
-  console.log('🔍 POST /search');
-  console.log('🏥 GET  /health');
-});
+// tests import `app` and drive it with supertest; only a real start listens and runs the schedulers
+if (process.env.NODE_ENV !== 'test') {
+  process.on('unhandledRejection', (r) => console.error('UNHANDLED_REJECTION', r));
+  process.on('uncaughtException', (e) => console.error('UNCAUGHT_EXCEPTION', e));
+
+  app.listen(PORT, () => {
+    console.log(`🎯 Hunta Backend API on ${PORT}`);
+    console.log('🔍 POST /search');
+    console.log('📡 GET  /search/stream');
+    console.log('📄 GET  /search/:searchId');
+    console.log('📈 GET  /market-value');
+    console.log('💾 CRUD /saved-searches');
+    console.log('🔔 CRUD /alerts');
+    console.log('🏥 GET  /health');
+    if (process.env.SAVED_SEARCH_SCHEDULER !== 'false') savedSearchService.startScheduler();
+    if (process.env.ALERT_SCHEDULER !== 'false') alertService.startScheduler();
+  });
+}
@@ -1,22 +1,17 @@
-module.exports = {
+// src/config.js
+import { sourceRegistry } from './services/sourceRegistry.js';
+
+export const config = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 10000,
 
   // concurrency & limits
   maxConcurrency: Number(process.env.MAX_CONCURRENCY || 2),
   maxExpansions: Number(process.env.MAX_EXPANSIONS || 4),
-  maxRequestsPerSearch: Number(process.env.MAX_REQUESTS_PER_SEARCH || 12),
+  maxRequestsPerSearch: Number(process.env.MAX_REQUESTS_PER_SEARCH || 12), // enforced by SearchBudget
 
-  // default sources
-  sources: {
-    ebay: true,
-    gumtree: true,
-    facebook: true,
-    cashConverters: false,
-    vinted: false,
-    depop: false,
-    discogs: false,
-    googleShopping: false,
-    googleResults: false,
-  }
+  // default sources: one entry per adapter in src/sources/, toggled by ENABLE_<SOURCE>
+  get sources() {
+    return sourceRegistry.enabledMap();
+  },
 };
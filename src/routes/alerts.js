@@ -0,0 +1,61 @@
+// src/routes/alerts.js
+import express from 'express';
+import { alertService, validateAlert } from '../services/alertService.js';
+
+export const alertsRouter = express.Router();
+
+const notFound = (res) => res.status(404).json({ error: 'Alert not found' });
+
+alertsRouter.get('/', async (_req, res, next) => {
+  try {
+    res.json({ alerts: await alertService.list() });
+  } catch (e) { next(e); }
+});
+
+alertsRouter.post('/', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const problem = validateAlert(body);
+    if (problem) return res.status(400).json({ error: problem });
+    res.status(201).json(await alertService.create(body));
+  } catch (e) { next(e); }
+});
+
+alertsRouter.get('/:id', async (req, res, next) => {
+  try {
+    const alert = await alertService.get(req.params.id);
+    return alert ? res.json(alert) : notFound(res);
+  } catch (e) { next(e); }
+});
+
+alertsRouter.patch('/:id', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const problem = validateAlert(body, { partial: true });
+    if (problem) return res.status(400).json({ error: problem });
+    const alert = await alertService.update(req.params.id, body);
+    return alert ? res.json(alert) : notFound(res);
+  } catch (e) { next(e); }
+});
+
+alertsRouter.delete('/:id', async (req, res, next) => {
+  try {
+    return (await alertService.remove(req.params.id)) ? res.status(204).end() : notFound(res);
+  } catch (e) { next(e); }
+});
+
+// delivery log (every attempt, newest delivery first)
+alertsRouter.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const list = await alertService.deliveries(req.params.id);
+    return list ? res.json({ deliveries: list }) : notFound(res);
+  } catch (e) { next(e); }
+});
+
+// run now (outside the schedule)
+alertsRouter.post('/:id/run', async (req, res, next) => {
+  try {
+    const out = await alertService.run(req.params.id);
+    return out ? res.json(out) : notFound(res);
+  } catch (e) { next(e); }
+});
@@ -0,0 +1,68 @@
+// src/routes/savedSearches.js
+import express from 'express';
+import { savedSearchService, validateSavedSearch } from '../services/savedSearchService.js';
+
+export const savedSearchesRouter = express.Router();
+
+const notFound = (res) => res.status(404).json({ error: 'Saved search not found' });
+
+savedSearchesRouter.get('/', async (_req, res, next) => {
+  try {
+    res.json({ savedSearches: await savedSearchService.list() });
+  } catch (e) { next(e); }
+});
+
+savedSearchesRouter.post('/', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const problem = validateSavedSearch(body);
+    if (problem) return res.status(400).json({ error: problem });
+    res.status(201).json(await savedSearchService.create(body));
+  } catch (e) { next(e); }
+});
+
+savedSearchesRouter.get('/:id', async (req, res, next) => {
+  try {
+    const rec = await savedSearchService.get(req.params.id);
+    return rec ? res.json(rec) : notFound(res);
+  } catch (e) { next(e); }
+});
+
+savedSearchesRouter.patch('/:id', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const problem = validateSavedSearch(body, { partial: true });
+    if (problem) return res.status(400).json({ error: problem });
+    const rec = await savedSearchService.update(req.params.id, body);
+    return rec ? res.json(rec) : notFound(res);
+  } catch (e) { next(e); }
+});
+
+savedSearchesRouter.delete('/:id', async (req, res, next) => {
+  try {
+    return (await savedSearchService.remove(req.params.id)) ? res.status(204).end() : notFound(res);
+  } catch (e) { next(e); }
+});
+
+// listings first seen since the client last called POST /:id/seen
+savedSearchesRouter.get('/:id/new', async (req, res, next) => {
+  try {
+    const out = await savedSearchService.newSinceLastSeen(req.params.id);
+    return out ? res.json(out) : notFound(res);
+  } catch (e) { next(e); }
+});
+
+savedSearchesRouter.post('/:id/seen', async (req, res, next) => {
+  try {
+    const rec = await savedSearchService.markSeen(req.params.id);
+    return rec ? res.json(rec) : notFound(res);
+  } catch (e) { next(e); }
+});
+
+// run now (outside the schedule)
+savedSearchesRouter.post('/:id/run', async (req, res, next) => {
+  try {
+    const out = await savedSearchService.run(req.params.id);
+    return out ? res.json(out) : notFound(res);
+  } catch (e) { next(e); }
+});
@@ -0,0 +1,125 @@
+// src/search/cluster.js
+import { hammingDistance } from '../utils/imageHash.js';
+
+/**
+ * Cross-marketplace duplicates: the same item posted to eBay, Gumtree and Facebook
+ * survives uniqKey/URL dedupe because titles, prices and hosts differ slightly.
+ * clusterListings() folds such copies into one result carrying `alternates[]`.
+ *
+ * Two listings are copies when they come from different sources and
+ *   - their normalised titles are near-identical (Dice over word sets ≥ titleSimilarity,
+ *     or ≥ titleSimilarityWithImage when their images match), with the same
+ *     digit-bearing tokens ("iphone 13 128gb" never joins "iphone 13 256gb"),
+ *   - their prices (priceAmount, search currency) are within priceTolerance of each other,
+ *   - their image fingerprints don't disagree (imageHash Hamming distance, else the
+ *     image URL with size variants stripped).
+ * Each cluster keeps at most one listing per source. The cheapest copy becomes the
+ * result; the others are listed in `alternates`, cheapest first.
+ */
+
+const NUM = (v, d) => (Number.isFinite(Number(v)) && v !== '' && v != null ? Number(v) : d);
+
+export function clusterConfig(env = process.env) {
+  return {
+    enabled: env.CLUSTER_LISTINGS !== 'false',
+    titleSimilarity: NUM(env.CLUSTER_TITLE_SIMILARITY, 0.7),
+    titleSimilarityWithImage: NUM(env.CLUSTER_TITLE_SIMILARITY_WITH_IMAGE, 0.5),
+    priceTolerance: NUM(env.CLUSTER_PRICE_TOLERANCE, 0.1), // fraction of the higher price
+    imageHashDistance: NUM(env.CLUSTER_IMAGE_HASH_DISTANCE, 10), // bits of the 64-bit pHash (utils/imageHash.js)
+  };
+}
+
+/* ---------- titles ---------- */
+// words sellers add around the same item on different sites
+const FILLER = new Set([
+  'a', 'an', 'the', 'and', 'with', 'for', 'in', 'of', 'uk',
+  'free', 'postage', 'post', 'pp', 'delivery', 'collection', 'collect', 'only', 'fast', 'listing',
+]);
+
+export function titleTokens(title = '') {
+  return new Set(String(title).toLowerCase()
+    .replace(/\bp\s*&\s*p\b/g, ' ')
+    .replace(/&/g, ' ')
+    .replace(/(?<=[a-z0-9])[-.](?=[a-z0-9])/g, '') // "ob-1" / "ob.1" -> "ob1"
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(t => t && !FILLER.has(t)));
+}
+
+export function titleSimilarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+const digitTokens = (tokens) => [...tokens].filter(t => /\d/.test(t)).sort().join(' ');
+
+/* ---------- prices ---------- */
+export function pricesClose(a, b, tolerance) {
+  if (typeof a !== 'number' || typeof b !== 'number' || Number.isNaN(a) || Number.isNaN(b)) return false;
+  const hi = Math.max(a, b);
+  return hi === 0 || Math.abs(a - b) / hi <= tolerance;
+}
+
+/* ---------- images ---------- */
+/** eBay/Gumtree serve one photo at several sizes (s-l225 vs s-l500, ?w=300): compare the photo, not the size. */
+export function imageKey(url = '') {
+  try {
+    const u = new URL(url);
+    return `${u.hostname}${u.pathname}`.toLowerCase().replace(/s-l\d+(?=\.\w+$)/, 's-l').replace(/_\d+x\d+(?=\.\w+$)/, '');
+  } catch {
+    return '';
+  }
+}
+
+/** true = same photo, false = different photos, null = can't tell */
+export function imagesMatch(a, b, { imageHashDistance }) {
+  if (a.imageHash && b.imageHash) return hammingDistance(a.imageHash, b.imageHash) <= imageHashDistance;
+  const ka = imageKey(a.image), kb = imageKey(b.image);
+  if (ka && kb && ka === kb) return true;
+  return null;
+}
+
+/* ---------- clustering ---------- */
+function sameItem(a, b, cfg) {
+  if (a.listing.source === b.listing.source) return false;
+  if (a.digits !== b.digits) return false;
+  if (!pricesClose(a.listing.priceAmount, b.listing.priceAmount, cfg.priceTolerance)) return false;
+  const image = imagesMatch(a.listing, b.listing, cfg);
+  if (image === false) return false;
+  const need = image ? cfg.titleSimilarityWithImage : cfg.titleSimilarity;
+  return titleSimilarity(a.tokens, b.tokens) >= need;
+}
+
+const ALTERNATE_FIELDS = [
+  'title', 'source', 'link', 'url', 'image', 'price', 'priceAmount', 'priceCurrency', 'priceLabel',
+  'condition', 'location', 'distanceMiles', 'postedAt', 'imageHash',
+];
+const alternateOf = (r) => Object.fromEntries(ALTERNATE_FIELDS.filter(k => r[k] !== undefined).map(k => [k, r[k]]));
+const byPrice = (a, b) => (a.priceAmount ?? Infinity) - (b.priceAmount ?? Infinity);
+
+/**
+ * Greedy, order-preserving: each listing joins the first cluster whose seed it copies
+ * (and whose sources it doesn't repeat). Output keeps the position of each cluster's seed.
+ */
+export function clusterListings(listings, cfg = clusterConfig()) {
+  if (!cfg.enabled) return listings.map(r => ({ ...r, alternates: r.alternates || [] }));
+  const clusters = [];
+  for (const listing of listings) {
+    const tokens = titleTokens(listing.title);
+    const entry = { listing, tokens, digits: digitTokens(tokens) };
+    const home = clusters.find(c => !c.sources.has(listing.source) && sameItem(c.seed, entry, cfg));
+    if (home) {
+      home.members.push(listing);
+      home.sources.add(listing.source);
+    } else {
+      clusters.push({ seed: entry, members: [listing], sources: new Set([listing.source]) });
+    }
+  }
+  return clusters.map(({ members }) => {
+    if (members.length === 1) return { ...members[0], alternates: members[0].alternates || [] };
+    const [primary, ...rest] = members.slice().sort(byPrice);
+    return { ...primary, alternates: rest.map(alternateOf) };
+  });
+}
@@ -0,0 +1,51 @@
+// src/search/deadline.js
+
+/**
+ * Search deadlines: one AbortSignal per search, fired `deadlineMs` after it starts (or when
+ * the caller's own signal aborts, e.g. an SSE client hanging up). It travels through the
+ * source jobs into fetchHTML and axios, so sources still fetching are cancelled and the
+ * search carries on with whatever has arrived.
+ */
+export const MAX_DEADLINE_MS = 5 * 60 * 1000;
+const MIN_DEADLINE_MS = 100;
+
+const NUM = (v, d) => (Number.isFinite(Number(v)) && v !== '' && v != null ? Number(v) : d);
+
+export function deadlineConfig(env = process.env) {
+  return { deadlineMs: NUM(env.SEARCH_DEADLINE_MS, 0) || null }; // 0 = no deadline
+}
+
+/** Request option -> ms (SEARCH_DEADLINE_MS when blank; null = none); bad values throw BAD_DEADLINE. */
+export function resolveDeadline(deadlineMs) {
+  if (deadlineMs == null || String(deadlineMs).trim() === '') return deadlineConfig().deadlineMs;
+  const ms = Number(deadlineMs);
+  if (!Number.isFinite(ms) || ms < MIN_DEADLINE_MS || ms > MAX_DEADLINE_MS) {
+    const err = new Error(`deadlineMs must be between ${MIN_DEADLINE_MS} and ${MAX_DEADLINE_MS}`);
+    err.code = 'BAD_DEADLINE';
+    throw err;
+  }
+  return Math.round(ms);
+}
+
+/** The caller's signal and/or a `deadlineMs` timeout as one signal (null when there is neither). */
+export function searchSignal({ deadlineMs = null, signal = null } = {}) {
+  const signals = [signal, deadlineMs ? AbortSignal.timeout(deadlineMs) : null].filter(Boolean);
+  if (signals.length > 1) return AbortSignal.any(signals);
+  return signals[0] || null;
+}
+
+export const ABORTED = Symbol('aborted');
+
+/**
+ * `promise`, or ABORTED as soon as `signal` fires: the caller moves on at the deadline
+ * instead of waiting for work the signal is already cancelling (or that ignores it).
+ */
+export function orAbort(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.resolve(ABORTED);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => resolve(ABORTED);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
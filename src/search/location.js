@@ -0,0 +1,189 @@
+// src/search/location.js
+import { readFileSync } from 'node:fs';
+import { logger } from '../utils/logger.js';
+
+/**
+ * UK locations, offline: postcodes and town names geocoded against a centroid table
+ * (src/data/geo/uk-outcodes.json, or GEO_OUTCODES_FILE in the same shape):
+ *   { areas: { LS: [lat, lng] }, outcodes: { LS6: [...] }, places: { leeds: [...] } }
+ * A full postcode resolves to its outcode (there is no per-address data) and an unlisted
+ * outcode to its postcode area, so distances are approximate: good for "is this
+ * collection 10 or 200 miles away", not for door-to-door.
+ */
+export const MAX_RADIUS_MILES = 500;
+const EARTH_RADIUS_MILES = 3958.8;
+const NEAREST_OUTCODE_MILES = 10; // a town borrows the closest outcode within this for eBay's postcode search
+// precisions good enough to hold a listing to a radius (a postcode area's centroid can be 30+ miles out)
+const RADIUS_PRECISION = new Set(['outcode', 'place']);
+const DEFAULT_FILE = new URL('../data/geo/uk-outcodes.json', import.meta.url);
+
+function locationError(message) {
+  const err = new Error(message);
+  err.code = 'BAD_LOCATION';
+  return err;
+}
+
+export function loadGeoData(file = process.env.GEO_OUTCODES_FILE || DEFAULT_FILE) {
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    return { areas: data.areas || {}, outcodes: data.outcodes || {}, places: data.places || {} };
+  } catch (e) {
+    logger.warn(`⚠️ Geo data ${file} unreadable, location search disabled: ${e?.message || e}`);
+    return { areas: {}, outcodes: {}, places: {} };
+  }
+}
+
+let GEO = loadGeoData();
+
+/* ---------- parsing ---------- */
+const POSTCODE_RE = /^([A-Z]{1,2}\d[A-Z\d]?)(?:\s*(\d[A-Z]{2}))?$/;
+
+/** "ls62ab" -> { outcode: 'LS6', area: 'LS', postcode: 'LS6 2AB' }; outcode-only input has postcode null. */
+export function parsePostcode(text = '') {
+  const m = String(text || '').trim().toUpperCase().replace(/\s+/g, ' ').match(POSTCODE_RE);
+  if (!m) return null;
+  return { outcode: m[1], area: m[1].match(/^[A-Z]+/)[0], postcode: m[2] ? `${m[1]} ${m[2]}` : null };
+}
+
+const placeKey = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/^\s*(?:from|near|collection (?:from|in)|located in)\s+/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const titleCase = (s) => s.replace(/(^|[\s-])([a-z])/g, (_, sep, c) => sep + c.toUpperCase());
+
+const point = ([lat, lng], extra) => ({ lat, lng, ...extra });
+
+/* ---------- distance ---------- */
+const rad = (deg) => (deg * Math.PI) / 180;
+
+/** Great-circle distance in miles (1 dp) between two { lat, lng }; null when either is missing. */
+export function distanceMiles(a, b) {
+  if (!a || !b || ![a.lat, a.lng, b.lat, b.lng].every(Number.isFinite)) return null;
+  const dLat = rad(b.lat - a.lat), dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h))) * 10) / 10;
+}
+
+function nearest(table, at, maxMiles = Infinity) {
+  let best = null, bestMiles = maxMiles;
+  for (const [name, [lat, lng]] of Object.entries(table)) {
+    const d = distanceMiles(at, { lat, lng });
+    if (d != null && d <= bestMiles) { best = name; bestMiles = d; }
+  }
+  return best;
+}
+
+/* ---------- geocoding ---------- */
+/**
+ * A postcode, outcode or town name -> { lat, lng, label, postcode, outcode, precision }
+ * (precision: 'outcode' | 'area' | 'place'); null when it isn't in the table.
+ */
+export function geocode(text = '') {
+  const pc = parsePostcode(text);
+  if (pc) {
+    const hit = GEO.outcodes[pc.outcode] || GEO.areas[pc.area];
+    if (!hit) return null;
+    return point(hit, {
+      label: pc.postcode || pc.outcode,
+      postcode: pc.postcode,
+      outcode: pc.outcode,
+      precision: GEO.outcodes[pc.outcode] ? 'outcode' : 'area',
+    });
+  }
+  const key = placeKey(text);
+  const hit = GEO.places[key];
+  if (!hit) return null;
+  return point(hit, { label: titleCase(key), postcode: null, outcode: null, precision: 'place' });
+}
+
+/**
+ * Coordinates for a listing's locality text ("Hackney, London", "Leeds LS6", "from Bristol,
+ * United Kingdom"): the first comma-separated part, or trailing outcode, that geocodes.
+ * Country-only text ("from United Kingdom") gives null.
+ */
+export function localityCoords(text = '') {
+  const parts = String(text || '').split(/[,|/]| - /).map(s => s.trim()).filter(Boolean);
+  for (const part of parts) {
+    const hit = geocode(part) || geocode(part.split(/\s+/).pop());
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/**
+ * The search origin for `near` (postcode or town) and an optional radius in miles:
+ *   { query, label, lat, lng, postcode, outcode, town, precision, radiusMiles }
+ * `town` (nearest known place) and `outcode` (a town's closest outcode, if any is within
+ * 10 miles) let each source use its own location parameters. Null when `near` is blank;
+ * throws BAD_LOCATION for places we can't find, radii outside 1..MAX_RADIUS_MILES and
+ * searches outside the UK `region` (the table is UK-only).
+ */
+export function resolveNear(near, radiusMiles, { region = 'gb' } = {}) {
+  const blank = (v) => v == null || String(v).trim() === '';
+  if (blank(near)) {
+    if (!blank(radiusMiles)) throw locationError('radius needs a postcode or town to measure from');
+    return null;
+  }
+  if (region !== 'gb') throw locationError('near (postcode or town) is only supported for UK searches');
+  let radius = null;
+  if (!blank(radiusMiles)) {
+    radius = Number(radiusMiles);
+    if (!Number.isFinite(radius) || radius < 1 || radius > MAX_RADIUS_MILES) {
+      throw locationError(`radius must be between 1 and ${MAX_RADIUS_MILES} miles`);
+    }
+  }
+  const hit = geocode(near);
+  if (!hit) throw locationError(`Unknown UK postcode or town "${String(near).trim()}"`);
+  const town = nearest(GEO.places, hit);
+  return {
+    query: String(near).trim(),
+    ...hit,
+    outcode: hit.outcode || nearest(GEO.outcodes, hit, NEAREST_OUTCODE_MILES),
+    town: town ? titleCase(town) : null,
+    radiusMiles: radius,
+  };
+}
+
+/**
+ * Whether `near` filters listings by radius: one was asked for and the origin was placed
+ * by outcode or town. An origin only known by postcode area (an outcode missing from the
+ * table) still sorts by distance and passes the radius to the sources, but drops nothing.
+ */
+export function radiusApplies(near) {
+  return Boolean(near?.radiusMiles) && RADIUS_PRECISION.has(near.precision);
+}
+
+/* ---------- listings ---------- */
+/** Gumtree and Facebook are collection-first unless the listing says it posts. */
+const COLLECTION_FIRST = new Set(['gumtree', 'facebook']);
+
+export function isCollectionOnly(listing) {
+  if (typeof listing?.collectionOnly === 'boolean') return listing.collectionOnly;
+  return COLLECTION_FIRST.has(listing?.source);
+}
+
+/**
+ * Listings with `distanceMiles` from `near` (null when their locality can't be placed), and
+ * `distanceApprox: true` when either end is only placed by its postcode area.
+ */
+export function withDistance(listings, near) {
+  if (!near) return listings;
+  return listings.map((r) => {
+    const at = localityCoords(r.location);
+    const out = { ...r, distanceMiles: distanceMiles(near, at) };
+    if (at && !(RADIUS_PRECISION.has(at.precision) && RADIUS_PRECISION.has(near.precision))) out.distanceApprox = true;
+    return out;
+  });
+}
+
+/**
+ * Radius rule: only collection-only listings are held to it, and only when their distance
+ * is known to outcode/town precision (radiusApplies), so anything that posts, can't be
+ * placed or is only placed by postcode area stays.
+ */
+export function withinCollectionRadius(listing, near) {
+  if (!radiusApplies(near) || listing.distanceMiles == null || listing.distanceApprox) return true;
+  return listing.distanceMiles <= near.radiusMiles || !isCollectionOnly(listing);
+}
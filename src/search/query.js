@@ -0,0 +1,150 @@
+// src/search/query.js
+import { parseMoney, majorUnits } from '../utils/price.js';
+import { convertMinor } from '../utils/fx.js';
+
+/**
+ * Search syntax for `search_term`:
+ *   strymon ob-1           plain words (sent to scrapers, matched by precision)
+ *   "box only"             exact phrase, must appear in title/description
+ *   -faulty  -"box only"   exclusions
+ *   source:ebay,gumtree    restrict sources (-source:facebook drops one)
+ *   £50..£150  ..200  50.. price bounds; also min:50, max:£200, price:50..150
+ *   cond:used  cond:good+  condition filter (utils/condition.js terms)
+ * Unknown `key:value` tokens are kept as plain words.
+ *
+ * parseQuery() returns:
+ *   { raw, text, terms, phrases, exclude, sources, excludeSources,
+ *     price: { min, max, currency }|null,   // major units; currency null = the search currency
+ *     condition: string[]|null }
+ */
+
+const TOKEN_RE = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const AMOUNT_RE = /^(US\$|£|€|\$)?(\d+(?:\.\d{1,2})?)?$/i;
+const KEYS = {
+  source: 'source', sources: 'source', src: 'source',
+  min: 'min', max: 'max', price: 'price',
+  cond: 'condition', condition: 'condition',
+};
+
+function queryError(message) {
+  const err = new Error(message);
+  err.code = 'BAD_QUERY';
+  return err;
+}
+
+/** "£50" -> { amount: 50, currency: 'GBP' }; "" -> null */
+function parseAmount(s) {
+  const m = String(s || '').match(AMOUNT_RE);
+  if (!m) throw queryError(`Invalid price "${s}"`);
+  if (!m[2]) return null;
+  const currency = m[1] ? parseMoney(`${m[1]}1`).currency : null;
+  return { amount: Number(m[2]), currency };
+}
+
+/** "£50..£150", "..200", "50.." -> { min, max, currency }, or null when `s` is not a range */
+function parseRange(s) {
+  const i = s.indexOf('..');
+  if (i < 0) return null;
+  const lo = parseAmount(s.slice(0, i));
+  const hi = parseAmount(s.slice(i + 2));
+  if (!lo && !hi) throw queryError(`Invalid price range "${s}"`);
+  return { min: lo?.amount ?? null, max: hi?.amount ?? null, currency: lo?.currency || hi?.currency || null };
+}
+
+const looksLikeRange = (s) => /^(US\$|£|€|\$)?\d*(?:\.\d{1,2})?\.\.(US\$|£|€|\$)?\d*(?:\.\d{1,2})?$/i.test(s) && /\d/.test(s);
+
+export function parseQuery(input = '', { requireText = false } = {}) {
+  const raw = String(input ?? '').trim();
+  const q = {
+    raw, text: '', terms: [], phrases: [], exclude: [],
+    sources: null, excludeSources: [], price: null, condition: null,
+  };
+  const setPrice = (patch) => {
+    const price = { ...(q.price || { min: null, max: null, currency: null }) };
+    for (const [k, v] of Object.entries(patch)) if (v != null) price[k] = v;
+    q.price = price;
+  };
+
+  for (const m of raw.matchAll(TOKEN_RE)) {
+    const [whole, neg, rawKey, phrase, word] = m;
+    if (!whole.trim()) continue;
+    const key = rawKey ? KEYS[rawKey.toLowerCase()] : null;
+    const value = phrase ?? word ?? '';
+
+    if (key === 'source') {
+      const ids = value.split(',').map(s => s.trim()).filter(Boolean);
+      if (neg) q.excludeSources.push(...ids);
+      else q.sources = [...(q.sources || []), ...ids];
+    } else if (key === 'condition') {
+      q.condition = [...(q.condition || []), ...value.split(',').map(s => s.trim()).filter(Boolean)];
+    } else if (key === 'min' || key === 'max') {
+      const a = parseAmount(value);
+      if (a) setPrice({ [key]: a.amount, currency: a.currency });
+    } else if (key === 'price') {
+      const range = parseRange(value);
+      const exact = range ? null : parseAmount(value);
+      setPrice(range || (exact ? { min: exact.amount, max: exact.amount, currency: exact.currency } : {}));
+    } else {
+      // plain word / phrase (an unknown key stays part of the word)
+      const text = (rawKey && !key ? `${rawKey}:` : '') + value;
+      if (!neg && !phrase && looksLikeRange(text)) { setPrice(parseRange(text)); continue; }
+      const clean = text.replace(/\s+/g, ' ').trim();
+      if (!clean || /^[-–—]+$/.test(clean)) continue;
+      if (neg) q.exclude.push(clean.toLowerCase());
+      else if (phrase != null) q.phrases.push(clean.toLowerCase());
+      else q.terms.push(clean);
+    }
+  }
+
+  if (q.price?.min != null && q.price?.max != null && q.price.min > q.price.max) {
+    throw queryError(`Price range minimum (${q.price.min}) is above the maximum (${q.price.max})`);
+  }
+  q.text = [...q.terms, ...q.phrases].join(' ');
+  if (requireText && !q.text) throw queryError('Search term needs at least one word besides operators');
+  return q;
+}
+
+/* ---------- matching ---------- */
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Word-bounded, whitespace/hyphen tolerant matcher for a phrase or single word. */
+export function phraseRegex(phrase) {
+  const words = String(phrase).toLowerCase().split(/\s+/).filter(Boolean).map(escapeRe);
+  return new RegExp(`(?<![a-z0-9])${words.join('[\\s\\-.]+')}(?![a-z0-9])`, 'i');
+}
+
+/** Phrases all present and no exclusion present in title + description. */
+export function matchesPhrases(listing, q) {
+  if (!q || (!q.phrases.length && !q.exclude.length)) return true;
+  const hay = `${listing?.title || ''} ${listing?.description || ''}`;
+  if (q.exclude.some(x => phraseRegex(x).test(hay))) return false;
+  return q.phrases.every(p => phraseRegex(p).test(hay));
+}
+
+/**
+ * Price bounds in `currency` (major units). Bounds typed with another currency
+ * ("max:€200" in a GBP search) are converted with the offline FX table.
+ */
+export function priceBounds(q, currency) {
+  if (!q?.price) return null;
+  const from = q.price.currency || currency;
+  const conv = (v) => (v == null ? null : majorUnits(convertMinor(Math.round(v * 100), from, currency)));
+  return { min: conv(q.price.min), max: conv(q.price.max) };
+}
+
+/** `bounds` with the maximum lowered to `max` (a cap set outside the query); null `max` leaves them. */
+export function capBounds(bounds, max) {
+  const cap = max == null || max === '' ? NaN : Number(max);
+  if (!Number.isFinite(cap)) return bounds;
+  return { min: bounds?.min ?? null, max: bounds?.max != null ? Math.min(bounds.max, cap) : cap };
+}
+
+/** Listings without a comparable price never satisfy a price bound. */
+export function withinBounds(listing, bounds) {
+  if (!bounds) return true;
+  const amount = listing?.priceAmount;
+  if (typeof amount !== 'number' || Number.isNaN(amount)) return false;
+  if (bounds.min != null && amount < bounds.min) return false;
+  if (bounds.max != null && amount > bounds.max) return false;
+  return true;
+}
@@ -0,0 +1,89 @@
+// src/search/regions.js
+
+/**
+ * Region profiles: what a search's `location` means for each marketplace.
+ *   code       ScrapingBee country code, matched against adapters' `regions`
+ *   currency   what listings are expected to be priced in (and the default display currency)
+ *   domains    per-source marketplace host (without www.)
+ *   google     hl/gl for the Google sources
+ *   sources    adapters searched when none are requested (null = every adapter for the region)
+ *   tlds       hostname suffixes trusted by the region filter, alongside `hosts`
+ * Facebook, Discogs and Google are the same host everywhere: Facebook is trusted because
+ * ScrapingBee geo-targets it, the aggregators only when prices show the region's currency.
+ */
+const SHARED_HOSTS = ['facebook.com', 'm.facebook.com', 'l.facebook.com', 'discogs.com', 'google.com'];
+
+export const REGIONS = {
+  gb: {
+    code: 'gb',
+    name: 'United Kingdom',
+    aliases: ['uk', 'gb', 'united kingdom', 'great britain', 'england', 'scotland', 'wales', 'northern ireland'],
+    currency: 'GBP',
+    domains: { ebay: 'ebay.co.uk', vinted: 'vinted.co.uk' },
+    google: { hl: 'en-GB', gl: 'gb' },
+    sources: null,
+    tlds: ['.uk'],
+    hosts: ['ebay.co.uk', 'm.ebay.co.uk', 'gumtree.com', 'cashconverters.co.uk', 'vinted.co.uk', 'preloved.co.uk', 'onbuy.com', ...SHARED_HOSTS],
+  },
+  ie: {
+    code: 'ie',
+    name: 'Ireland',
+    aliases: ['ie', 'ireland', 'eire', 'éire', 'republic of ireland'],
+    currency: 'EUR',
+    domains: { ebay: 'ebay.ie' },
+    google: { hl: 'en-IE', gl: 'ie' },
+    sources: ['ebay', 'facebook', 'depop', 'discogs'],
+    tlds: ['.ie'],
+    hosts: ['ebay.ie', 'm.ebay.ie', 'adverts.ie', 'donedeal.ie', ...SHARED_HOSTS],
+  },
+  us: {
+    code: 'us',
+    name: 'United States',
+    aliases: ['us', 'usa', 'united states', 'united states of america', 'america'],
+    currency: 'USD',
+    domains: { ebay: 'ebay.com' },
+    google: { hl: 'en-US', gl: 'us' },
+    sources: ['ebay', 'facebook', 'depop', 'discogs', 'googleShopping'],
+    tlds: ['.us'],
+    hosts: ['ebay.com', 'm.ebay.com', 'depop.com', 'craigslist.org', 'offerup.com', 'mercari.com', ...SHARED_HOSTS],
+  },
+  fr: {
+    code: 'fr',
+    name: 'France',
+    aliases: ['fr', 'france'],
+    currency: 'EUR',
+    domains: { ebay: 'ebay.fr', vinted: 'vinted.fr' },
+    google: { hl: 'fr', gl: 'fr' },
+    sources: ['ebay', 'vinted', 'facebook', 'discogs'],
+    tlds: ['.fr'],
+    hosts: ['leboncoin.fr', ...SHARED_HOSTS],
+  },
+  de: {
+    code: 'de',
+    name: 'Germany',
+    aliases: ['de', 'germany', 'deutschland'],
+    currency: 'EUR',
+    domains: { ebay: 'ebay.de', vinted: 'vinted.de' },
+    google: { hl: 'de', gl: 'de' },
+    sources: ['ebay', 'vinted', 'facebook', 'discogs'],
+    tlds: ['.de'],
+    hosts: ['kleinanzeigen.de', ...SHARED_HOSTS],
+  },
+};
+
+const BY_ALIAS = new Map(Object.values(REGIONS).flatMap(r => r.aliases.map(a => [a, r])));
+
+/** The profile a `location` names ('UK', 'Ireland', 'us', ...); null for anything else. */
+export function resolveRegion(location = '') {
+  return BY_ALIAS.get(String(location || '').toLowerCase().replace(/\s+/g, ' ').trim()) || null;
+}
+
+/** resolveRegion, falling back to the UK profile (scrapers always need domains). */
+export function regionProfile(location = '') {
+  return resolveRegion(location) || REGIONS.gb;
+}
+
+/** Marketplace host for `source` in a region, falling back to the UK one. */
+export function domainFor(region, source) {
+  return region?.domains?.[source] || REGIONS.gb.domains[source];
+}
@@ -0,0 +1,120 @@
+// src/search/results.js
+import { createHash } from 'node:crypto';
+import { withinBounds } from './query.js';
+
+/**
+ * Views over a ranked result set held in a search session (services/searchSessionStore.js):
+ *   sort       relevance (ranked order) | price_asc | price_desc | newest | distance
+ *   minPrice   maxPrice   bounds on priceAmount (the search currency, major units)
+ *   maxDistance  miles from the search's `near` origin; listings without a distance never pass
+ *   sources    keep only these source ids (array or comma string)
+ *   limit      page size, 1..MAX_PAGE_SIZE
+ *   cursor     opaque `nextCursor` from the previous page
+ * A cursor only continues the view it came from; changing sort/filters starts again
+ * without one. Sessions hold the whole ranked set (performSearch with maxResults: null),
+ * so every view pages over all results, not just the default top MAX_RESULTS.
+ */
+export const SORTS = ['relevance', 'price_asc', 'price_desc', 'newest', 'distance'];
+export const DEFAULT_PAGE_SIZE = 40;
+export const MAX_PAGE_SIZE = 100;
+
+function viewError(message) {
+  const err = new Error(message);
+  err.code = 'BAD_VIEW';
+  return err;
+}
+
+const blank = (v) => v == null || String(v).trim() === '';
+
+function parsePrice(name, v) {
+  if (blank(v)) return null;
+  const n = Number(String(v).replace(/^[£€$]/, ''));
+  if (!Number.isFinite(n) || n < 0) throw viewError(`${name} must be a non-negative number`);
+  return n;
+}
+
+export function parseResultView({ sort, minPrice, maxPrice, maxDistance, sources, limit, cursor } = {}) {
+  const s = blank(sort) ? 'relevance' : String(sort).trim().toLowerCase();
+  if (!SORTS.includes(s)) throw viewError(`Unknown sort "${sort}" (use ${SORTS.join(', ')})`);
+
+  const min = parsePrice('minPrice', minPrice);
+  const max = parsePrice('maxPrice', maxPrice);
+  if (min != null && max != null && min > max) throw viewError(`minPrice (${min}) is above maxPrice (${max})`);
+
+  const miles = blank(maxDistance) ? null : Number(maxDistance);
+  if (miles != null && (!Number.isFinite(miles) || miles <= 0)) throw viewError('maxDistance must be a positive number of miles');
+
+  const size = blank(limit) ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    throw viewError(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  const ids = (Array.isArray(sources) ? sources : String(sources ?? '').split(','))
+    .map(x => String(x).trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    sort: s,
+    bounds: min != null || max != null ? { min, max } : null,
+    maxDistance: miles,
+    sources: ids.length ? ids : null,
+    limit: size,
+    cursor: blank(cursor) ? null : String(cursor),
+  };
+}
+
+/* ---------- cursors ---------- */
+function viewKey(searchId, { sort, bounds, maxDistance, sources }) {
+  return createHash('sha1')
+    .update(JSON.stringify([searchId, sort, bounds?.min ?? null, bounds?.max ?? null, maxDistance ?? null, sources || []]))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+const encodeCursor = (offset, key) => Buffer.from(JSON.stringify({ o: offset, k: key })).toString('base64url');
+
+function decodeCursor(cursor, key) {
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw viewError('Invalid cursor');
+  }
+  if (!Number.isInteger(c?.o) || c.o < 0) throw viewError('Invalid cursor');
+  if (c.k !== key) throw viewError('Cursor belongs to a different search, sort or filter');
+  return c.o;
+}
+
+/* ---------- sorting ---------- */
+const lastIfMissing = (a, b) => (a == null) - (b == null);
+const timeOf = (iso) => { const t = Date.parse(iso || ''); return Number.isNaN(t) ? null : t; };
+
+// Array#sort is stable, so ties keep the relevance order
+const COMPARE = {
+  relevance: null,
+  price_asc: (a, b) => lastIfMissing(a.priceAmount, b.priceAmount) || (a.priceAmount - b.priceAmount) || 0,
+  price_desc: (a, b) => lastIfMissing(a.priceAmount, b.priceAmount) || (b.priceAmount - a.priceAmount) || 0,
+  newest: (a, b) => {
+    const ta = timeOf(a.postedAt), tb = timeOf(b.postedAt);
+    return lastIfMissing(ta, tb) || (tb - ta) || 0;
+  },
+  distance: (a, b) => lastIfMissing(a.distanceMiles, b.distanceMiles) || (a.distanceMiles - b.distanceMiles) || 0,
+};
+
+/** One page of `listings` (already in relevance order) under `view`: { items, total, nextCursor }. */
+export function viewResults(listings, view, { searchId = '' } = {}) {
+  let out = listings;
+  if (view.sources) {
+    const allow = new Set(view.sources);
+    out = out.filter(r => allow.has(String(r.source || '').toLowerCase()));
+  }
+  if (view.bounds) out = out.filter(r => withinBounds(r, view.bounds));
+  if (view.maxDistance != null) out = out.filter(r => r.distanceMiles != null && r.distanceMiles <= view.maxDistance);
+  if (COMPARE[view.sort]) out = out.slice().sort(COMPARE[view.sort]);
+
+  const key = viewKey(searchId, view);
+  const offset = view.cursor ? decodeCursor(view.cursor, key) : 0;
+  const items = out.slice(offset, offset + view.limit);
+  const next = offset + items.length;
+  return { items, total: out.length, nextCursor: next < out.length ? encodeCursor(next, key) : null };
+}
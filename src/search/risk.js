@@ -0,0 +1,129 @@
+// src/search/risk.js
+/**
+ * Scam / risk scoring. Every result gets
+ *    risk: { score 0..1, level: 'low'|'medium'|'high', reasons: [{ code, message }] }
+ * from independent signals, each adding its weight (capped at 1):
+ *    price_far_below_median  high-value / scam-target searches (enhancer `flags`) where the
+ *                            price is under RISK_LOW_PRICE_RATIO × the result-set median
+ *    off_platform_contact    WhatsApp, bank transfer only, friends & family, phone/email...
+ *    new_seller              seller feedback under RISK_NEW_SELLER_FEEDBACK (eBay cards)
+ *    stock_photo             photo seen on several unrelated listings (imageAnalysisService)
+ *    location_mismatch       listing location names a different country than the search
+ * A `common_scam_target` search adds a little more once anything else fired.
+ */
+const NUM = (v, d) => (Number.isFinite(Number(v)) && v !== '' && v != null ? Number(v) : d);
+
+export function riskConfig(env = process.env) {
+  return {
+    lowPriceRatio: NUM(env.RISK_LOW_PRICE_RATIO, 0.5),
+    newSellerFeedback: NUM(env.RISK_NEW_SELLER_FEEDBACK, 5),
+    highThreshold: NUM(env.RISK_HIGH_THRESHOLD, 0.6),
+    mediumThreshold: NUM(env.RISK_MEDIUM_THRESHOLD, 0.3),
+  };
+}
+
+const WEIGHTS = {
+  price_far_below_median: 0.35,
+  off_platform_contact: 0.35,
+  new_seller: 0.2,
+  low_feedback: 0.1,
+  stock_photo: 0.25,
+  location_mismatch: 0.15,
+  scam_target: 0.1,
+};
+
+/* ---------- text signals ---------- */
+const OFF_PLATFORM = [
+  [/\bwhats\s?app\b|\bwa\.me\b/i, 'asks to move to WhatsApp'],
+  [/\btelegram\b|\bsignal app\b/i, 'asks to move to a messaging app'],
+  [/\b(?:text|call|ring|message)\s+(?:me\s+)?(?:on|at)\s*\+?\d/i, 'asks to be contacted by phone'],
+  [/(?<!\d)(?:\+44\s?7|07)\d{3}\s?\d{6}(?!\d)/, 'includes a phone number'],
+  [/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i, 'includes an email address'],
+  [/\b(?:e-?mail|contact)\s+me\s+(?:at|on)\b/i, 'asks to be contacted off-site'],
+  [/\b(?:bank\s+transfer|bacs)\s+only\b|\bonly\s+(?:accept\s+)?(?:bank\s+transfer|bacs)\b/i, 'wants a bank transfer only'],
+  [/friends?\s*(?:and|&|n)\s*family|\bpaypal\s+f\s*&\s*f\b|\bf&f\b/i, 'wants PayPal friends & family'],
+  [/\bgift\s*cards?\b|\bwestern\s+union\b|\bmoneygram\b|\bbitcoin\b|\bcrypto\b|\busdt\b/i, 'wants untraceable payment'],
+  [/\bno\s+(?:time\s*wasters?\s*,?\s*)?viewings?\b|\bcourier\s+only\b/i, 'refuses viewing/collection'],
+];
+
+/** Off-platform contact/payment phrases in title + description: the matching messages. */
+export function offPlatformSignals(listing) {
+  const hay = `${listing?.title || ''} ${listing?.description || ''}`;
+  return OFF_PLATFORM.filter(([re]) => re.test(hay)).map(([, msg]) => msg);
+}
+
+/* ---------- location ---------- */
+const COUNTRIES = [
+  ['gb', /\b(?:united kingdom|great britain|england|scotland|wales|northern ireland|uk|gb)\b/i],
+  ['ie', /\b(?:ireland|éire|eire)\b/i],
+  ['us', /\b(?:united states|usa|u\.s\.a?\.?)\b/i],
+  ['cn', /\bchina\b/i],
+  ['hk', /\bhong kong\b/i],
+  ['de', /\b(?:germany|deutschland)\b/i],
+  ['fr', /\bfrance\b/i],
+  ['nl', /\bnetherlands\b/i],
+  ['jp', /\bjapan\b/i],
+];
+
+/** Country code named in a location string; null for towns/postcodes we can't place. */
+export function locationCountry(text = '') {
+  const t = String(text || '');
+  // "Northern Ireland" is UK, not IE
+  if (/northern ireland/i.test(t)) return 'gb';
+  return COUNTRIES.find(([, re]) => re.test(t))?.[0] || null;
+}
+
+/* ---------- scoring ---------- */
+function median(nums) {
+  const a = nums.filter(n => typeof n === 'number' && !Number.isNaN(n) && n > 0).sort((x, y) => x - y);
+  return a.length ? a[Math.floor(a.length / 2)] : null;
+}
+
+const levelOf = (score, cfg) => (score >= cfg.highThreshold ? 'high' : score >= cfg.mediumThreshold ? 'medium' : 'low');
+
+/**
+ * Risk for one listing.
+ * ctx: { medianPrice, flags: enhancer flags, country: search country code, currency }
+ */
+export function scoreRisk(listing, { medianPrice = null, flags = {}, country = 'gb', currency = '' } = {}, cfg = riskConfig()) {
+  const reasons = [];
+  const add = (code, message) => reasons.push({ code, message });
+
+  const valuable = flags?.high_value_item || flags?.common_scam_target;
+  const price = listing?.priceAmount;
+  if (valuable && medianPrice && typeof price === 'number' && price > 0 && price < medianPrice * cfg.lowPriceRatio) {
+    const pct = Math.round((1 - price / medianPrice) * 100);
+    add('price_far_below_median', `${pct}% below the median ${currency ? `${currency} ` : ''}${medianPrice} for this search`);
+  }
+
+  const contact = offPlatformSignals(listing);
+  if (contact.length) add('off_platform_contact', contact.join('; '));
+
+  const seller = listing?.seller;
+  if (seller?.feedbackCount != null && seller.feedbackCount < cfg.newSellerFeedback) {
+    add('new_seller', `seller has ${seller.feedbackCount} feedback`);
+  } else if (seller?.positivePercent != null && seller.positivePercent < 95) {
+    add('low_feedback', `seller feedback is ${seller.positivePercent}% positive`);
+  }
+
+  if (listing?.imageReuse?.stockPhoto) {
+    add('stock_photo', `same photo seen on ${listing.imageReuse.count} unrelated listings`);
+  }
+
+  const where = locationCountry(listing?.location);
+  if (where && country && where !== country) add('location_mismatch', `listed from ${listing.location.replace(/^from\s+/i, '')}`);
+
+  if (reasons.length && flags?.common_scam_target) add('scam_target', 'item type is a common scam target');
+
+  const raw = reasons.reduce((n, r) => n + (WEIGHTS[r.code] ?? 0), 0);
+  const score = Math.round(Math.min(1, raw) * 100) / 100;
+  return { score, level: levelOf(score, cfg), reasons };
+}
+
+/** Adds `risk` to every listing; the price signal compares against this set's median. */
+export function assessRisk(listings, { flags = {}, country = 'gb', currency = '' } = {}, cfg = riskConfig()) {
+  const medianPrice = median(listings.map(r => r.priceAmount));
+  return listings.map(r => ({ ...r, risk: scoreRisk(r, { medianPrice, flags, country, currency }, cfg) }));
+}
+
+export const isHighRisk = (listing, cfg = riskConfig()) => (listing?.risk?.score ?? 0) >= cfg.highThreshold;
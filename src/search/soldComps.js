@@ -0,0 +1,48 @@
+// src/search/soldComps.js
+import { summarize } from '../services/priceHistoryService.js';
+
+/**
+ * Sold comparables: what matching items actually sold for (eBay completed sales), kept
+ * apart from the buyable results so they never show up as something to buy.
+ *   { count, currency, median, p25, p75, iqr, from, to,
+ *     lastSales: [{ title, price, priceAmount, soldAt, link, condition }] }   // newest first
+ * `listings` must already be deduped, priced in `currency` (priceAmount) and filtered
+ * like the results; unpriced sales are ignored.
+ */
+const NUM = (v, d) => (Number.isFinite(Number(v)) && v !== '' && v != null ? Number(v) : d);
+
+export function soldCompsConfig(env = process.env) {
+  return {
+    enabled: env.SOLD_COMPS === 'true',
+    lastN: NUM(env.SOLD_COMPS_LAST_N, 10),
+  };
+}
+
+const soldTime = (r) => {
+  const t = Date.parse(r.soldAt || '');
+  return Number.isNaN(t) ? -Infinity : t;
+};
+
+export function soldComps(listings = [], { currency = 'GBP', lastN = soldCompsConfig().lastN } = {}) {
+  const sales = listings.filter(r => typeof r.priceAmount === 'number' && r.priceAmount > 0);
+  const stats = summarize(sales.map(r => r.priceAmount));
+  const dated = sales.map(soldTime).filter(Number.isFinite);
+  return {
+    ...stats,
+    currency,
+    from: dated.length ? new Date(Math.min(...dated)).toISOString() : null,
+    to: dated.length ? new Date(Math.max(...dated)).toISOString() : null,
+    lastSales: sales
+      .slice()
+      .sort((a, b) => soldTime(b) - soldTime(a))
+      .slice(0, lastN)
+      .map(r => ({
+        title: r.title,
+        price: r.priceLabel || r.price || '',
+        priceAmount: r.priceAmount,
+        soldAt: r.soldAt || null,
+        link: r.link || r.url || '',
+        condition: r.condition?.label || null,
+      })),
+  };
+}
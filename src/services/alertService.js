@@ -0,0 +1,295 @@
+// src/services/alertService.js
+import { randomUUID } from 'node:crypto';
+import { searchService } from './searchService.js';
+import { deliverWebhook, webhookUrlProblem } from './webhookService.js';
+import { urlPathKey } from '../utils/dedupe.js';
+import { parseQuery } from '../search/query.js';
+import { convertMinor } from '../utils/fx.js';
+import { readJson, writeJsonAtomic } from '../utils/jsonFile.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_FILE = process.env.ALERTS_FILE || 'data/alerts.json';
+const MIN_INTERVAL_MINUTES = 15;
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MAX_DELIVERIES_KEPT = 200;
+const MAX_FIRED_KEYS = 5000;
+
+/** Alert targets are in GBP whatever the location; runs search in GBP too, so listings arrive converted. */
+const ALERT_CURRENCY = 'GBP';
+
+/** A result's price in GBP (major units), converting from its priceCurrency; null when unpriced or unconvertible. */
+function priceInGbp(r) {
+  if (typeof r?.priceAmount !== 'number' || Number.isNaN(r.priceAmount)) return null;
+  const minor = convertMinor(Math.round(r.priceAmount * 100), r.priceCurrency || ALERT_CURRENCY, ALERT_CURRENCY);
+  return minor == null ? null : minor / 100;
+}
+
+/** Listings from a run that satisfy the alert's price target (GBP). */
+export function matchingListings(alert, results = []) {
+  return results.filter((r) => {
+    const amount = priceInGbp(r);
+    return amount != null && amount <= alert.maxPrice;
+  });
+}
+
+/** Returns an error message, or null when `input` is a valid (partial, if `partial`) alert. */
+export function validateAlert(input = {}, { partial = false } = {}) {
+  if (!partial || 'query' in input) {
+    if (typeof input.query !== 'string' || !input.query.trim()) return 'query is required';
+    try { parseQuery(input.query, { requireText: true }); } catch (e) { return e.message; }
+  }
+  if (!partial || 'maxPrice' in input) {
+    const n = Number(input.maxPrice);
+    if (input.maxPrice == null || !Number.isFinite(n) || n <= 0) return 'maxPrice must be a positive number (GBP)';
+  }
+  if ('sources' in input && input.sources != null
+    && !(Array.isArray(input.sources) && input.sources.every(s => typeof s === 'string'))) {
+    return 'sources must be an array of source ids';
+  }
+  // a PATCH can't clear it: null would read as 0 and make the alert due on every tick
+  if ('intervalMinutes' in input && (partial || input.intervalMinutes != null)) {
+    const n = Number(input.intervalMinutes);
+    if (!Number.isFinite(n) || n < MIN_INTERVAL_MINUTES) return `intervalMinutes must be >= ${MIN_INTERVAL_MINUTES}`;
+  }
+  for (const k of ['ukOnly', 'paused']) {
+    if (k in input && input[k] != null && typeof input[k] !== 'boolean') return `${k} must be true or false`;
+  }
+  if ('webhookUrl' in input && input.webhookUrl != null) {
+    const problem = webhookUrlProblem(input.webhookUrl);
+    if (problem) return problem;
+  }
+  if ('webhookSecret' in input && input.webhookSecret != null
+    && (typeof input.webhookSecret !== 'string' || input.webhookSecret.length < 16)) {
+    return 'webhookSecret must be a string of at least 16 characters';
+  }
+  if (!partial && !input.webhookUrl && !process.env.ALERT_WEBHOOK_URL) {
+    return 'webhookUrl is required (no ALERT_WEBHOOK_URL configured)';
+  }
+  if (!partial && !input.webhookSecret && !process.env.ALERT_WEBHOOK_SECRET) {
+    return 'webhookSecret is required (no ALERT_WEBHOOK_SECRET configured)';
+  }
+  return null;
+}
+
+/**
+ * Price alerts persisted to a JSON file.
+ * A scheduled run searches the alert's query, keeps listings at or under `maxPrice` (GBP,
+ * listings in other currencies converted via utils/fx.js) whose URL has not fired before, and POSTs them in one webhook signed
+ * with the alert's `webhookSecret` or ALERT_WEBHOOK_SECRET. URLs are only marked as fired
+ * once a delivery succeeds, so a failed delivery is retried on the next run. A run requested
+ * while the same alert is already running (a manual run during a tick) joins that run.
+ */
+class AlertService {
+  constructor({
+    file = DEFAULT_FILE,
+    search = (...a) => searchService.performSearch(...a),
+    deliver = deliverWebhook,
+  } = {}) {
+    this.file = file;
+    this.search = search;
+    this.deliver = deliver;
+    this.data = null;           // { alerts: Map, deliveries: [] } (loaded lazily)
+    this.writing = Promise.resolve();
+    this.timer = null;
+    this.ticking = false;
+    this.running = new Map(); // id -> run() promise
+  }
+
+  async _load() {
+    if (this.data) return this.data;
+    const raw = await readJson(this.file, { alerts: [], deliveries: [] });
+    this.data = {
+      alerts: new Map((raw.alerts || []).map(a => [a.id, a])),
+      deliveries: raw.deliveries || [],
+    };
+    return this.data;
+  }
+
+  _persist() {
+    const snapshot = { alerts: Array.from(this.data.alerts.values()), deliveries: this.data.deliveries };
+    this.writing = this.writing
+      .then(() => writeJsonAtomic(this.file, snapshot))
+      .catch(e => logger.error(`❌ Saving ${this.file} failed: ${e?.message || e}`));
+    return this.writing;
+  }
+
+  _view(alert) {
+    if (!alert) return null;
+    const { firedKeys, webhookSecret, ...rest } = alert;
+    return { ...rest, currency: ALERT_CURRENCY, hasWebhookSecret: Boolean(webhookSecret), firedCount: firedKeys.length };
+  }
+
+  async list() {
+    const { alerts } = await this._load();
+    return Array.from(alerts.values()).map(a => this._view(a));
+  }
+
+  async get(id) {
+    const { alerts } = await this._load();
+    return this._view(alerts.get(id));
+  }
+
+  async create(input) {
+    const { alerts } = await this._load();
+    const now = new Date().toISOString();
+    const alert = {
+      id: randomUUID(),
+      query: input.query.trim(),
+      maxPrice: Number(input.maxPrice),
+      currency: ALERT_CURRENCY,
+      sources: input.sources ?? null,
+      ukOnly: input.ukOnly === true,
+      location: input.location || 'UK',
+      webhookUrl: input.webhookUrl || null,   // null -> ALERT_WEBHOOK_URL
+      webhookSecret: input.webhookSecret || null, // null -> ALERT_WEBHOOK_SECRET
+      intervalMinutes: input.intervalMinutes != null ? Number(input.intervalMinutes) : DEFAULT_INTERVAL_MINUTES,
+      paused: input.paused === true,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      nextRunAt: now,
+      lastError: null,
+      firedKeys: [],
+    };
+    alerts.set(alert.id, alert);
+    await this._persist();
+    return this._view(alert);
+  }
+
+  async update(id, patch) {
+    const { alerts } = await this._load();
+    const alert = alerts.get(id);
+    if (!alert) return null;
+    for (const k of ['location', 'sources', 'webhookUrl', 'webhookSecret']) if (k in patch) alert[k] = patch[k];
+    if ('ukOnly' in patch) alert.ukOnly = patch.ukOnly === true;
+    if ('paused' in patch) alert.paused = patch.paused === true;
+    if ('query' in patch) alert.query = String(patch.query).trim();
+    if (patch.maxPrice != null) alert.maxPrice = Number(patch.maxPrice);
+    if (patch.intervalMinutes != null) alert.intervalMinutes = Number(patch.intervalMinutes);
+    alert.updatedAt = new Date().toISOString();
+    await this._persist();
+    return this._view(alert);
+  }
+
+  async remove(id) {
+    const { alerts } = await this._load();
+    const existed = alerts.delete(id);
+    if (existed) await this._persist();
+    return existed;
+  }
+
+  async deliveries(id) {
+    const { alerts, deliveries } = await this._load();
+    if (!alerts.has(id)) return null;
+    return deliveries.filter(d => d.alertId === id).reverse();
+  }
+
+  /** Search once, fire a webhook for unseen matches, record the delivery. */
+  run(id) {
+    if (this.running.has(id)) return this.running.get(id);
+    const p = this._run(id).finally(() => this.running.delete(id));
+    this.running.set(id, p);
+    return p;
+  }
+
+  async _run(id) {
+    const { alerts, deliveries } = await this._load();
+    const alert = alerts.get(id);
+    if (!alert) return null;
+
+    const at = new Date().toISOString();
+    alert.lastRunAt = at;
+    alert.nextRunAt = new Date(Date.now() + alert.intervalMinutes * 60000).toISOString();
+
+    let results;
+    try {
+      results = await this.search(alert.query, alert.location, ALERT_CURRENCY, {
+        sources: alert.sources || undefined,
+        ukOnly: alert.ukOnly,
+        maxPrice: alert.maxPrice,
+        maxResults: null, // every match under the price, not just the top page
+        enrich: false,    // background runs don't spend credits on item pages
+      });
+      alert.lastError = null;
+    } catch (e) {
+      logger.warn(`⚠️ Alert ${id} search failed: ${e?.message || e}`);
+      alert.lastError = e?.message || String(e);
+      await this._persist();
+      return { alert: this._view(alert), matches: [], delivery: null };
+    }
+
+    const fired = new Set(alert.firedKeys);
+    const matches = matchingListings(alert, results).filter((r) => {
+      const key = urlPathKey(r.url || r.link);
+      return key && !fired.has(key);
+    });
+
+    let delivery = null;
+    if (matches.length) {
+      const url = alert.webhookUrl || process.env.ALERT_WEBHOOK_URL;
+      const payload = {
+        type: 'price_alert',
+        alert: { id: alert.id, query: alert.query, maxPrice: alert.maxPrice, currency: ALERT_CURRENCY },
+        listings: matches.map(({ title, price, priceAmount, priceLabel, currency, url: u, link, image, source, location }) => ({
+          title, price, priceAmount, priceLabel, currency, url: u || link, image, source, location,
+        })),
+        sentAt: new Date().toISOString(),
+      };
+      const result = await this.deliver(url, payload, { secret: alert.webhookSecret || undefined });
+      delivery = {
+        id: randomUUID(),
+        alertId: alert.id,
+        at,
+        listingUrls: payload.listings.map(l => l.url),
+        ...result,
+      };
+      deliveries.push(delivery);
+      this.data.deliveries = deliveries.slice(-MAX_DELIVERIES_KEPT);
+
+      if (result.ok) {
+        matches.forEach(r => fired.add(urlPathKey(r.url || r.link)));
+        alert.firedKeys = Array.from(fired).slice(-MAX_FIRED_KEYS);
+      } else {
+        alert.lastError = result.error
+          ? `Webhook not sent: ${result.error}`
+          : `Webhook delivery failed after ${result.attempts.length} attempt(s)`;
+      }
+      logger.info(`🔔 Alert "${alert.query}" ≤ ${alert.maxPrice} ${ALERT_CURRENCY}: ${matches.length} match(es), delivered=${result.ok}`);
+    }
+
+    await this._persist();
+    return { alert: this._view(alert), matches, delivery };
+  }
+
+  /** Run every due, unpaused alert one after another. */
+  async tick(now = Date.now()) {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      const { alerts } = await this._load();
+      const due = Array.from(alerts.values())
+        .filter(a => !a.paused && Date.parse(a.nextRunAt || 0) <= now)
+        .sort((a, b) => Date.parse(a.nextRunAt || 0) - Date.parse(b.nextRunAt || 0));
+      for (const a of due) await this.run(a.id);
+    } catch (e) {
+      logger.error(`❌ Alert tick failed: ${e?.message || e}`);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  startScheduler({ tickMs = Number(process.env.ALERT_TICK_MS || 60000) } = {}) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), tickMs);
+    this.timer.unref?.();
+    logger.info(`⏰ Alert scheduler every ${Math.round(tickMs / 1000)}s`);
+  }
+
+  stopScheduler() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export { AlertService };
+export const alertService = new AlertService();
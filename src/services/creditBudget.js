@@ -0,0 +1,181 @@
+// src/services/creditBudget.js
+import { readJson, writeJsonAtomic } from '../utils/jsonFile.js';
+import { logger } from '../utils/logger.js';
+
+const PER_SEARCH_CREDITS = Number(process.env.SEARCH_CREDIT_BUDGET || 500);
+const PER_SEARCH_REQUESTS = Number(process.env.MAX_REQUESTS_PER_SEARCH || 12);
+const DAILY_CREDITS = Number(process.env.SCRAPINGBEE_DAILY_CREDITS || 20000);
+const USAGE_FILE = process.env.CREDIT_USAGE_FILE ?? 'data/credit-usage.json'; // '' = in-memory only
+
+/**
+ * ScrapingBee credit cost of one API call:
+ *   plain 1 · render_js 5 · premium_proxy 10 · premium_proxy + render_js 25 · stealth_proxy 75
+ */
+export function creditCost({ render_js = false, premium_proxy = false, stealth_proxy = false } = {}) {
+  if (stealth_proxy) return 75;
+  if (premium_proxy) return render_js ? 25 : 10;
+  return render_js ? 5 : 1;
+}
+
+function budgetError(message) {
+  const err = new Error(message);
+  err.code = 'BUDGET_EXCEEDED';
+  return err;
+}
+
+const utcDay = (t = Date.now()) => new Date(t).toISOString().slice(0, 10);
+
+/** Global credits per UTC day, persisted so restarts don't reset the count. */
+class DailyBudget {
+  constructor({ limit = DAILY_CREDITS, file = USAGE_FILE } = {}) {
+    this.limit = limit;
+    this.file = file;
+    this.day = utcDay();
+    this.spent = 0;
+    this.saveTimer = null;
+    this.loaded = file
+      ? readJson(file, null)
+        .then((u) => { if (u?.day === this.day) this.spent += Number(u.spent) || 0; })
+        .catch(e => logger.warn(`⚠️ Credit usage load failed: ${e?.message || e}`))
+      : Promise.resolve();
+  }
+
+  _roll() {
+    const today = utcDay();
+    if (today !== this.day) { this.day = today; this.spent = 0; }
+  }
+
+  remaining() {
+    this._roll();
+    return Math.max(0, this.limit - this.spent);
+  }
+
+  spend(credits) {
+    this._roll();
+    this.spent += credits;
+    this._scheduleSave();
+  }
+
+  _scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      writeJsonAtomic(this.file, { day: this.day, spent: this.spent })
+        .catch(e => logger.warn(`⚠️ Credit usage save failed: ${e?.message || e}`));
+    }, 5000);
+    this.saveTimer.unref?.();
+  }
+
+  summary() {
+    return { day: this.day, spent: this.spent, limit: this.limit, remaining: this.remaining() };
+  }
+}
+
+export const dailyBudget = new DailyBudget();
+
+/**
+ * Credits and requests for one search. Fetches reserve their cost up front
+ * (so concurrent jobs can't overshoot) and refund it if ScrapingBee didn't bill the call.
+ */
+export class SearchBudget {
+  constructor({ maxCredits = PER_SEARCH_CREDITS, maxRequests = PER_SEARCH_REQUESTS, daily = dailyBudget } = {}) {
+    this.maxCredits = maxCredits;
+    this.maxRequests = maxRequests;
+    this.daily = daily;
+    this.spent = 0;
+    this.requests = 0;
+    this.bySource = {};
+    this.skippedJobs = 0;
+  }
+
+  _src(source) {
+    return (this.bySource[source] ||= { credits: 0, requests: 0, cacheHits: 0, skipped: 0, failedFetches: 0 });
+  }
+
+  get exhausted() {
+    return this.spent >= this.maxCredits || this.requests >= this.maxRequests || this.daily.remaining() <= 0;
+  }
+
+  /** Throws BUDGET_EXCEEDED if `credits` doesn't fit; otherwise books it against `source`. */
+  reserve(source, credits) {
+    if (this.requests + 1 > this.maxRequests) {
+      throw budgetError(`Search request budget used (${this.maxRequests} requests)`);
+    }
+    if (this.spent + credits > this.maxCredits) {
+      throw budgetError(`Search credit budget used (${this.spent}/${this.maxCredits} credits)`);
+    }
+    if (credits > this.daily.remaining()) {
+      throw budgetError(`Daily ScrapingBee budget used (${this.daily.limit} credits)`);
+    }
+    const s = this._src(source);
+    s.credits += credits;
+    s.requests += 1;
+    this.spent += credits;
+    this.requests += 1;
+    this.daily.spend(credits);
+  }
+
+  /** Undo a reserve() for a call ScrapingBee didn't bill: its credits and its request slot. */
+  refund(source, credits) {
+    const s = this._src(source);
+    s.credits -= credits;
+    s.requests -= 1;
+    this.spent -= credits;
+    this.requests -= 1;
+    this.daily.spend(-credits);
+  }
+
+  cacheHit(source) { this._src(source).cacheHits++; }
+
+  skip(source) {
+    this._src(source).skipped++;
+    this.skippedJobs++;
+  }
+
+  /**
+   * Scoped to one adapter so fetches don't need to know their source id. Each view counts
+   * its own failed fetches, so a search job can tell "nothing found" from "couldn't fetch".
+   */
+  forSource(source) {
+    const view = {
+      source,
+      failedFetches: 0,
+      reserve: (credits) => this.reserve(source, credits),
+      refund: (credits) => this.refund(source, credits),
+      cacheHit: () => this.cacheHit(source),
+      fetchFailed: () => {
+        view.failedFetches++;
+        this._src(source).failedFetches++;
+      },
+    };
+    return view;
+  }
+
+  summary() {
+    return {
+      credits: this.spent,
+      requests: this.requests,
+      limit: { credits: this.maxCredits, requests: this.maxRequests },
+      exhausted: this.exhausted,
+      skippedJobs: this.skippedJobs,
+      bySource: this.bySource,
+      daily: this.daily.summary(),
+    };
+  }
+}
+
+/**
+ * Run one billable ScrapingBee call under `budget` (a forSource() view, or null).
+ * ScrapingBee only bills 2xx and 404/410 responses, so anything else is refunded.
+ */
+export async function withCredits(budget, credits, call) {
+  if (!budget) return call();
+  budget.reserve(credits);
+  try {
+    return await call();
+  } catch (e) {
+    const status = e?.response?.status;
+    if (status !== 404 && status !== 410) budget.refund(credits);
+    throw e;
+  }
+}
@@ -0,0 +1,148 @@
+// src/services/enrichmentService.js
+import pLimit from 'p-limit';
+import { sourceRegistry } from './sourceRegistry.js';
+import { urlPathKey } from '../utils/dedupe.js';
+import { imageKey } from '../search/cluster.js';
+import { MemoryLRU } from '../utils/responseCache.js';
+import { logger } from '../utils/logger.js';
+
+const ENABLED = process.env.ENRICH_DETAILS !== 'false';
+const TOP_N = Number(process.env.ENRICH_TOP_N || 10);
+const MAX_FETCHES = Number(process.env.ENRICH_MAX_FETCHES || 10);
+const CONCURRENCY = Number(process.env.ENRICH_CONCURRENCY || 3);
+const DETAIL_TTL_MS = Number(process.env.ENRICH_CACHE_TTL_SECONDS || 6 * 60 * 60) * 1000;
+const FAIL_TTL_MS = 30 * 60 * 1000;
+const MAX_IMAGES = 12;
+
+const adapterFor = (listing) => {
+  const adapter = sourceRegistry.get(listing?.source);
+  return typeof adapter?.fetchDetail === 'function' ? adapter : null;
+};
+
+async function fetchFromAdapter(listing, { budget = null, signal = null, location = null } = {}) {
+  const adapter = adapterFor(listing);
+  return adapter.fetchDetail({ url: listing.link || listing.url, location, signal, budget: budget?.forSource(`${adapter.id}Detail`) ?? null });
+}
+
+const listingKey = (r) => urlPathKey(r?.link || r?.url) || r?.link || r?.url || '';
+
+/**
+ * Fold an item-page detail (scrapingService.parseDetailPage) into a listing. Card data
+ * wins where it is already set, except the description (cards mostly copy the title)
+ * and seller stats (the item page is fuller).
+ */
+export function applyDetail(listing, detail) {
+  if (!detail) return listing;
+  const out = { ...listing, enriched: true };
+  if (detail.description && detail.description.length > (listing.description || '').length) {
+    out.description = detail.description;
+  }
+  if (!listing.postedAt && detail.postedAt) out.postedAt = detail.postedAt;
+  if (detail.seller) {
+    const known = Object.fromEntries(Object.entries(detail.seller).filter(([, v]) => v != null));
+    out.seller = { name: null, feedbackCount: null, positivePercent: null, ...listing.seller, ...known };
+  }
+  if (detail.postage != null && listing.money && listing.money.postage == null) {
+    out.money = { ...listing.money, postage: detail.postage };
+  }
+  if (typeof detail.collectionOnly === 'boolean') out.collectionOnly = detail.collectionOnly;
+  // one entry per photo: the card's thumbnail and the page's copies differ only in size
+  const seen = new Set();
+  const images = [listing.image, ...(detail.images || [])]
+    .filter(u => u && !seen.has(imageKey(u) || u) && seen.add(imageKey(u) || u))
+    .slice(0, MAX_IMAGES);
+  if (images.length) {
+    out.images = images;
+    if (!listing.image) out.image = images[0];
+  }
+  return out;
+}
+
+/**
+ * Detail enrichment for the top of a ranked list: fetches each listing's item page
+ * through its source adapter's `fetchDetail` and merges it in (applyDetail).
+ * Details are cached by listing URL (ENRICH_CACHE_TTL_SECONDS; failures for 30 min), so
+ * repeat searches are free. Each search fetches at most ENRICH_MAX_FETCHES pages,
+ * charged to the search's credit budget as `<source>Detail`; past either limit (or while
+ * the source's circuit is open, or once `signal` aborts) the rest pass through untouched.
+ */
+export class EnrichmentService {
+  constructor({
+    enabled = ENABLED,
+    topN = TOP_N,
+    maxFetches = MAX_FETCHES,
+    concurrency = CONCURRENCY,
+    ttlMs = DETAIL_TTL_MS,
+    fetchDetail = fetchFromAdapter,
+    supports = (listing) => Boolean(adapterFor(listing)),
+  } = {}) {
+    this.enabled = enabled;
+    this.topN = topN;
+    this.maxFetches = maxFetches;
+    this.ttlMs = ttlMs;
+    this.fetchDetail = fetchDetail;
+    this.supports = supports;
+    this.limit = pLimit(concurrency);
+    this.details = new MemoryLRU({ maxEntries: 2000 }); // listing key -> detail ('' = failed)
+    this.inflight = new Map();
+    this.counters = { fetched: 0, cached: 0, failed: 0, skipped: 0 };
+  }
+
+  async _detail(listing, key, { budget, signal, location }) {
+    const p = this.limit(async () => {
+      try {
+        if (signal?.aborted) throw signal.reason;
+        const detail = await this.fetchDetail(listing, { budget, signal, location });
+        this.counters.fetched++;
+        await this.details.set(key, detail || '', detail ? this.ttlMs : FAIL_TTL_MS);
+        return detail || null;
+      } catch (e) {
+        if (e?.code === 'BUDGET_EXCEEDED' || e?.code === 'CIRCUIT_OPEN' || signal?.aborted) {
+          this.counters.skipped++;
+        } else {
+          this.counters.failed++;
+          await this.details.set(key, '', FAIL_TTL_MS);
+        }
+        return null;
+      }
+    });
+    this.inflight.set(key, p);
+    try {
+      return await p;
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  /** Enrich listings[0..topN) (keeping order); never throws. */
+  async enrich(listings = [], { budget = null, signal = null, location = null, topN = this.topN, maxFetches = this.maxFetches } = {}) {
+    if (!listings.length || topN <= 0) return listings;
+    const head = listings.slice(0, topN);
+    let fetches = 0;
+    const details = await Promise.all(head.map(async (r) => {
+      const key = listingKey(r);
+      if (!key || !this.supports(r)) return null;
+      const cached = await this.details.get(key);
+      if (cached !== undefined) {
+        this.counters.cached++;
+        return cached || null;
+      }
+      if (this.inflight.has(key)) return this.inflight.get(key);
+      if (fetches >= maxFetches || budget?.exhausted || signal?.aborted) {
+        this.counters.skipped++;
+        return null;
+      }
+      fetches++;
+      return this._detail(r, key, { budget, signal, location });
+    }));
+    const enriched = details.filter(Boolean).length;
+    logger.info(`🔍 Enriched ${enriched}/${head.length} top listings (${fetches} page fetch${fetches === 1 ? '' : 'es'})`);
+    return listings.map((r, i) => (i < head.length ? applyDetail(r, details[i]) : r));
+  }
+
+  stats() {
+    return { enabled: this.enabled, topN: this.topN, maxFetches: this.maxFetches, ...this.counters, cachedDetails: this.details.size };
+  }
+}
+
+export const enrichment = new EnrichmentService();
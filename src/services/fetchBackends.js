@@ -0,0 +1,234 @@
+// src/services/fetchBackends.js
+import axios from 'axios';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { join } from 'node:path';
+import { logger } from '../utils/logger.js';
+import { creditCost, withCredits } from './creditBudget.js';
+import { REGIONS } from '../search/regions.js';
+
+/**
+ * Fetch backends: how ScrapingService.fetchHTML gets a page.
+ *   scrapingBee  ScrapingBee API (JS rendering, premium proxies); billed in credits
+ *   direct       plain HTTP from this server, rotating browser User-Agents; free, no JS
+ *   proxy        a generic fetch-proxy URL, FETCH_PROXY_URL with {url} standing for the target
+ *                (e.g. https://proxy.internal/fetch?target={url}); no JS
+ *   headless     a local headless browser through Playwright (an optional dependency: available
+ *                only when the `playwright` package and its browser are installed); renders JS, free
+ *   fixture      saved pages under FETCH_FIXTURE_DIR (<host>/<sha1 of url>.html) for offline
+ *                development; FETCH_FIXTURE_RECORD=true saves what the other backends fetch
+ * Each source tries a chain in order, moving on when a backend errors or serves a block page:
+ * FETCH_BACKENDS_<SOURCE> (e.g. FETCH_BACKENDS_DISCOGS=direct,scrapingBee), else
+ * FETCH_BACKENDS, else scrapingBee. Backends that aren't configured (no API key, proxy URL,
+ * fixture dir or Playwright) drop out of the chain; a source with none left has nothing to fetch with.
+ *
+ * Backend contract: { id, available() => boolean, fetch(url, opts) => Promise<{ body, status }> }
+ * opts: { render_js, wait, premium_proxy, block_resources, forward_headers, timeout, signal,
+ *         countryCode, budget }; errors are axios-style (e.response.status when the site answered).
+ */
+const DEFAULT_CHAIN = 'scrapingBee';
+
+const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
+];
+
+/* ---------- direct HTTP ---------- */
+let uaTurn = 0;
+
+/** Browser-like headers: the next User-Agent in turn, Accept-Language from the region profile. */
+export function browserHeaders(countryCode = 'gb') {
+  const lang = REGIONS[countryCode]?.google.hl || 'en-GB';
+  return {
+    'User-Agent': USER_AGENTS[uaTurn++ % USER_AGENTS.length],
+    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': `${lang},${lang.split('-')[0]};q=0.9,en;q=0.5`,
+  };
+}
+
+async function httpGet(url, { timeout, signal, countryCode }) {
+  const res = await axios.get(url, {
+    headers: browserHeaders(countryCode),
+    timeout,
+    signal,
+    responseType: 'text',
+    maxRedirects: 5,
+  });
+  return { body: res.data, status: res.status };
+}
+
+export const directBackend = {
+  id: 'direct',
+  available: () => true,
+  fetch: (url, opts) => {
+    logger.info('🌐 Direct GET', { url });
+    return httpGet(url, opts);
+  },
+};
+
+export const proxyBackend = {
+  id: 'proxy',
+  available: () => /\{url\}/.test(process.env.FETCH_PROXY_URL || ''),
+  fetch: (url, opts) => {
+    const via = process.env.FETCH_PROXY_URL.replace('{url}', encodeURIComponent(url));
+    logger.info('🔀 Proxy GET', { url });
+    return httpGet(via, opts);
+  },
+};
+
+/* ---------- local headless browser (optional Playwright) ---------- */
+const HEADLESS_BROWSER = process.env.HEADLESS_BROWSER || 'chromium'; // chromium | firefox | webkit
+
+const playwrightInstalled = (() => {
+  try {
+    createRequire(import.meta.url).resolve('playwright');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+let browser = null; // one browser per process, launched on first use
+
+async function launchBrowser() {
+  browser ||= import('playwright')
+    .then(pw => pw[HEADLESS_BROWSER].launch({ headless: true }))
+    .catch((e) => { browser = null; throw e; });
+  return browser;
+}
+
+export const headlessBackend = {
+  id: 'headless',
+  available: () => playwrightInstalled,
+  fetch: async (url, { wait, timeout, signal, countryCode }) => {
+    signal?.throwIfAborted();
+    logger.info('🧭 Headless GET', { url, browser: HEADLESS_BROWSER });
+    const headers = browserHeaders(countryCode);
+    const context = await (await launchBrowser()).newContext({
+      userAgent: headers['User-Agent'],
+      locale: headers['Accept-Language'].split(',')[0],
+    });
+    const close = () => context.close().catch(() => {});
+    signal?.addEventListener('abort', close, { once: true });
+    try {
+      const page = await context.newPage();
+      const res = await page.goto(url, { timeout: timeout ?? undefined, waitUntil: 'domcontentloaded' });
+      if (wait) await page.waitForTimeout(wait);
+      const body = await page.content();
+      signal?.throwIfAborted();
+      const status = res?.status() ?? 200;
+      if (status >= 400) {
+        const err = new Error(`Headless GET ${url} answered ${status}`);
+        err.response = { status, data: body };
+        throw err;
+      }
+      return { body, status };
+    } finally {
+      signal?.removeEventListener('abort', close);
+      await close();
+    }
+  },
+  /** Close the shared browser (shutdown, tests). */
+  close: async () => {
+    const b = browser;
+    browser = null;
+    if (b) await (await b).close().catch(() => {});
+  },
+};
+
+/* ---------- ScrapingBee ---------- */
+const BEE_BASE = 'https://app.scrapingbee.com/api/v1/';
+
+export const scrapingBeeBackend = {
+  id: 'scrapingBee',
+  available: () => Boolean(process.env.SCRAPINGBEE_API_KEY),
+  fetch: (url, { render_js, wait, premium_proxy, block_resources, forward_headers, timeout, signal, countryCode, budget }) => {
+    const params = {
+      api_key: process.env.SCRAPINGBEE_API_KEY,
+      url,
+      render_js: render_js ? 'true' : 'false',
+      premium_proxy: premium_proxy ? 'true' : 'false',
+      block_resources: block_resources ? 'true' : 'false',
+      country_code: countryCode,
+      forward_headers: forward_headers ? 'true' : 'false',
+    };
+    if (wait) params.wait = String(wait);
+    return withCredits(budget, creditCost({ render_js, premium_proxy }), async () => {
+      logger.info('🐝 ScrapingBee GET', { url, params: { ...params, api_key: '***' } });
+      const res = await axios.get(BEE_BASE, { params, timeout, signal });
+      // the target's own status (a 403 behind ScrapingBee's 200) when ScrapingBee passes it on
+      return { body: res.data, status: Number(res.headers?.['spb-initial-status-code']) || res.status };
+    });
+  },
+};
+
+/* ---------- fixture directory ---------- */
+export const fixturePath = (dir, url) => {
+  let host = 'unknown';
+  try { host = new URL(url).hostname.toLowerCase(); } catch { /* keep 'unknown' */ }
+  return join(String(dir), host, `${createHash('sha1').update(url).digest('hex').slice(0, 16)}.html`);
+};
+
+export const fixtureBackend = {
+  id: 'fixture',
+  available: () => Boolean(process.env.FETCH_FIXTURE_DIR),
+  fetch: async (url) => {
+    const file = fixturePath(process.env.FETCH_FIXTURE_DIR, url);
+    try {
+      return { body: await readFile(file, 'utf8'), status: 200 };
+    } catch (e) {
+      if (e?.code !== 'ENOENT') throw e;
+      const err = new Error(`No fixture for ${url} (${file})`);
+      err.code = 'FIXTURE_MISSING';
+      throw err;
+    }
+  },
+  /** Save a page fetched by another backend when FETCH_FIXTURE_RECORD=true; never throws. */
+  record: async (url, body) => {
+    if (process.env.FETCH_FIXTURE_RECORD !== 'true' || !process.env.FETCH_FIXTURE_DIR) return;
+    const file = fixturePath(process.env.FETCH_FIXTURE_DIR, url);
+    try {
+      await mkdir(join(file, '..'), { recursive: true });
+      await writeFile(file, typeof body === 'string' ? body : JSON.stringify(body));
+    } catch (e) {
+      logger.warn(`⚠️ Fixture save failed for ${url}: ${e?.message || e}`);
+    }
+  },
+};
+
+/* ---------- chains ---------- */
+class FetchBackends {
+  constructor(backends = [scrapingBeeBackend, directBackend, proxyBackend, headlessBackend, fixtureBackend]) {
+    this.backends = new Map(backends.map(b => [b.id.toLowerCase(), b]));
+    this.warned = new Set();
+  }
+
+  /** Configured chain for `source` (ids as written, unknown ones dropped with a warning). */
+  configured(source) {
+    const raw = process.env[`FETCH_BACKENDS_${String(source).toUpperCase()}`] || process.env.FETCH_BACKENDS || DEFAULT_CHAIN;
+    return raw.split(',').map(s => s.trim()).filter(Boolean).flatMap((id) => {
+      const backend = this.backends.get(id.toLowerCase());
+      if (!backend && !this.warned.has(id)) {
+        this.warned.add(id);
+        logger.warn(`⚠️ Unknown fetch backend "${id}" (use ${[...this.backends.values()].map(b => b.id).join(', ')})`);
+      }
+      return backend ? [backend] : [];
+    });
+  }
+
+  /** The backends `source` will actually try, in order. */
+  chainFor(source) {
+    return this.configured(source).filter(b => b.available());
+  }
+
+  /** { ebay: ['direct', 'scrapingBee'], ... } for the given source ids (/health). */
+  summary(sources = []) {
+    return Object.fromEntries(sources.map(id => [id, this.chainFor(id).map(b => b.id)]));
+  }
+}
+
+export const fetchBackends = new FetchBackends();
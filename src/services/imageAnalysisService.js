@@ -0,0 +1,159 @@
+// src/services/imageAnalysisService.js
+import axios from 'axios';
+import pLimit from 'p-limit';
+import { scrapingService } from './scrapingService.js';
+import { hashImageBuffer } from '../utils/imageHash.js';
+import { urlPathKey } from '../utils/dedupe.js';
+import { MemoryLRU } from '../utils/responseCache.js';
+import { ABORTED, orAbort } from '../search/deadline.js';
+import { logger } from '../utils/logger.js';
+
+const ENABLED = process.env.IMAGE_ANALYSIS !== 'false';
+const CONCURRENCY = Number(process.env.IMAGE_DOWNLOAD_CONCURRENCY || 4);
+const MAX_PER_SEARCH = Number(process.env.IMAGE_HASH_MAX_PER_SEARCH || 60);
+const TIMEOUT_MS = Number(process.env.IMAGE_DOWNLOAD_TIMEOUT_MS || 5000);
+const MAX_BYTES = 3 * 1024 * 1024;
+const REUSE_THRESHOLD = Number(process.env.STOCK_PHOTO_MIN_LISTINGS || 3);
+const HASH_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAIL_TTL_MS = 30 * 60 * 1000;
+const MAX_GROUPS_PER_HASH = 50;
+const MAX_PHOTOS_TRACKED = Number(process.env.IMAGE_SIGHTINGS_MAX || 20000);
+
+async function downloadImage(url) {
+  const res = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: TIMEOUT_MS,
+    maxContentLength: MAX_BYTES,
+    headers: { Accept: 'image/jpeg,image/png;q=0.9,*/*;q=0.5' },
+  });
+  return Buffer.from(res.data);
+}
+
+const listingKey = (r) => urlPathKey(r?.link || r?.url) || r?.link || r?.url || '';
+
+/**
+ * Image analysis for listings. Two steps around cross-source clustering:
+ *   hashListings(listings)  before clustering: downloads each photo (eBay thumbnails
+ *                           upgraded first) and sets `imageHash` (16-hex pHash, or null)
+ *   flagReuse(results)      after clustering: records which listings used each hash and
+ *                           sets `imageReuse: { count, stockPhoto }`
+ * `count` is the number of unrelated listings seen with that exact photo in this process
+ * (all searches; a photo is forgotten after a week unseen, or when IMAGE_SIGHTINGS_MAX
+ * newer ones push it out). One seller's cross-posts arrive as one cluster and count once, so a
+ * photo on STOCK_PHOTO_MIN_LISTINGS+ unrelated listings is flagged as a stock/stolen photo.
+ * Downloads share one concurrency cap (IMAGE_DOWNLOAD_CONCURRENCY) across searches.
+ */
+export class ImageAnalysisService {
+  constructor({
+    enabled = ENABLED,
+    fetchImage = downloadImage,
+    concurrency = CONCURRENCY,
+    maxPerSearch = MAX_PER_SEARCH,
+    reuseThreshold = REUSE_THRESHOLD,
+    maxPhotos = MAX_PHOTOS_TRACKED,
+  } = {}) {
+    this.enabled = enabled;
+    this.fetchImage = fetchImage;
+    this.limit = pLimit(concurrency);
+    this.maxPerSearch = maxPerSearch;
+    this.reuseThreshold = reuseThreshold;
+    this.hashes = new MemoryLRU({ maxEntries: 5000 }); // image URL -> hash ('' = failed)
+    this.inflight = new Map();
+    this.sightings = new MemoryLRU({ maxEntries: maxPhotos }); // hash -> [Set(listing keys)], one set per unrelated listing
+    this.counters = { downloads: 0, failures: 0, cached: 0 };
+  }
+
+  /** pHash for an image URL (cached; failures are cached briefly and return null). */
+  async hashImage(url) {
+    const src = scrapingService.upgradeEbayImage(String(url || '').trim());
+    if (!/^https?:\/\//i.test(src)) return null;
+    const cached = await this.hashes.get(src);
+    if (cached !== undefined) {
+      this.counters.cached++;
+      return cached || null;
+    }
+    if (this.inflight.has(src)) return this.inflight.get(src);
+
+    const p = this.limit(async () => {
+      this.counters.downloads++;
+      let hash = '';
+      try {
+        hash = hashImageBuffer(await this.fetchImage(src));
+      } catch {
+        this.counters.failures++;
+      }
+      await this.hashes.set(src, hash, hash ? HASH_TTL_MS : FAIL_TTL_MS);
+      return hash || null;
+    });
+    this.inflight.set(src, p);
+    try {
+      return await p;
+    } finally {
+      this.inflight.delete(src);
+    }
+  }
+
+  /**
+   * Hash the first maxPerSearch listings' photos; the rest pass through untouched. Never throws.
+   * Nothing is hashed once `signal` has aborted, and an abort mid-way stops the wait: photos
+   * not hashed by then get a null hash (their downloads finish into the cache for next time).
+   */
+  async hashListings(listings = [], { signal } = {}) {
+    if (!this.enabled || !listings.length || signal?.aborted) return listings;
+    const head = listings.slice(0, this.maxPerSearch);
+    const hashes = await Promise.all(head.map(async (r) => {
+      if (!r.image) return null;
+      const hash = await orAbort(this.hashImage(r.image), signal);
+      return hash === ABORTED ? null : hash;
+    }));
+    const hashed = hashes.filter(Boolean).length;
+    logger.info(`🖼️ Hashed ${hashed}/${head.filter(r => r.image).length} images`);
+    return listings.map((r, i) => (i < head.length ? { ...r, imageHash: hashes[i] } : r));
+  }
+
+  /**
+   * Note that `keys` (one listing, or a cluster's copies) showed `hash`. Groups sharing
+   * a key merge, so seeing the same listing again doesn't inflate the count.
+   * Returns the number of unrelated listings now seen with the photo.
+   */
+  async recordSighting(hash, keys = []) {
+    const groups = (await this.sightings.get(hash)) || [];
+    const mine = new Set(keys.filter(Boolean));
+    const rest = [];
+    for (const g of groups) {
+      if ([...g].some(k => mine.has(k))) g.forEach(k => mine.add(k));
+      else rest.push(g);
+    }
+    if (mine.size && rest.length < MAX_GROUPS_PER_HASH) rest.push(mine);
+    await this.sightings.set(hash, rest, HASH_TTL_MS);
+    return rest.length;
+  }
+
+  async reuseOf(hash) {
+    const count = (await this.sightings.get(hash))?.length || 0;
+    return { count, stockPhoto: count >= this.reuseThreshold };
+  }
+
+  /** Record sightings for (clustered) results and attach imageReuse to those with a hash. */
+  async flagReuse(results = []) {
+    if (!this.enabled) return results;
+    for (const r of results) {
+      if (r.imageHash) await this.recordSighting(r.imageHash, [r, ...(r.alternates || [])].map(listingKey));
+    }
+    const out = await Promise.all(results.map(async r => (r.imageHash ? { ...r, imageReuse: await this.reuseOf(r.imageHash) } : r)));
+    const stock = out.filter(r => r.imageReuse?.stockPhoto).length;
+    if (stock) logger.info(`🖼️ ${stock} result(s) use a photo seen on ${this.reuseThreshold}+ unrelated listings`);
+    return out;
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      ...this.counters,
+      photos: this.sightings.size,
+      stockPhotos: this.sightings.values().filter(g => g.length >= this.reuseThreshold).length,
+    };
+  }
+}
+
+export const imageAnalysis = new ImageAnalysisService();
@@ -1,10 +1,19 @@
+import { createHash } from 'node:crypto';
 import OpenAI from 'openai';
 import { logger } from '../utils/logger.js';
+import { MemoryLRU } from '../utils/responseCache.js';
 
 const MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+const EMBED_BATCH = Number(process.env.EMBEDDING_BATCH_SIZE || 96);
+const EMBED_TTL_MS = 24 * 60 * 60 * 1000;
 const hasKey = !!(process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY.trim());
 const client = hasKey ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
 
+// listing titles repeat across searches, so embeddings are cached by model + text
+const embeddingCache = new MemoryLRU({ maxEntries: Number(process.env.EMBEDDING_CACHE_ENTRIES || 5000) });
+const embeddingKey = (text) => `${EMBEDDING_MODEL}:${createHash('sha1').update(text).digest('hex')}`;
+
 function stripCodeFences(s = '') {
   let out = s.trim();
   // ```json ... ``` or ``` ... ```
@@ -53,13 +62,15 @@ Guidelines:
 
 export const openaiService = {
   /**
-   * Enhance a search query via OpenAI. Falls back automatically on any error.
+   * Enhance a search query via OpenAI. Falls back automatically on any error, including
+   * `signal` aborting (the search's deadline) before or during the call.
    */
-  async enhanceSearchQuery(searchTerm) {
+  async enhanceSearchQuery(searchTerm, { signal } = {}) {
     if (!hasKey) {
       logger.info('🔄 OpenAI key missing — using fallback enhancement');
       return this.getFallbackEnhancement(searchTerm);
     }
+    if (signal?.aborted) return this.getFallbackEnhancement(searchTerm);
 
     try {
       logger.info(`🤖 Enhancing query via ${MODEL}: "${searchTerm}"`);
@@ -71,7 +82,7 @@ export const openaiService = {
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Enhance this search query: "${searchTerm}"` }
         ]
-      });
+      }, { signal });
 
       const content = res?.choices?.[0]?.message?.content?.trim();
       if (!content) throw new Error('Empty completion content');
@@ -115,6 +126,39 @@ export const openaiService = {
     }
   },
 
+  /**
+   * Embedding vectors for `texts` (same order), or null when no key is configured.
+   * Cached texts are reused; the rest go to the API in batches of EMBED_BATCH.
+   * Throws if `signal` aborts while batches are outstanding.
+   */
+  async embedTexts(texts = [], { signal } = {}) {
+    if (!hasKey) return null;
+    const out = new Array(texts.length).fill(null);
+    const pending = new Map(); // text -> indexes still needing a vector
+    for (let i = 0; i < texts.length; i++) {
+      const text = String(texts[i] || ' ');
+      const hit = await embeddingCache.get(embeddingKey(text));
+      if (hit) out[i] = hit;
+      else pending.set(text, [...(pending.get(text) || []), i]);
+    }
+
+    const uncached = Array.from(pending.keys());
+    for (let b = 0; b < uncached.length; b += EMBED_BATCH) {
+      const batch = uncached.slice(b, b + EMBED_BATCH);
+      signal?.throwIfAborted();
+      const res = await client.embeddings.create({ model: EMBEDDING_MODEL, input: batch }, { signal });
+      res.data.forEach((d, j) => {
+        const text = batch[d.index ?? j];
+        for (const i of pending.get(text)) out[i] = d.embedding;
+        embeddingCache.set(embeddingKey(text), d.embedding, EMBED_TTL_MS);
+      });
+    }
+    if (uncached.length) {
+      logger.info(`🧠 Embedded ${uncached.length} text(s) via ${EMBEDDING_MODEL} (${texts.length - uncached.length} cached)`);
+    }
+    return out;
+  },
+
   /**
    * Deterministic fallback expansion without OpenAI.
    */
@@ -0,0 +1,210 @@
+// src/services/priceHistoryService.js
+import { readJson, writeJsonAtomic } from '../utils/jsonFile.js';
+import { convertMinor } from '../utils/fx.js';
+import { majorUnits } from '../utils/price.js';
+import { parseQuery } from '../search/query.js';
+import { logger } from '../utils/logger.js';
+
+const HISTORY_FILE = process.env.PRICE_HISTORY_FILE ?? 'data/price-history.json'; // '' = in-memory only
+const RETENTION_DAYS = Number(process.env.PRICE_HISTORY_RETENTION_DAYS || 180);
+const MIN_SAMPLES = Number(process.env.MARKET_VALUE_MIN_SAMPLES || 5);
+const MAX_LISTINGS_PER_QUERY = 2000;
+const MAX_POINTS_PER_LISTING = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASE = 'GBP'; // prices are stored in GBP and converted on the way out
+export const TREND_WINDOWS = [7, 30, 90];
+
+/**
+ * Query identity for history: the free text only (operators dropped), lower-cased,
+ * model separators folded ("OB-1" = "ob1") and word order ignored.
+ */
+export function normalizeQueryKey(input = '') {
+  let text;
+  try { text = parseQuery(input).text; } catch { text = String(input || ''); }
+  const words = text.toLowerCase()
+    .replace(/(?<=[a-z0-9])[-.](?=[a-z0-9])/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  return Array.from(new Set(words)).sort().join(' ');
+}
+
+/**
+ * History key: the region code (search/regions.js) before the query key, so a UK and a
+ * US search for the same thing keep separate markets ("gb:ob1 strymon"). '' when the query has no words.
+ */
+export function historyKey(input = '', region = 'gb') {
+  const key = normalizeQueryKey(input);
+  return key ? `${String(region || 'gb').toLowerCase()}:${key}` : '';
+}
+
+/* ---------- stats ---------- */
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+const round2 = (n) => (n == null ? null : Math.round(n * 100) / 100);
+
+/** { count, median, p25, p75, iqr } over prices (any order). */
+export function summarize(prices) {
+  const s = prices.filter(n => typeof n === 'number' && Number.isFinite(n)).sort((a, b) => a - b);
+  if (!s.length) return { count: 0, median: null, p25: null, p75: null, iqr: null };
+  const p25 = quantile(s, 0.25), p75 = quantile(s, 0.75);
+  return { count: s.length, median: round2(quantile(s, 0.5)), p25: round2(p25), p75: round2(p75), iqr: round2(p75 - p25) };
+}
+
+/**
+ * Deal score of `price` against a baseline { median, iqr }: 0.5 at the median, rising
+ * towards 1 as it drops below (scaled by the IQR, at least 10% of the median).
+ *   label: great (≤ p25) · good (≤ median) · fair (≤ p75) · high
+ */
+export function dealScore(price, baseline) {
+  if (typeof price !== 'number' || !baseline?.median) return null;
+  const spread = Math.max(baseline.iqr || 0, baseline.median * 0.1);
+  const score = Math.max(0, Math.min(1, 0.5 + (baseline.median - price) / (2 * spread)));
+  const label = price <= baseline.p25 ? 'great' : price <= baseline.median ? 'good' : price <= baseline.p75 ? 'fair' : 'high';
+  return {
+    score: Math.round(score * 100) / 100,
+    label,
+    vsMedianPct: Math.round(((price - baseline.median) / baseline.median) * 100),
+  };
+}
+
+const toBase = (amount, currency) => majorUnits(convertMinor(Math.round(amount * 100), currency, BASE));
+const fromBase = (amount, currency) => (amount == null ? null : majorUnits(convertMinor(Math.round(amount * 100), BASE, currency)));
+
+/**
+ * Observed prices per region and normalised query over time, persisted to PRICE_HISTORY_FILE:
+ *   { queries: { [historyKey]: { listings: { [listingKey]: [[epochMs, priceGBP], ...] } } } }
+ * Keys saved before regions were tracked (no "<region>:" prefix) load as UK history.
+ * One point per listing per UTC day (the latest wins). Stats use each listing's latest
+ * price inside the window, so a listing seen in every search counts once.
+ */
+export class PriceHistoryService {
+  constructor({ file = HISTORY_FILE, retentionDays = RETENTION_DAYS, minSamples = MIN_SAMPLES } = {}) {
+    this.file = file;
+    this.retentionMs = retentionDays * DAY_MS;
+    this.minSamples = minSamples;
+    this.queries = new Map(); // key -> Map(listingKey -> [[t, p], ...])
+    this.saveTimer = null;
+    this.loaded = file
+      ? readJson(file, { queries: {} })
+        .then((data) => {
+          for (const [key, q] of Object.entries(data?.queries || {})) {
+            this.queries.set(key.includes(':') ? key : `gb:${key}`, new Map(Object.entries(q.listings || {})));
+          }
+        })
+        .catch(e => logger.warn(`⚠️ Price history load failed: ${e?.message || e}`))
+      : Promise.resolve();
+  }
+
+  /**
+   * Record listings' current prices for a query in a region. `listings` carry priceAmount
+   * in `currency` (major units) and a stable `key`.
+   */
+  async record(query, listings = [], { currency = BASE, region = 'gb', now = Date.now() } = {}) {
+    await this.loaded;
+    const key = historyKey(query, region);
+    if (!key) return 0;
+    const byListing = this.queries.get(key) || new Map();
+    const day = Math.floor(now / DAY_MS);
+    let recorded = 0;
+    for (const { key: listingKey, priceAmount } of listings) {
+      if (!listingKey || typeof priceAmount !== 'number' || !(priceAmount > 0)) continue;
+      const price = toBase(priceAmount, currency);
+      if (price == null) continue;
+      const points = byListing.get(listingKey) || [];
+      const last = points[points.length - 1];
+      if (last && Math.floor(last[0] / DAY_MS) === day) points[points.length - 1] = [now, price];
+      else points.push([now, price]);
+      byListing.set(listingKey, points.slice(-MAX_POINTS_PER_LISTING));
+      recorded++;
+    }
+    this._prune(byListing, now);
+    if (byListing.size) this.queries.set(key, byListing);
+    this._scheduleSave();
+    return recorded;
+  }
+
+  _prune(byListing, now) {
+    const cutoff = now - this.retentionMs;
+    for (const [k, points] of byListing) {
+      const kept = points.filter(([t]) => t >= cutoff);
+      if (kept.length) byListing.set(k, kept);
+      else byListing.delete(k);
+    }
+    if (byListing.size > MAX_LISTINGS_PER_QUERY) {
+      const oldest = Array.from(byListing.entries())
+        .sort((a, b) => a[1][a[1].length - 1][0] - b[1][b[1].length - 1][0])
+        .slice(0, byListing.size - MAX_LISTINGS_PER_QUERY);
+      for (const [k] of oldest) byListing.delete(k);
+    }
+  }
+
+  /** Latest price (GBP) of each listing seen in [from, to). */
+  _latestPrices(byListing, from, to) {
+    const out = [];
+    for (const points of byListing.values()) {
+      for (let i = points.length - 1; i >= 0; i--) {
+        const [t, p] = points[i];
+        if (t >= from && t < to) { out.push(p); break; }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Market value for a query in a region, in `currency`:
+   *   { query, region, currency, days, count, median, p25, p75, iqr, reliable, trend: { '7d': {...}, ... } }
+   * trend[Nd] = { median, count, previousMedian, changePct } — the last N days vs the N before.
+   * `reliable` once count ≥ MARKET_VALUE_MIN_SAMPLES.
+   */
+  async marketValue(query, { currency = BASE, region = 'gb', days = 90, now = Date.now() } = {}) {
+    await this.loaded;
+    const byListing = this.queries.get(historyKey(query, region)) || new Map();
+    const conv = (s) => ({
+      ...s,
+      median: fromBase(s.median, currency),
+      p25: fromBase(s.p25, currency),
+      p75: fromBase(s.p75, currency),
+      iqr: fromBase(s.iqr, currency),
+    });
+
+    const headline = conv(summarize(this._latestPrices(byListing, now - days * DAY_MS, now + 1)));
+    const trend = {};
+    for (const n of TREND_WINDOWS) {
+      const recent = summarize(this._latestPrices(byListing, now - n * DAY_MS, now + 1));
+      const before = summarize(this._latestPrices(byListing, now - 2 * n * DAY_MS, now - n * DAY_MS));
+      const median = fromBase(recent.median, currency);
+      const previousMedian = fromBase(before.median, currency);
+      trend[`${n}d`] = {
+        median,
+        count: recent.count,
+        previousMedian,
+        changePct: median != null && previousMedian ? Math.round(((median - previousMedian) / previousMedian) * 1000) / 10 : null,
+      };
+    }
+    return { query: normalizeQueryKey(query), region, currency, days, ...headline, reliable: headline.count >= this.minSamples, trend };
+  }
+
+  _scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush().catch(e => logger.warn(`⚠️ Price history save failed: ${e?.message || e}`));
+    }, 5000);
+    this.saveTimer.unref?.();
+  }
+
+  async flush() {
+    if (!this.file) return;
+    const queries = {};
+    for (const [key, byListing] of this.queries) queries[key] = { listings: Object.fromEntries(byListing) };
+    await writeJsonAtomic(this.file, { queries });
+  }
+}
+
+export const priceHistory = new PriceHistoryService();
@@ -0,0 +1,167 @@
+// src/services/productKnowledge.js
+import { readdir, readFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { logger } from '../utils/logger.js';
+
+const PRODUCTS_DIR = process.env.PRODUCT_KB_DIR || new URL('../data/products/', import.meta.url);
+
+/**
+ * Product knowledge base: one JSON file per category in src/data/products/, each
+ *    {
+ *      category: string,
+ *      families: [{
+ *        id: string,                 // 'strymon', 'playstation', 'pokemon-rarities', ...
+ *        brands: string[],           // aliases naming the brand ([] = brand-agnostic)
+ *        queryNeedsBrand: boolean,   // model names too generic to trust without the brand
+ *        match: 'exclusive'|'required',
+ *        models: [{ id, aliases: string[], siblings?: string[] }]
+ *      }]
+ *    }
+ *
+ * When a query names a model, `exclusive` families reject listings that mention a
+ * sibling model but not the target ("OB-1" vs a Timeline); `required` families
+ * (rarities) reject listings that don't mention the target at all. Siblings default
+ * to every other model in the family.
+ *
+ * Aliases match case-insensitively on word boundaries, with optional separators at
+ * spaces, hyphens, dots and letter/digit changes ("ob-1" ~ "OB.1", "ob1", "OB 1").
+ * Overlapping mentions resolve to the longest alias ("switch lite" beats "switch").
+ */
+export function validateFamily(f) {
+  const problems = [];
+  if (!f || typeof f !== 'object') return ['family is not an object'];
+  if (typeof f.id !== 'string' || !f.id.trim()) problems.push('id missing');
+  if (f.brands != null && !(Array.isArray(f.brands) && f.brands.every(b => typeof b === 'string'))) {
+    problems.push('brands must be a string[]');
+  }
+  if (f.match != null && !['exclusive', 'required'].includes(f.match)) problems.push('match must be exclusive|required');
+  if (!Array.isArray(f.models) || !f.models.length) return [...problems, 'models must be a non-empty array'];
+  const ids = new Set(f.models.map(m => m?.id));
+  for (const m of f.models) {
+    if (typeof m?.id !== 'string' || !m.id) { problems.push('model without id'); continue; }
+    if (!Array.isArray(m.aliases) || !m.aliases.length) problems.push(`model ${m.id} has no aliases`);
+    for (const s of m.siblings || []) if (!ids.has(s)) problems.push(`model ${m.id} lists unknown sibling ${s}`);
+  }
+  return problems;
+}
+
+/** Word-bounded regex for an alias; separators are optional ("ps5" ~ "PS 5", "ob-1" ~ "OB.1"). */
+export function aliasRegex(alias) {
+  const parts = String(alias).toLowerCase()
+    .split(/[\s\-.]+|(?<=[a-z])(?=\d)|(?<=\d)(?=[a-z])/)
+    .filter(Boolean)
+    .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![a-z0-9])${parts.join('[\\s\\-.]?')}(?![a-z0-9])`, 'gi');
+}
+
+function compileFamily(f) {
+  const aliases = [];
+  for (const m of f.models) {
+    for (const a of m.aliases) aliases.push({ model: m.id, re: aliasRegex(a) });
+  }
+  const all = f.models.map(m => m.id);
+  return {
+    id: f.id,
+    category: f.category,
+    match: f.match || 'exclusive',
+    queryNeedsBrand: f.queryNeedsBrand === true,
+    brandRes: (f.brands || []).map(aliasRegex),
+    aliases,
+    siblings: new Map(f.models.map(m => [m.id, m.siblings || all.filter(id => id !== m.id)])),
+  };
+}
+
+class ProductKnowledgeBase {
+  constructor() {
+    this.families = new Map(); // id -> compiled family
+  }
+
+  register(family, { file = '', category = '' } = {}) {
+    const problems = validateFamily(family);
+    if (problems.length) {
+      throw new Error(`Invalid product family${file ? ` (${file})` : ''}: ${problems.join('; ')}`);
+    }
+    if (this.families.has(family.id)) {
+      throw new Error(`Duplicate product family "${family.id}"${file ? ` (${file})` : ''}`);
+    }
+    this.families.set(family.id, compileFamily({ ...family, category }));
+    return this;
+  }
+
+  /** Read every *.json in a directory; bad files/families are logged and skipped. */
+  async load(dir = PRODUCTS_DIR) {
+    const dirUrl = dir instanceof URL ? dir : pathToFileURL(String(dir).replace(/\/?$/, '/'));
+    const files = (await readdir(fileURLToPath(dirUrl))).filter(f => f.endsWith('.json')).sort();
+    for (const file of files) {
+      let doc;
+      try {
+        doc = JSON.parse(await readFile(new URL(file, dirUrl), 'utf8'));
+      } catch (e) {
+        logger.warn(`⚠️ Skipping product file ${file}: ${e?.message || e}`);
+        continue;
+      }
+      for (const family of doc?.families || []) {
+        try {
+          this.register(family, { file, category: doc.category || file.replace(/\.json$/, '') });
+        } catch (e) {
+          logger.warn(`⚠️ ${e?.message || e}`);
+        }
+      }
+    }
+    logger.info(`📚 Product families: ${this.ids().join(', ') || '(none)'}`);
+    return this;
+  }
+
+  ids() { return Array.from(this.families.keys()); }
+
+  /** Models of `familyId` mentioned in `text` (longest alias wins where mentions overlap). */
+  modelsIn(text, familyId) {
+    const f = this.families.get(familyId);
+    if (!f || !text) return new Set();
+    const hits = [];
+    for (const { model, re } of f.aliases) {
+      for (const m of String(text).matchAll(re)) hits.push({ model, start: m.index, end: m.index + m[0].length });
+    }
+    hits.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+    const taken = [];
+    const models = new Set();
+    for (const h of hits) {
+      if (taken.some(t => h.start < t.end && t.start < h.end)) continue;
+      taken.push(h);
+      models.add(h.model);
+    }
+    return models;
+  }
+
+  /** Families whose models the query names: [{ family, models: Set }] */
+  targetsFor(query) {
+    const out = [];
+    for (const f of this.families.values()) {
+      if (f.queryNeedsBrand && !f.brandRes.some(re => (re.lastIndex = 0, re.test(query)))) continue;
+      const models = this.modelsIn(query, f.id);
+      if (models.size) out.push({ family: f.id, models });
+    }
+    return out;
+  }
+
+  /** Does listing text fit every targeted family? */
+  accepts(text, targets = []) {
+    for (const { family, models } of targets) {
+      const f = this.families.get(family);
+      const found = this.modelsIn(text, family);
+      const hasTarget = [...models].some(m => found.has(m));
+      if (f.match === 'required') {
+        if (!hasTarget) return false;
+        continue;
+      }
+      if (hasTarget) continue;
+      const siblings = new Set([...models].flatMap(m => f.siblings.get(m) || []));
+      if ([...found].some(m => siblings.has(m) && !models.has(m))) return false;
+    }
+    return true;
+  }
+}
+
+export { ProductKnowledgeBase };
+export const productKnowledge = new ProductKnowledgeBase();
+await productKnowledge.load();
@@ -1,25 +1,118 @@
-const { priceBandScore } = require('../utils/price');
+// src/services/rankingService.js
+import { createHash } from 'node:crypto';
+import { openaiService } from './openaiService.js';
+import { priceBandScore } from '../utils/price.js';
+import { conditionScore } from '../utils/condition.js';
+import { logger } from '../utils/logger.js';
 
-function cosine(a, b) {
+const HASH_DIMS = 512;
+const MAX_TEXT_CHARS = 512;
+
+/* ---------- ranking modes ---------- */
+export const RANKING_MODES = ['keyword', 'semantic'];
+
+/** Request option -> mode (RANKING_MODE env, else 'keyword'); unknown values throw BAD_RANKING_MODE. */
+export function resolveRankingMode(mode) {
+  const m = String(mode || process.env.RANKING_MODE || 'keyword').trim().toLowerCase();
+  if (!RANKING_MODES.includes(m)) {
+    const err = new Error(`Unknown rankingMode "${mode}" (use ${RANKING_MODES.join(' or ')})`);
+    err.code = 'BAD_RANKING_MODE';
+    throw err;
+  }
+  return m;
+}
+
+/* ---------- embeddings ---------- */
+
+export function cosine(a, b) {
   let dot = 0, na = 0, nb = 0;
   for (let i = 0; i < a.length; i++) { dot += a[i]*b[i]; na += a[i]*a[i]; nb += b[i]*b[i]; }
   return dot / (Math.sqrt(na) * Math.sqrt(nb) + 1e-9);
 }
 
-function computeText(item) {
-  return [item.title, item.description, item.brand, item.model].filter(Boolean).join(' ');
+export function computeText(item) {
+  return [item.title, item.description, item.brand, item.model]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TEXT_CHARS);
+}
+
+/**
+ * Deterministic local embedding (no API key needed): words and word bigrams hashed
+ * into HASH_DIMS signed buckets, L2-normalised. Similar wording -> similar vectors.
+ */
+export function hashedEmbedding(text, dims = HASH_DIMS) {
+  const vec = new Float64Array(dims);
+  const words = String(text || '').toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const features = [...words, ...words.slice(1).map((w, i) => `${words[i]} ${w}`)];
+  for (const f of features) {
+    const h = createHash('md5').update(f).digest();
+    const idx = h.readUInt32LE(0) % dims;
+    vec[idx] += (h[4] & 1) ? 1 : -1;
+  }
+  let norm = 0;
+  for (const v of vec) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  return Array.from(vec, v => v / norm);
+}
+
+/**
+ * Embeddings for the query and each item: OpenAI when configured (batched + cached in
+ * openaiService), otherwise — or if the call fails or `signal` aborts — hashed bag-of-words vectors.
+ */
+export async function embedAll(query, items, { signal } = {}) {
+  const texts = [String(query || ''), ...items.map(computeText)];
+  try {
+    const vectors = await openaiService.embedTexts(texts, { signal });
+    if (vectors) return { provider: 'openai', queryEmbedding: vectors[0], embeddings: vectors.slice(1) };
+  } catch (e) {
+    logger.warn(`⚠️ Embeddings failed, using hashed vectors: ${e?.message || e}`);
+  }
+  const vectors = texts.map(t => hashedEmbedding(t));
+  return { provider: 'hashed', queryEmbedding: vectors[0], embeddings: vectors.slice(1) };
 }
 
-function rank(items, opts) {
-  const { queryEmbedding, medianPrice, sourceWeights = {} } = opts;
+/* ---------- scoring ---------- */
+export const SEMANTIC_SCORING = {
+  similarity: 0.45, titleKeywords: 0.20, price: 0.15, recency: 0.10, source: 0.05, condition: 0.05,
+};
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/** opts.explain attaches the per-signal breakdown (raw 0..1 score and weighted contribution). */
+export function rank(items, opts) {
+  const { queryEmbedding, medianPrice, sourceWeights = {}, explain = false } = opts;
+  const W = SEMANTIC_SCORING;
   return items.map(it => {
-    const sim = queryEmbedding ? cosine(it.embedding || queryEmbedding, queryEmbedding) : 0.5;
-    const titleHit = titleKeywordHitRate(it, opts.keywords || []);
-    const priceScore = priceBandScore(it.price, medianPrice);
-    const recency = recencyScore(it.postedAt);
-    const sourceW = sourceWeights[it.source] ?? 1;
-    const score = 0.50*sim + 0.20*titleHit + 0.15*priceScore + 0.10*recency + 0.05*sourceW;
-    return { ...it, score };
+    const signals = {
+      similarity: queryEmbedding ? Math.max(0, cosine(it.embedding || queryEmbedding, queryEmbedding)) : 0.5,
+      titleKeywords: titleKeywordHitRate(it, opts.keywords || []),
+      price: priceBandScore({ amount: it.priceAmount }, medianPrice),
+      recency: recencyScore(it.postedAt),
+      source: sourceWeights[it.source] ?? 1,
+      condition: conditionScore(it.condition),
+    };
+    const score = Object.keys(W).reduce((n, k) => n + W[k] * signals[k], 0);
+    const out = { ...it, similarity: round3(signals.similarity), score: Math.round(score * 100) / 100 };
+    if (explain) {
+      const part = (k, extra = {}) => ({ score: round3(signals[k]), contribution: round3(W[k] * signals[k]), ...extra });
+      out.explain = {
+        rankingMode: 'semantic',
+        score: round3(score),
+        similarity: part('similarity'),
+        titleKeywords: part('titleKeywords', { keywords: opts.keywords || [] }),
+        price: part('price', { amount: it.priceAmount ?? null, median: medianPrice ?? null }),
+        recency: part('recency', { postedAt: it.postedAt || null }),
+        source: part('source', { source: it.source || '' }),
+        condition: part('condition', { grade: it.condition?.grade || null }),
+      };
+    }
+    return out;
   }).sort((a,b) => b.score - a.score);
 }
 
@@ -30,7 +123,8 @@ function titleKeywordHitRate(it, keywords) {
   return Math.min(1, hits / Math.max(1, keywords.length));
 }
 
-function recencyScore(iso) {
+/** Posted date (ISO) -> 0.2..1, newest highest; 0.5 when unknown. Shared with the heuristic ranking in searchService. */
+export function recencyScore(iso) {
   if (!iso) return 0.5;
   const ts = Date.parse(iso);
   if (Number.isNaN(ts)) return 0.5;
@@ -42,4 +136,16 @@ function recencyScore(iso) {
   return 0.2;
 }
 
-module.exports = { computeText, rank };
+/**
+ * Semantic ranking for performSearch: embeds the query and listings, then blends
+ * similarity with keyword hits, price, recency, source weight and condition.
+ * Embedding vectors are not returned on the listings.
+ */
+export async function rankSemantic(items, { query, keywords, medianPrice, sourceWeights, explain = false, signal }) {
+  if (!items.length) return { provider: null, ranked: [] };
+  const { provider, queryEmbedding, embeddings } = await embedAll(query, items, { signal });
+  const ranked = rank(items.map((it, i) => ({ ...it, embedding: embeddings[i] })), {
+    queryEmbedding, medianPrice, sourceWeights, keywords, explain,
+  }).map(({ embedding, ...it }) => it);
+  return { provider, ranked };
+}
@@ -0,0 +1,274 @@
+// src/services/savedSearchService.js
+import { randomUUID } from 'node:crypto';
+import { searchService, uniqKey } from './searchService.js';
+import { urlPathKey } from '../utils/dedupe.js';
+import { parseQuery } from '../search/query.js';
+import { regionProfile } from '../search/regions.js';
+import { readJson, writeJsonAtomic } from '../utils/jsonFile.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_FILE = process.env.SAVED_SEARCHES_FILE || 'data/saved-searches.json';
+const MIN_INTERVAL_MINUTES = 15;
+const DEFAULT_INTERVAL_MINUTES = 360;
+const MAX_RUNS_KEPT = 30;
+const MAX_SEEN_KEYS = 5000;
+
+/** Both identities a listing can be recognised by: URL path (dedupeByUrlPath) and title+price+host (uniqKey). */
+export function listingKeys(r) {
+  const keys = [uniqKey(r)];
+  const pathKey = urlPathKey(r?.url || r?.link);
+  if (pathKey) keys.push(pathKey);
+  return keys;
+}
+
+const EDITABLE = ['query', 'location', 'sources', 'maxPages', 'ukOnly', 'intervalMinutes', 'paused'];
+
+/**
+ * Returns an error message, or null when `input` is a valid (partial, if `partial`) saved search.
+ */
+export function validateSavedSearch(input = {}, { partial = false } = {}) {
+  if (!partial || 'query' in input) {
+    if (typeof input.query !== 'string' || !input.query.trim()) return 'query is required';
+    try { parseQuery(input.query, { requireText: true }); } catch (e) { return e.message; }
+  }
+  if ('sources' in input && input.sources != null
+    && !(Array.isArray(input.sources) && input.sources.every(s => typeof s === 'string'))) {
+    return 'sources must be an array of source ids';
+  }
+  // a PATCH can't clear these: null would read as 0 (rerun every tick, fetch no pages)
+  if ('intervalMinutes' in input && (partial || input.intervalMinutes != null)) {
+    const n = Number(input.intervalMinutes);
+    if (!Number.isFinite(n) || n < MIN_INTERVAL_MINUTES) return `intervalMinutes must be >= ${MIN_INTERVAL_MINUTES}`;
+  }
+  if ('maxPages' in input && (partial || input.maxPages != null)) {
+    const n = Number(input.maxPages);
+    if (!Number.isInteger(n) || n < 1 || n > 5) return 'maxPages must be an integer 1..5';
+  }
+  for (const k of ['ukOnly', 'paused']) {
+    if (k in input && input[k] != null && typeof input[k] !== 'boolean') return `${k} must be true or false`;
+  }
+  return null;
+}
+
+/**
+ * Saved searches persisted to a JSON file.
+ * Each record keeps the identity keys of every listing seen so far; a scheduled run
+ * stores the listings whose keys were not seen before as that run's `newItems`.
+ * The first run only seeds the baseline. A run requested while the same record is already
+ * running (a manual run during a tick) joins that run rather than diffing the same keys twice.
+ */
+class SavedSearchService {
+  constructor({ file = DEFAULT_FILE, search = (...a) => searchService.performSearch(...a) } = {}) {
+    this.file = file;
+    this.search = search;
+    this.items = null;          // id -> record (loaded lazily)
+    this.writing = Promise.resolve();
+    this.timer = null;
+    this.ticking = false;
+    this.running = new Map(); // id -> run() promise
+  }
+
+  async _load() {
+    if (this.items) return this.items;
+    const data = await readJson(this.file, { savedSearches: [] });
+    this.items = new Map((data.savedSearches || []).map(s => [s.id, s]));
+    return this.items;
+  }
+
+  _persist() {
+    const snapshot = { savedSearches: Array.from(this.items.values()) };
+    this.writing = this.writing
+      .then(() => writeJsonAtomic(this.file, snapshot))
+      .catch(e => logger.error(`❌ Saving ${this.file} failed: ${e?.message || e}`));
+    return this.writing;
+  }
+
+  /** Public view (internal identity sets stay server-side). */
+  _view(rec) {
+    if (!rec) return null;
+    const { seenKeys, runs, ...rest } = rec;
+    return {
+      ...rest,
+      seenCount: seenKeys.length,
+      runs: runs.map(({ newItems, ...run }) => ({ ...run, newCount: newItems.length })),
+    };
+  }
+
+  async list() {
+    const items = await this._load();
+    return Array.from(items.values()).map(r => this._view(r));
+  }
+
+  async get(id) {
+    const items = await this._load();
+    return this._view(items.get(id));
+  }
+
+  async create(input) {
+    const items = await this._load();
+    const now = new Date().toISOString();
+    const rec = {
+      id: randomUUID(),
+      query: input.query.trim(),
+      location: input.location || 'UK',
+      sources: input.sources ?? null,
+      maxPages: input.maxPages != null ? Number(input.maxPages) : 1,
+      ukOnly: input.ukOnly === true,
+      intervalMinutes: input.intervalMinutes != null ? Number(input.intervalMinutes) : DEFAULT_INTERVAL_MINUTES,
+      paused: input.paused === true,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      nextRunAt: now,             // first run on the next scheduler tick
+      lastError: null,
+      lastSeenAt: now,
+      seenKeys: [],
+      runs: [],
+    };
+    items.set(rec.id, rec);
+    await this._persist();
+    return this._view(rec);
+  }
+
+  async update(id, patch) {
+    const items = await this._load();
+    const rec = items.get(id);
+    if (!rec) return null;
+    for (const k of EDITABLE) if (k in patch && (patch[k] != null || k === 'sources')) rec[k] = patch[k];
+    if ('query' in patch) rec.query = String(patch.query).trim();
+    if ('ukOnly' in patch) rec.ukOnly = patch.ukOnly === true;
+    if ('paused' in patch) rec.paused = patch.paused === true;
+    if (patch.intervalMinutes != null) rec.intervalMinutes = Number(patch.intervalMinutes);
+    if (patch.maxPages != null) rec.maxPages = Number(patch.maxPages);
+    if ('query' in patch || 'location' in patch || 'sources' in patch) {
+      // different hunt: start a new baseline
+      rec.seenKeys = [];
+      rec.runs = [];
+      rec.nextRunAt = new Date().toISOString();
+    }
+    rec.updatedAt = new Date().toISOString();
+    await this._persist();
+    return this._view(rec);
+  }
+
+  async remove(id) {
+    const items = await this._load();
+    const existed = items.delete(id);
+    if (existed) await this._persist();
+    return existed;
+  }
+
+  /** Listings first seen after the client's last acknowledgement, newest run first. */
+  async newSinceLastSeen(id) {
+    const items = await this._load();
+    const rec = items.get(id);
+    if (!rec) return null;
+    const since = Date.parse(rec.lastSeenAt || 0) || 0;
+    const out = [];
+    const dup = new Set();
+    for (const run of rec.runs.slice().reverse()) {
+      if (Date.parse(run.at) <= since) break;
+      for (const it of run.newItems) {
+        const k = uniqKey(it);
+        if (dup.has(k)) continue;
+        dup.add(k);
+        out.push({ ...it, firstSeenAt: run.at });
+      }
+    }
+    return { id, since: rec.lastSeenAt, items: out };
+  }
+
+  async markSeen(id, at = new Date().toISOString()) {
+    const items = await this._load();
+    const rec = items.get(id);
+    if (!rec) return null;
+    rec.lastSeenAt = at;
+    await this._persist();
+    return this._view(rec);
+  }
+
+  /** Run one saved search now and diff against everything seen before. */
+  run(id) {
+    if (this.running.has(id)) return this.running.get(id);
+    const p = this._run(id).finally(() => this.running.delete(id));
+    this.running.set(id, p);
+    return p;
+  }
+
+  async _run(id) {
+    const items = await this._load();
+    const rec = items.get(id);
+    if (!rec) return null;
+
+    const at = new Date().toISOString();
+    let results;
+    try {
+      results = await this.search(rec.query, rec.location, regionProfile(rec.location).currency, {
+        sources: rec.sources || undefined,
+        maxPages: rec.maxPages,
+        ukOnly: rec.ukOnly,
+        maxResults: null, // diff against everything found, not just the top page
+        enrich: false,    // background runs don't spend credits on item pages
+      });
+      rec.lastError = null;
+    } catch (e) {
+      logger.warn(`⚠️ Saved search ${id} failed: ${e?.message || e}`);
+      rec.lastError = e?.message || String(e);
+      results = null;
+    }
+
+    rec.lastRunAt = at;
+    rec.nextRunAt = new Date(Date.now() + rec.intervalMinutes * 60000).toISOString();
+
+    let fresh = [];
+    if (results) {
+      const baseline = rec.runs.length === 0;
+      const seen = new Set(rec.seenKeys);
+      for (const r of results) {
+        const keys = listingKeys(r);
+        const isNew = !keys.some(k => seen.has(k));
+        keys.forEach(k => seen.add(k));
+        if (isNew && !baseline) fresh.push(r);
+      }
+      rec.seenKeys = Array.from(seen).slice(-MAX_SEEN_KEYS);
+      rec.runs.push({ at, total: results.length, baseline, newItems: fresh });
+      rec.runs = rec.runs.slice(-MAX_RUNS_KEPT);
+      logger.info(`🔁 Saved search "${rec.query}": ${results.length} results, ${fresh.length} new${baseline ? ' (baseline)' : ''}`);
+    }
+
+    await this._persist();
+    return { ...this._view(rec), newItems: fresh };
+  }
+
+  /** Run every due, unpaused saved search one after another (keeps ScrapingBee load flat). */
+  async tick(now = Date.now()) {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      const items = await this._load();
+      const due = Array.from(items.values())
+        .filter(r => !r.paused && Date.parse(r.nextRunAt || 0) <= now)
+        .sort((a, b) => Date.parse(a.nextRunAt || 0) - Date.parse(b.nextRunAt || 0));
+      for (const r of due) await this.run(r.id);
+    } catch (e) {
+      logger.error(`❌ Saved search tick failed: ${e?.message || e}`);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  startScheduler({ tickMs = Number(process.env.SAVED_SEARCH_TICK_MS || 60000) } = {}) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), tickMs);
+    this.timer.unref?.();
+    logger.info(`⏰ Saved search scheduler every ${Math.round(tickMs / 1000)}s`);
+  }
+
+  stopScheduler() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export { SavedSearchService };
+export const savedSearchService = new SavedSearchService();
@@ -2,36 +2,108 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { logger } from '../utils/logger.js';
+import { responseCache, cacheKey, cacheSourceFor } from '../utils/responseCache.js';
+import { sourceHealth, healthKey } from './sourceHealth.js';
+import { fetchBackends, fixtureBackend } from './fetchBackends.js';
+import { parseMoney, detectCurrency } from '../utils/price.js';
+import { resolveCondition } from '../utils/condition.js';
+import { resolveRegion, regionProfile, domainFor } from '../search/regions.js';
 
 /**
  * Scraping service
- * - Uses ScrapingBee for HTML fetching.
+ * - Fetches pages through per-source backend chains (services/fetchBackends.js; ScrapingBee by default).
  * - Normalizes listings across sources into a consistent shape:
  *    {
  *      title: string,
  *      price: string,        // label like "£129.99" (frontend will parse number + keep label)
- *      currency: "GBP"|"EUR"|"USD"|null,
+ *      currency: "GBP"|"EUR"|"USD"|"CAD"|"AUD"|null,
+ *      money: object,        // structured price (utils/price.js parseMoney): minor units, range, free/swap/ONO, postage
+ *      condition: object|null, // shared scale (utils/condition.js): { grade, label, from, raw }
  *      link: string,
  *      url: string,          // alias of link for safety
  *      image: string,
  *      source: string,       // ebay, gumtree, facebook, cashConverters, ...
  *      description: string,
  *      postedAt: string|null,
- *      location: string
+ *      location: string,
+ *      seller: { name, feedbackCount, positivePercent }|null  // where the card shows it (eBay)
+ *      soldAt?: string|null  // eBay sold mode only (searchEbay ctx.sold)
  *    }
  */
-class ScrapingService {
-  constructor() {
-    this.scrapingBeeBaseUrl = 'https://app.scrapingbee.com/api/v1/';
-    this.countryCode = 'gb'; // set by searchService.toCountryCode(location)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGO_UNITS_MS = { min: 60e3, minute: 60e3, hour: 36e5, hr: 36e5, day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS };
+
+// item-page selectors per source (parseDetailPage); anything missing falls back to JSON-LD/meta
+const DETAIL_SELECTORS = {
+  ebay: {
+    description: '[data-testid="x-item-description"], .x-item-description, #viTabs_0_is',
+    seller: '.x-sellercard-atf__info__about-seller, [data-testid="x-sellercard-atf"] .ux-textspans--BOLD',
+    sellerStats: '.x-sellercard-atf__about-seller, .x-sellercard-atf__data-item',
+    postage: '.ux-labels-values--shipping .ux-labels-values__values',
+    images: '.ux-image-carousel-item img, .ux-image-filmstrip-carousel-item img',
+  },
+  gumtree: {
+    description: '[data-q="ad-description"], [itemprop=description], .ad-description',
+    posted: '[data-q="ad-posted-date"], [data-q="ad-posted"], .ad-posted',
+    seller: '[data-q="seller-name"], .seller-name',
+    sellerStats: '[data-q="seller-rating"], .seller-rating',
+    postage: '[data-q="ad-delivery"], .ad-delivery',
+    images: '[data-q="gallery"] img, .gallery img',
+  },
+};
+const CURRENCY_SYMBOLS = { GBP: '£', EUR: '€', USD: '$' };
+// anti-bot pages: short, matched on visible text only (reCAPTCHA scripts and a listing titled
+// "Access Denied" on a real results page don't count)
+const BLOCK_MARKERS = /captcha|access denied|pardon our interruption|unusual traffic|are you a robot|verify you are human|request blocked/i;
+const BLOCK_PAGE_MAX_TEXT = 3000;
+const BLOCK_STATUSES = new Set([403, 429]);
+
+/** True for a captcha/"access denied" page (or a 403/429 from the target site). */
+export function looksBlocked(body, status = null) {
+  if (BLOCK_STATUSES.has(Number(status))) return true;
+  const text = String(body ?? '')
+    .slice(0, 200000)
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length <= BLOCK_PAGE_MAX_TEXT && BLOCK_MARKERS.test(text);
+}
+
+/** Per-request timeout: FETCH_TIMEOUT_MS_<SOURCE> (e.g. FETCH_TIMEOUT_MS_FACEBOOK), else FETCH_TIMEOUT_MS, else 60s. */
+function fetchTimeoutFor(source) {
+  for (const raw of [process.env[`FETCH_TIMEOUT_MS_${String(source).toUpperCase()}`], process.env.FETCH_TIMEOUT_MS]) {
+    const ms = Number(raw);
+    if (raw != null && raw !== '' && Number.isFinite(ms) && ms > 0) return ms;
   }
+  return 60000;
+}
+
+const LOCAL_FAILURES = new Set(['BUDGET_EXCEEDED', 'FIXTURE_MISSING']);
 
-  get scrapingBeeApiKey() {
-    return process.env.SCRAPINGBEE_API_KEY;
+/** Why a scraper stopped that says nothing about the site: its circuit is open, or the search was cancelled. */
+const interrupted = (e, signal) => e?.code === 'CIRCUIT_OPEN' || axios.isCancel(e) || Boolean(signal?.aborted);
+
+function fetchError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const DETAIL_FETCH = {
+  ebay: { render_js: false, block_resources: false },
+  gumtree: { render_js: true },
+};
+
+class ScrapingService {
+  /** Whether `source` has a fetch backend configured (services/fetchBackends.js); scrapers use mocks otherwise. */
+  canFetch(source) {
+    return fetchBackends.chainFor(source).length > 0;
   }
 
   /* -------------------------------------------------------
-   * HTTP fetch via ScrapingBee
+   * HTTP fetch through the source's backend chain (services/fetchBackends.js),
+   * via responseCache unless cache:false
    * ----------------------------------------------------- */
   async fetchHTML(
     url,
@@ -41,37 +113,106 @@ class ScrapingService {
       premium_proxy = true,
       block_resources = true,
       forward_headers = true,
-      timeout = 60000,
+      timeout = null, // ms; default FETCH_TIMEOUT_MS[_<SOURCE>]
       mode = 'html', // 'html' -> returns Cheerio $, 'text' -> returns string
+      cache = true,
+      budget = null, // SearchBudget.forSource() view; cache hits are free
+      signal = null, // AbortSignal (search deadline): cancels the request, and later ones never start
+      countryCode = 'gb', // the search's region (ScrapingBee country_code, Accept-Language); part of the cache key
     } = {}
   ) {
-    if (!this.scrapingBeeApiKey) {
-      throw new Error('SCRAPINGBEE_API_KEY missing');
+    signal?.throwIfAborted();
+    // the adapter the budget is scoped to (or the host's source) picks the backends and gets the health stats
+    const source = healthKey(budget?.source || cacheSourceFor(url));
+    const chain = fetchBackends.chainFor(source);
+    if (!chain.length) {
+      throw new Error(`No fetch backend for ${source} (FETCH_BACKENDS: ${fetchBackends.configured(source).map(b => b.id).join(',') || 'none'})`);
     }
+    if (!sourceHealth.allow(source)) {
+      const until = sourceHealth.openUntil(source);
+      throw fetchError('CIRCUIT_OPEN', `${source} circuit ${until ? `open until ${until}` : 'half-open, trial fetch under way'}`);
+    }
+    const trial = sourceHealth.claimTrial(source);
 
-    const params = {
-      api_key: this.scrapingBeeApiKey,
-      url,
-      render_js: render_js ? 'true' : 'false',
-      premium_proxy: premium_proxy ? 'true' : 'false',
-      block_resources: block_resources ? 'true' : 'false',
-      country_code: this.countryCode,
-      forward_headers: forward_headers ? 'true' : 'false',
+    const opts = {
+      render_js, wait, premium_proxy, block_resources, forward_headers, signal, budget,
+      timeout: timeout ?? fetchTimeoutFor(source),
+      countryCode,
+    };
+    let fetched = false;
+    // a coalesced fetch runs on the cache's shared signal, cancelled once every waiting search has aborted
+    const load = (shared = signal) => {
+      fetched = true;
+      return this._fetchThrough(chain, url, { ...opts, signal: shared }, source);
     };
-    if (wait) params.wait = String(wait);
 
-    const logParams = { ...params, api_key: '***' };
-    logger.info(`🐝 ScrapingBee GET${mode === 'text' ? ' (text)' : ''}`, { url, params: logParams });
+    const key = cacheKey({ url, render_js, country_code: countryCode, mode });
+    let body;
+    try {
+      body = cache
+        ? await responseCache.wrap(key, { source: cacheSourceFor(url), signal }, load)
+        : await load();
+    } catch (e) {
+      const status = e?.response?.status;
+      if (!interrupted(e, signal) && !LOCAL_FAILURES.has(e?.code) && status !== 404 && status !== 410) budget?.fetchFailed();
+      throw e;
+    } finally {
+      if (trial) sourceHealth.endTrial(source);
+    }
+    if (!fetched) budget?.cacheHit();
+    if (mode === 'text') return body;
+    return cheerio.load(body);
+  }
 
-    const res = await axios.get(this.scrapingBeeBaseUrl, { params, timeout });
-    if (mode === 'text') return res.data;
-    return cheerio.load(res.data);
+  /**
+   * Try each backend in turn until one returns a real page. Errors and block pages move on to
+   * the next; 404/410 (the page is gone) and cancellation stop the chain. sourceHealth records
+   * the chain's outcome, not each attempt: a source that answers through its fallback is healthy.
+   */
+  async _fetchThrough(chain, url, opts, source) {
+    const started = Date.now();
+    let lastError = null;
+    let blocked = false;
+    for (const backend of chain) {
+      try {
+        const { body, status } = await backend.fetch(url, opts);
+        if (!looksBlocked(body, status)) {
+          sourceHealth.recordRequest(source, { ok: true, ms: Date.now() - started });
+          if (backend !== fixtureBackend) await fixtureBackend.record(url, body);
+          return body;
+        }
+        blocked = true;
+        lastError = fetchError('BLOCKED', `${source} served a block page for ${url} (${backend.id})`);
+      } catch (e) {
+        if (axios.isCancel(e) || opts.signal?.aborted) throw e; // our deadline, not the source's fault
+        const status = e?.response?.status;
+        if (status === 404 || status === 410) { // the site answered: the page just isn't there
+          sourceHealth.recordRequest(source, { ok: true, ms: Date.now() - started });
+          throw e;
+        }
+        blocked ||= looksBlocked(e?.response?.data, e?.response?.headers?.['spb-initial-status-code'] ?? status);
+        lastError = e;
+      }
+      if (backend !== chain[chain.length - 1]) {
+        logger.warn(`⚠️ ${backend.id} failed for ${source} (${lastError.code || lastError.message}); trying the next backend`);
+      }
+    }
+    // running out of budget or fixtures says nothing about the site
+    if (!LOCAL_FAILURES.has(lastError?.code)) {
+      sourceHealth.recordRequest(source, { ok: false, ms: Date.now() - started, blocked, error: lastError?.message || lastError });
+    }
+    throw lastError;
   }
 
   /* -------------------------------------------------------
    * Helpers
    * ----------------------------------------------------- */
 
+  /** fetchHTML options every scraper passes on: the search's budget, deadline signal and region. */
+  _fetchCtx(ctx, location) {
+    return { budget: ctx.budget, signal: ctx.signal, countryCode: regionProfile(location).code };
+  }
+
   /** Flatten nested nodes and return visible text */
   _flattenText($el) {
     if (!$el || !$el.length) return '';
@@ -80,10 +221,37 @@ class ScrapingService {
   }
 
   detectCurrency(price = '') {
-    if (/[£]/.test(price)) return 'GBP';
-    if (/[$]/.test(price)) return 'USD';
-    if (/[€]/.test(price)) return 'EUR';
-    return null;
+    return detectCurrency(price);
+  }
+
+  /** eBay seller line "pedalpal (1,482) 99.6%" -> { name, feedbackCount, positivePercent }; null if absent */
+  parseSellerInfo(text = '') {
+    const t = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!t) return null;
+    const m = t.match(/^(.*?)\s*\(([\d,.]+)\)\s*(?:([\d.]+)\s*%)?/);
+    if (!m) return { name: t, feedbackCount: null, positivePercent: null };
+    return {
+      name: m[1].trim() || null,
+      feedbackCount: Number(m[2].replace(/[,.]/g, '')),
+      positivePercent: m[3] != null ? Number(m[3]) : null,
+    };
+  }
+
+  /**
+   * eBay sold caption "Sold  14 Mar 2025" / "Sold Mar 14, 2025" -> ISO date (UTC midnight).
+   * Captions without a year are taken as the latest such date not after `now`.
+   */
+  parseSoldDate(text = '', now = new Date()) {
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const t = String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const m = t.match(/(\d{1,2}) ([a-z]{3})[a-z]*,? ?(\d{4})?/) || t.match(/([a-z]{3})[a-z]* (\d{1,2}),? ?(\d{4})?/);
+    if (!m) return null;
+    const [day, mon] = /^\d/.test(m[1]) ? [Number(m[1]), m[2]] : [Number(m[2]), m[1]];
+    const month = MONTHS.indexOf(mon);
+    if (month < 0 || day < 1 || day > 31) return null;
+    let year = m[3] ? Number(m[3]) : now.getUTCFullYear();
+    if (!m[3] && Date.UTC(year, month, day) > now.getTime()) year--;
+    return new Date(Date.UTC(year, month, day)).toISOString();
   }
 
   isUKLocation(text = '') {
@@ -127,11 +295,17 @@ class ScrapingService {
     return '';
   }
 
-  /** Pick the first money token (handles "£199 to £249" -> "£199") */
+  /**
+   * Pick the first money token (handles "£199 to £249" -> "£199"). ISO codes and trailing
+   * symbols on non-UK sites ("EUR 135.00", "1.234,50 €") come back as "€135.00".
+   */
   pickFirstMoney(s = '') {
     if (!s) return '';
     const first = s.replace(/,/g, '').match(/([£$€])\s*-?\d+(?:\.\d{1,2})?/);
-    return first ? first[0].replace(/\s+/g, '') : '';
+    if (first) return first[0].replace(/\s+/g, '');
+    const money = parseMoney(s);
+    const symbol = CURRENCY_SYMBOLS[money.currency];
+    return symbol && money.amount != null ? `${symbol}${(money.amount / 100).toFixed(2)}` : '';
   }
 
   /** Attempt to find a price within a scope */
@@ -156,6 +330,12 @@ class ScrapingService {
     return '';
   }
 
+  /** Raw text of the price container (keeps ranges, "ONO", "Free", postage) for parseMoney */
+  _priceText($scope, sel = '.s-item__price, [itemprop=price], .price, .ad-price, .listing-price') {
+    if (!$scope) return '';
+    return $scope.find(sel).first().text().replace(/\s+/g, ' ').trim();
+  }
+
   cleanTitle(title) {
     return String(title || '')
       .replace(/\s+/g, ' ')
@@ -167,13 +347,20 @@ class ScrapingService {
     return this.pickFirstMoney(String(price || '').trim());
   }
 
-  normalize({ title, price, link, image, source, description = '', postedAt = null, location = '' }) {
+  normalize({
+    title, price, link, image, source,
+    description = '', postedAt = null, location = '', priceText = '', postageText = '', conditionText = '',
+    sellerText = '',
+  }) {
     if (!title || !link) return null;
-    const priceLabel = this.cleanPrice(price || '');
+    const priceLabel = this.cleanPrice(price || '') || this.cleanPrice(priceText);
+    const money = parseMoney(priceText || price || '', { postageText });
     return {
       title: this.cleanTitle(title),
       price: priceLabel,                        // label (frontend parses number + keeps label)
-      currency: this.detectCurrency(priceLabel),
+      currency: money.currency || this.detectCurrency(priceLabel),
+      money,
+      condition: resolveCondition({ conditionText, source, title, description }),
       link,
       url: link,                                // alias
       image: image || '',
@@ -181,6 +368,7 @@ class ScrapingService {
       description: description || '',
       postedAt,
       location,
+      seller: this.parseSellerInfo(sellerText),
     };
   }
 
@@ -195,6 +383,12 @@ class ScrapingService {
     });
   }
 
+  /** Top-level scraper catch: rethrow interruptions (see `interrupted`) and budget refusals so the search job can tell them from an empty result; log the rest. */
+  _searchFailed(label, searchTerm, error, ctx = {}) {
+    if (interrupted(error, ctx.signal) || error?.code === 'BUDGET_EXCEEDED') throw error;
+    logger.error(`❌ ${label} error "${searchTerm}"`, this._errInfo(error));
+  }
+
   _errInfo(error) {
     return {
       message: error?.message,
@@ -207,50 +401,76 @@ class ScrapingService {
 
   /* -------------------------------------------------------
    * eBay
-   * Strategy: RSS (fast) → Desktop HTML → Mobile HTML
+   * Strategy: RSS (fast) → Desktop HTML → Mobile HTML; a block page (fetchHTML throws
+   * BLOCKED) ends the search there rather than paying for the next step
+   * on the location's eBay site (search/regions.js: ebay.co.uk, ebay.ie, ebay.com, ...)
    * Robust price & image extraction (lazy attrs)
+   * ctx.sold: completed sales instead (LH_Sold=1&LH_Complete=1, HTML only). The price
+   * is the final sale price and each listing carries `soldAt` (ISO date).
+   * ctx.near: items within near.radiusMiles of its postcode (_stpos/_sadis); towns use
+   * their nearest outcode, if any.
    * ----------------------------------------------------- */
-  async searchEbay(searchTerm, location = 'UK', maxPages = 1) {
+  async searchEbay(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
+    const sold = ctx.sold === true;
+    const label = sold ? 'eBay sold' : 'eBay';
     try {
-      logger.info(`🛒 eBay: "${searchTerm}" (loc=${location})`);
-      if (!this.scrapingBeeApiKey) {
-        logger.warn('⚠️ ScrapingBee key missing; returning mock eBay data');
+      logger.info(`🛒 ${label}: "${searchTerm}" (loc=${location})`);
+      if (!this.canFetch('ebay')) {
+        if (sold) return [];
+        logger.warn('⚠️ No fetch backend for ebay; returning mock eBay data');
         return this.getMockEbayResults(searchTerm);
       }
 
+      const ebay = domainFor(regionProfile(location), 'ebay');
       const listings = [];
+      const soldParams = sold ? '&LH_Sold=1&LH_Complete=1&_sop=13' : ''; // _sop=13: most recently ended first
+      const nearCode = ctx.near?.postcode || ctx.near?.outcode;
+      const nearParams = nearCode
+        ? `&_stpos=${encodeURIComponent(nearCode)}${ctx.near.radiusMiles ? `&_sadis=${ctx.near.radiusMiles}` : ''}`
+        : '';
+      const withSold = (norm, $card) => {
+        if (norm && sold) {
+          norm.soldAt = this.parseSoldDate(
+            $card.find('.s-item__caption--signal, .s-item__title--tagblock .POSITIVE, .s-item__ended-date').first().text()
+          );
+        }
+        return norm;
+      };
 
-      // (A) RSS
-      try {
-        const rssUrl = `https://www.ebay.co.uk/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&_sop=12&_pgn=1&rt=nc&_rss=1`;
-        const xml = await this.fetchHTML(rssUrl, { render_js: false, mode: 'text' });
-        const $ = cheerio.load(xml, { xmlMode: true });
-        $('item').each((_, el) => {
-          const title = $(el).find('title').first().text().trim();
-          const link = $(el).find('link').first().text().trim();
-          const price =
-            $(el).find('ebay\\:currentprice, currentprice').first().text().trim() ||
-            $(el).find('g\\:price, price').first().text().trim() || '';
-          const image = $(el).find('media\\:thumbnail, thumbnail').attr('url') || '';
-          const loc = $(el).find('location, ebay\\:location').first().text().trim() || '';
-          const norm = this.normalize({
-            title,
-            price,
-            link,
-            image: this.upgradeEbayImage(image),
-            source: 'ebay',
-            location: loc
+      // (A) RSS (active listings only)
+      if (!sold) {
+        try {
+          const rssUrl = `https://www.${ebay}/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&_sop=12&_pgn=1&rt=nc&_rss=1${nearParams}`;
+          const xml = await this.fetchHTML(rssUrl, { ...this._fetchCtx(ctx, location), render_js: false, mode: 'text' });
+          const $ = cheerio.load(xml, { xmlMode: true });
+          $('item').each((_, el) => {
+            const title = $(el).find('title').first().text().trim();
+            const link = $(el).find('link').first().text().trim();
+            const price =
+              $(el).find('ebay\\:currentprice, currentprice').first().text().trim() ||
+              $(el).find('g\\:price, price').first().text().trim() || '';
+            const image = $(el).find('media\\:thumbnail, thumbnail').attr('url') || '';
+            const loc = $(el).find('location, ebay\\:location').first().text().trim() || '';
+            const norm = this.normalize({
+              title,
+              price,
+              link,
+              image: this.upgradeEbayImage(image),
+              source: 'ebay',
+              location: loc
+            });
+            if (norm) listings.push(norm);
           });
-          if (norm) listings.push(norm);
-        });
-        if (listings.length) {
-          logger.info(`✅ eBay (RSS): ${listings.length} items`);
-          return listings.slice(0, 80);
-        } else {
-          logger.info('eBay RSS returned 0; trying HTML fallback.');
+          if (listings.length) {
+            logger.info(`✅ eBay (RSS): ${listings.length} items`);
+            return listings.slice(0, 80);
+          } else {
+            logger.info('eBay RSS returned 0; trying HTML fallback.');
+          }
+        } catch (e) {
+          if (e?.code === 'BLOCKED' || interrupted(e, ctx.signal)) throw e; // HTML would be blocked too
+          logger.warn(`⚠️ eBay RSS parse failed: ${e?.message || e}`);
         }
-      } catch (e) {
-        logger.warn(`⚠️ eBay RSS parse failed: ${e?.message || e}`);
       }
 
       const parseDesktopPage = ($) => {
@@ -277,9 +497,13 @@ class ScrapingService {
             title, price, link, image,
             source: 'ebay',
             description: title,
-            location: locationText
+            location: locationText,
+            priceText: this._priceText($item),
+            postageText: $item.find('.s-item__shipping, .s-item__logisticsCost').first().text().trim(),
+            conditionText: $item.find('.s-item__subtitle .SECONDARY_INFO, .SECONDARY_INFO').first().text().trim(),
+            sellerText: $item.find('.s-item__seller-info-text, .s-item__seller-info').first().text().trim()
           });
-          if (norm) out.push(norm);
+          if (norm) out.push(withSold(norm, $item));
         });
         return out;
       };
@@ -296,7 +520,7 @@ class ScrapingService {
             $el.text().trim();
 
           let link = $card.find('a.s-item__link').attr('href') || $el.attr('href') || '';
-          if (link && link.startsWith('/')) link = `https://m.ebay.co.uk${link}`;
+          if (link && link.startsWith('/')) link = `https://m.${ebay}${link}`;
 
           const price = this.extractAnyPrice($card);
 
@@ -310,23 +534,27 @@ class ScrapingService {
             title, price, link, image,
             source: 'ebay',
             description: title,
-            location: loc
+            location: loc,
+            priceText: this._priceText($card),
+            postageText: $card.find('.s-item__shipping, .s-item__logisticsCost').first().text().trim(),
+            conditionText: $card.find('.s-item__subtitle .SECONDARY_INFO, .SECONDARY_INFO').first().text().trim(),
+            sellerText: $card.find('.s-item__seller-info-text, .s-item__seller-info').first().text().trim()
           });
-          if (norm) out.push(norm);
+          if (norm) out.push(withSold(norm, $card));
         });
         return out;
       };
 
       // (B) Desktop HTML pages
       const desktopUrl = (p = 1) =>
-        `https://www.ebay.co.uk/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&rt=nc&_ipg=60&_pgn=${p}`;
+        `https://www.${ebay}/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&rt=nc&_ipg=60&_pgn=${p}${soldParams}${nearParams}`;
       for (let p = 1; p <= Math.max(1, maxPages); p++) {
         const $ = await this.fetchHTML(desktopUrl(p), {
+          ...this._fetchCtx(ctx, location),
           render_js: false,
           premium_proxy: true,
           block_resources: false,
           forward_headers: true,
-          timeout: 60000
         });
         const pageItems = parseDesktopPage($);
         pageItems.forEach(x => listings.push(x));
@@ -335,36 +563,37 @@ class ScrapingService {
       // (C) Mobile HTML fallback if desktop yielded nothing
       if (!listings.length) {
         const mobileUrl = (p = 1) =>
-          `https://m.ebay.co.uk/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&_pgn=${p}&_ipg=60&rt=nc`;
+          `https://m.${ebay}/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&_pgn=${p}&_ipg=60&rt=nc${soldParams}${nearParams}`;
         for (let p = 1; p <= Math.max(1, maxPages); p++) {
           const $m = await this.fetchHTML(mobileUrl(p), {
+            ...this._fetchCtx(ctx, location),
             render_js: false,
             premium_proxy: true,
             block_resources: false,
             forward_headers: true,
-            timeout: 60000
           });
           const pageItems = parseMobilePage($m);
           pageItems.forEach(x => listings.push(x));
         }
       }
 
-      logger.info(`✅ eBay (HTML): ${listings.length} items`);
+      logger.info(`✅ ${label} (HTML): ${listings.length} items`);
       return listings.slice(0, 120);
     } catch (error) {
-      logger.error(`❌ eBay error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed(label, searchTerm, error, ctx);
       return [];
     }
   }
 
   /* -------------------------------------------------------
    * Gumtree
+   * ctx.near: search_location (postcode or town) + distance (miles)
    * ----------------------------------------------------- */
-  async searchGumtree(searchTerm, location = 'UK', maxPages = 1) {
+  async searchGumtree(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
     try {
       logger.info(`🌳 Gumtree: "${searchTerm}" (loc=${location})`);
-      if (!this.scrapingBeeApiKey) {
-        logger.warn('⚠️ ScrapingBee key missing; returning mock Gumtree data');
+      if (!this.canFetch('gumtree')) {
+        logger.warn('⚠️ No fetch backend for gumtree; returning mock Gumtree data');
         return this.getMockGumtreeResults(searchTerm);
       }
 
@@ -373,9 +602,14 @@ class ScrapingService {
         let url = `https://www.gumtree.com/search?search_category=all&q=${encodeURIComponent(
           searchTerm
         )}&page=${p}`;
-        if (location && location !== 'UK') url += `&search_location=${encodeURIComponent(location)}`;
+        if (ctx.near) {
+          url += `&search_location=${encodeURIComponent(ctx.near.postcode || ctx.near.outcode || ctx.near.label)}`;
+          if (ctx.near.radiusMiles) url += `&distance=${ctx.near.radiusMiles}`;
+        } else if (location && !resolveRegion(location)) {
+          url += `&search_location=${encodeURIComponent(location)}`;
+        }
 
-        const $ = await this.fetchHTML(url, { render_js: true, premium_proxy: true });
+        const $ = await this.fetchHTML(url, { ...this._fetchCtx(ctx, location), render_js: true, premium_proxy: true });
 
         $('[data-q="search-result"], .listing-link, .listing-item, [data-q="listing"]').each((_, el) => {
           const $item = $(el);
@@ -400,7 +634,9 @@ class ScrapingService {
             link,
             image,
             source: 'gumtree',
-            location: 'United Kingdom',
+            description: $item.find('[data-q="tile-description"], .listing-description').first().text().trim(),
+            location: $item.find('[data-q="tile-location"], .listing-location').first().text().trim() || 'United Kingdom',
+            priceText: this._priceText($item, '[itemprop=price], .listing-price, .price, .ad-price, .tilePrice'),
           });
           if (norm) listings.push(norm);
         });
@@ -408,7 +644,7 @@ class ScrapingService {
       logger.info(`✅ Gumtree: ${listings.length} items`);
       return listings.slice(0, 60);
     } catch (error) {
-      logger.error(`❌ Gumtree error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed('Gumtree', searchTerm, error, ctx);
       return [];
     }
   }
@@ -417,22 +653,26 @@ class ScrapingService {
    * Facebook Marketplace (best-effort; dynamic page)
    * - render_js + wait
    * - robust title/price/img selectors
+   * - ctx.near: the nearest town's marketplace (/marketplace/<town>/search) + radius (km)
    * ----------------------------------------------------- */
-  async searchFacebookMarketplace(searchTerm, location = 'UK', maxPages = 1) {
+  async searchFacebookMarketplace(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
     try {
       logger.info(`📘 Facebook: "${searchTerm}" (loc=${location})`);
-      if (!this.scrapingBeeApiKey) {
-        logger.warn('⚠️ ScrapingBee key missing; returning mock Facebook data');
+      if (!this.canFetch('facebook')) {
+        logger.warn('⚠️ No fetch backend for facebook; returning mock Facebook data');
         return this.getMockFacebookResults(searchTerm);
       }
 
       const listings = [];
-      const url = `https://www.facebook.com/marketplace/search/?query=${encodeURIComponent(
+      const town = String(ctx.near?.town || '').toLowerCase().replace(/[^a-z]/g, '');
+      let url = `https://www.facebook.com/marketplace/${town ? `${town}/` : ''}search/?query=${encodeURIComponent(
         searchTerm
       )}&exact=false`;
+      if (town && ctx.near.radiusMiles) url += `&radius=${Math.round(ctx.near.radiusMiles * 1.609)}`;
 
       // FB often needs JS + a small wait to populate the grid
       const $ = await this.fetchHTML(url, {
+        ...this._fetchCtx(ctx, location),
         render_js: true,
         premium_proxy: true,
         wait: 2600,                // slightly higher than 2200 for stability
@@ -455,11 +695,18 @@ class ScrapingService {
 
         // Price: find first span with money
         let price = '';
+        let priceText = '';
         card.find('span').each((_, el) => {
           const t = $(el).text().trim();
-          if (!price && /[£$€]\s*\d/.test(t)) price = this.pickFirstMoney(t);
+          if (!price && /[£$€]\s*\d/.test(t)) { price = this.pickFirstMoney(t); priceText = t; }
+          if (!priceText && /^free$/i.test(t)) priceText = t;
         });
 
+        // Locality: the last span that is neither the title nor a price ("Leeds, United Kingdom")
+        const location = card.find('span').map((_, el) => $(el).text().trim()).get()
+          .filter(t => t && t !== title && !/[£$€]\s*\d|^free$/i.test(t))
+          .pop() || '';
+
         // Image: prefer lazy attrs if present
         const imgEl = card.find('img').first();
         let image =
@@ -476,6 +723,8 @@ class ScrapingService {
           link,
           image,
           source: 'facebook',
+          location,
+          priceText,
         });
         if (norm) listings.push(norm);
       });
@@ -483,7 +732,7 @@ class ScrapingService {
       logger.info(`✅ Facebook: ${listings.length} items`);
       return listings.slice(0, 40);
     } catch (error) {
-      logger.error(`❌ Facebook error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed('Facebook', searchTerm, error, ctx);
       return [];
     }
   }
@@ -491,11 +740,11 @@ class ScrapingService {
   /* -------------------------------------------------------
    * CashConverters
    * ----------------------------------------------------- */
-  async searchCashConverters(searchTerm, location = 'UK', maxPages = 1) {
+  async searchCashConverters(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
     try {
       logger.info(`💰 CashConverters: "${searchTerm}" (loc=${location})`);
-      if (!this.scrapingBeeApiKey) {
-        logger.warn('⚠️ ScrapingBee key missing; returning mock CashConverters data');
+      if (!this.canFetch('cashConverters')) {
+        logger.warn('⚠️ No fetch backend for cashConverters; returning mock CashConverters data');
         return this.getMockCashConvertersResults(searchTerm);
       }
 
@@ -504,7 +753,7 @@ class ScrapingService {
         const url = `https://www.cashconverters.co.uk/search?q=${encodeURIComponent(searchTerm)}${
           p > 1 ? `&page=${p}` : ''
         }`;
-        const $ = await this.fetchHTML(url, { render_js: true, premium_proxy: true });
+        const $ = await this.fetchHTML(url, { ...this._fetchCtx(ctx, location), render_js: true, premium_proxy: true });
 
         $('.product-tile, .product').each((_, el) => {
           const $item = $(el);
@@ -529,6 +778,8 @@ class ScrapingService {
             image,
             source: 'cashConverters',
             location: 'United Kingdom',
+            priceText: this._priceText($item, '.product-price, .price'),
+            conditionText: $item.find('.product-condition, .condition, [class*="grade"]').first().text().trim(),
           });
           if (norm) listings.push(norm);
         });
@@ -537,7 +788,7 @@ class ScrapingService {
       logger.info(`✅ CashConverters: ${listings.length} items`);
       return listings.slice(0, 60);
     } catch (error) {
-      logger.error(`❌ CashConverters error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed('CashConverters', searchTerm, error, ctx);
       return [];
     }
   }
@@ -545,45 +796,47 @@ class ScrapingService {
   /* -------------------------------------------------------
    * OPTIONAL SOURCES
    * ----------------------------------------------------- */
-  async searchVinted(searchTerm, location = 'UK', maxPages = 1) {
+  async searchVinted(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
     try {
       logger.info(`🧥 Vinted: "${searchTerm}"`);
-      if (!this.scrapingBeeApiKey) return [];
+      if (!this.canFetch('vinted')) return [];
 
+      const vinted = domainFor(regionProfile(location), 'vinted');
       const listings = [];
       for (let p = 1; p <= Math.max(1, maxPages); p++) {
-        const url = `https://www.vinted.co.uk/catalog?search_text=${encodeURIComponent(
+        const url = `https://www.${vinted}/catalog?search_text=${encodeURIComponent(
           searchTerm
         )}&page=${p}`;
-        const $ = await this.fetchHTML(url, { render_js: true, premium_proxy: true });
+        const $ = await this.fetchHTML(url, { ...this._fetchCtx(ctx, location), render_js: true, premium_proxy: true });
 
         $('[data-testid="item-box"]').each((_, el) => {
           const aHref = $(el).find('a').attr('href');
-          const link = aHref ? `https://www.vinted.co.uk${aHref}` : null;
+          const link = aHref ? `https://www.${vinted}${aHref}` : null;
           const title = $(el).find('[data-testid="item-title"]').text().trim();
           const price = $(el).find('[data-testid="item-price"]').text().trim();
           const image = this._pickImgAttr($(el), ['img']);
-          const norm = this.normalize({ title, price, link, image, source: 'vinted' });
+          const conditionText = $(el).find('[data-testid*="description-subtitle"], [data-testid="item-status"]').first().text().trim();
+          const norm = this.normalize({ title, price, link, image, source: 'vinted', conditionText });
           if (norm) listings.push(norm);
         });
       }
       logger.info(`✅ Vinted: ${listings.length} items`);
       return listings.slice(0, 60);
     } catch (error) {
-      logger.error(`❌ Vinted error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed('Vinted', searchTerm, error, ctx);
       return [];
     }
   }
 
-  async searchDepop(searchTerm, location = 'UK', maxPages = 1) {
+  async searchDepop(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
     try {
       logger.info(`🧢 Depop: "${searchTerm}"`);
-      if (!this.scrapingBeeApiKey) return [];
+      if (!this.canFetch('depop')) return [];
 
       const listings = [];
       for (let p = 1; p <= Math.max(1, maxPages); p++) {
         const url = `https://www.depop.com/search/?q=${encodeURIComponent(searchTerm)}&page=${p}`;
-        const $ = await this.fetchHTML(url, { render_js: true, premium_proxy: true });
+        const $ = await this.fetchHTML(url, { ...this._fetchCtx(ctx, location), render_js: true, premium_proxy: true });
 
         $('a[href^="/products/"]').each((_, a) => {
           const link = `https://www.depop.com${a.attribs?.href || ''}`;
@@ -603,53 +856,59 @@ class ScrapingService {
       logger.info(`✅ Depop: ${listings.length} items`);
       return listings.slice(0, 60);
     } catch (error) {
-      logger.error(`❌ Depop error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed('Depop', searchTerm, error, ctx);
       return [];
     }
   }
 
-  async searchDiscogs(searchTerm, location = 'UK', maxPages = 1) {
+  async searchDiscogs(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
     try {
       logger.info(`💿 Discogs: "${searchTerm}"`);
-      if (!this.scrapingBeeApiKey) return [];
+      if (!this.canFetch('discogs')) return [];
 
+      const { currency } = regionProfile(location); // Discogs converts marketplace prices itself
       const listings = [];
       for (let p = 1; p <= Math.max(1, maxPages); p++) {
-        const url = `https://www.discogs.com/sell/list?format=all&currency=GBP&q=${encodeURIComponent(
+        const url = `https://www.discogs.com/sell/list?format=all&currency=${currency}&q=${encodeURIComponent(
           searchTerm
         )}&page=${p}`;
-        const $ = await this.fetchHTML(url, { render_js: false, premium_proxy: true });
+        const $ = await this.fetchHTML(url, { ...this._fetchCtx(ctx, location), render_js: false, premium_proxy: true });
 
         $('table#pjax_container tbody tr').each((_, tr) => {
           const title = $(tr).find('td.item_description a.item_description_title').text().trim();
           const link = 'https://www.discogs.com' + ($(tr).find('td.item_description a').attr('href') || '');
           const priceTxt = this._flattenText($(tr).find('td.price').first());
           const price = this.pickFirstMoney(priceTxt) || priceTxt;
+          const priceText = this._priceText($(tr), 'td.price span.price') || this._priceText($(tr), 'td.price');
+          const conditionText =
+            $(tr).find('td.condition').first().text().trim() ||
+            $(tr).find('.item_condition span:not(.condition-label-desktop)').first().text().trim();
           const image =
             this._pickImgAttr($(tr), ['td.image img']) || '';
-          const norm = this.normalize({ title, price, link, image, source: 'discogs' });
+          const norm = this.normalize({ title, price, link, image, source: 'discogs', priceText, conditionText });
           if (norm) listings.push(norm);
         });
       }
       logger.info(`✅ Discogs: ${listings.length} items`);
       return listings.slice(0, 60);
     } catch (error) {
-      logger.error(`❌ Discogs error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed('Discogs', searchTerm, error, ctx);
       return [];
     }
   }
 
-  async searchGoogleShopping(searchTerm, location = 'UK', maxPages = 1) {
+  async searchGoogleShopping(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
     try {
       logger.info(`🛍️ Google Shopping: "${searchTerm}"`);
-      if (!this.scrapingBeeApiKey) return [];
+      if (!this.canFetch('googleShopping')) return [];
 
+      const { hl, gl } = regionProfile(location).google;
       const listings = [];
       for (let p = 0; p < Math.min(1, maxPages); p++) {
         const url = `https://www.google.com/search?tbm=shop&q=${encodeURIComponent(
           searchTerm
-        )}&hl=en-GB&gl=gb`;
-        const $ = await this.fetchHTML(url, { render_js: true, premium_proxy: true });
+        )}&hl=${hl}&gl=${gl}`;
+        const $ = await this.fetchHTML(url, { ...this._fetchCtx(ctx, location), render_js: true, premium_proxy: true });
 
         $('a[href^="/shopping/product/"]').each((_, a) => {
           const link = `https://www.google.com${a.attribs?.href || ''}`;
@@ -669,23 +928,24 @@ class ScrapingService {
       logger.info(`✅ Google Shopping: ${listings.length} items`);
       return listings.slice(0, 40);
     } catch (error) {
-      logger.error(`❌ Google Shopping error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed('Google Shopping', searchTerm, error, ctx);
       return [];
     }
   }
 
-  async searchGoogleResults(searchTerm, location = 'UK', maxPages = 1) {
+  async searchGoogleResults(searchTerm, location = 'UK', maxPages = 1, ctx = {}) {
     try {
       logger.info(`🔎 Google Results: "${searchTerm}"`);
-      if (!this.scrapingBeeApiKey) return [];
+      if (!this.canFetch('googleResults')) return [];
 
+      const { hl, gl } = regionProfile(location).google;
       const listings = [];
       for (let p = 0; p < Math.max(1, maxPages); p++) {
         const start = p * 10;
         const url = `https://www.google.com/search?q=${encodeURIComponent(
           searchTerm
-        )}&num=10&start=${start}&hl=en-GB&gl=gb`;
-        const $ = await this.fetchHTML(url, { render_js: true, premium_proxy: true });
+        )}&num=10&start=${start}&hl=${hl}&gl=${gl}`;
+        const $ = await this.fetchHTML(url, { ...this._fetchCtx(ctx, location), render_js: true, premium_proxy: true });
 
         $('div.g').each((_, el) => {
           const a = $(el).find('a').first();
@@ -722,11 +982,132 @@ class ScrapingService {
       logger.info(`✅ Google Results: ${listings.length} items`);
       return listings.slice(0, 40);
     } catch (error) {
-      logger.error(`❌ Google Results error "${searchTerm}"`, this._errInfo(error));
+      this._searchFailed('Google Results', searchTerm, error, ctx);
       return [];
     }
   }
 
+  /* -------------------------------------------------------
+   * Listing detail pages (enrichmentService)
+   * Item pages carry what search cards don't: the full description, posted date,
+   * seller stats, postage, collection-only and the other photos. Per-source selectors
+   * first, then JSON-LD / meta tags, so unknown layouts still yield something.
+   * ctx.location: the search's location (region for the fetch).
+   * ----------------------------------------------------- */
+  async fetchListingDetail(url, source, ctx = {}) {
+    const $ = await this.fetchHTML(url, {
+      ...this._fetchCtx(ctx, ctx.location),
+      premium_proxy: true,
+      ...(DETAIL_FETCH[source] || { render_js: false }),
+    });
+    return this.parseDetailPage($, source);
+  }
+
+  /**
+   * -> { description, postedAt, seller: { name, feedbackCount, positivePercent }|null,
+   *      postageText, postage (minor units, 0 = free, null = unknown), collectionOnly, images[] }
+   */
+  parseDetailPage($, source, now = new Date()) {
+    const sel = DETAIL_SELECTORS[source] || {};
+    const pick = (s) => (s ? $(s).first().text().replace(/\s+/g, ' ').trim() : '');
+    const ld = this._jsonLd($);
+    const product = ld.find(d => /product|offer/i.test(String(d['@type']))) || {};
+    const offer = [product.offers].flat().filter(Boolean)[0] || {};
+
+    const description =
+      pick(sel.description) ||
+      String(product.description || '').trim() ||
+      ($('meta[property="og:description"], meta[name="description"]').first().attr('content') || '').trim();
+
+    const $posted = sel.posted ? $(sel.posted).first() : null;
+    const postedAt =
+      this.parsePostedDate($posted?.attr('datetime') || $posted?.text() || '', now) ||
+      this.parsePostedDate(product.datePosted || product.datePublished || offer.validFrom || '', now);
+
+    const sellerName = pick(sel.seller) || offer.seller?.name || null;
+    const stats = sel.sellerStats ? $(sel.sellerStats).map((_, el) => $(el).text()).get().join(' ').replace(/\s+/g, ' ') : '';
+    const count = stats.match(/\(([\d,]+)\)|([\d,]+)\s+(?:feedback|ratings?|reviews?)\b/i);
+    const pct = stats.match(/([\d.]+)\s*%/);
+    const seller = sellerName || stats
+      ? {
+          name: sellerName ? String(sellerName).trim() : null,
+          feedbackCount: count ? Number((count[1] || count[2]).replace(/,/g, '')) : null,
+          positivePercent: pct ? Number(pct[1]) : null,
+        }
+      : null;
+
+    const postageText = pick(sel.postage);
+    const postageMoney = postageText ? parseMoney(postageText) : null;
+    const postage = postageMoney ? postageMoney.amount ?? postageMoney.postage : null;
+    const collectionOnly =
+      (postage == null && /\bcollect(?:ion)?\b|\bpick[- ]?up\b/i.test(postageText)) ||
+      /\b(?:collection|collect|pick[- ]?up)(?: in person)? only\b|\bdoes not post\b|\bno postage\b/i.test(`${postageText} ${description}`);
+
+    const images = [];
+    const addImage = (u) => {
+      const url = typeof u === 'string' ? u : u?.url || u?.contentUrl || '';
+      if (!/^https?:\/\//i.test(url)) return;
+      const big = source === 'ebay' && !/\/s-l1600\./i.test(url) ? this.upgradeEbayImage(url) : url; // keep zoom-size originals
+      if (!images.includes(big)) images.push(big);
+    };
+    if (sel.images) {
+      $(sel.images).each((_, el) => {
+        const $img = $(el);
+        addImage($img.attr('data-zoom-src') || $img.attr('data-src') || $img.attr('src') || '');
+      });
+    }
+    [product.image].flat().filter(Boolean).forEach(addImage);
+    addImage($('meta[property="og:image"]').first().attr('content') || '');
+
+    return {
+      description: description.slice(0, 5000),
+      postedAt,
+      seller,
+      postageText,
+      postage: postage ?? null,
+      collectionOnly,
+      images: images.slice(0, 12),
+    };
+  }
+
+  /** "Posted 3 days ago" / "2 hours ago" / "yesterday" / ISO / "14 Mar 2025" -> ISO; null if unreadable */
+  parsePostedDate(text = '', now = new Date()) {
+    const t = String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!t) return null;
+    if (/^\d{4}-\d{2}-\d{2}/.test(t)) {
+      const ts = Date.parse(t);
+      return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+    }
+    if (/\bjust now\b|\btoday\b/.test(t)) return now.toISOString();
+    if (/\byesterday\b/.test(t)) return new Date(now.getTime() - DAY_MS).toISOString();
+    const rel = t.match(/\b(\d+|an?)\s*(min(?:ute)?|hour|hr|day|week|month)s?\s+ago\b/);
+    if (rel) {
+      const n = /^\d/.test(rel[1]) ? Number(rel[1]) : 1;
+      return new Date(now.getTime() - n * AGO_UNITS_MS[rel[2]]).toISOString();
+    }
+    return this.parseSoldDate(t, now);
+  }
+
+  /** Every JSON-LD object on the page (arrays and @graph flattened); malformed blocks are skipped */
+  _jsonLd($) {
+    const out = [];
+    const walk = (d) => {
+      if (Array.isArray(d)) d.forEach(walk);
+      else if (d && typeof d === 'object') {
+        out.push(d);
+        if (d['@graph']) walk(d['@graph']);
+      }
+    };
+    $('script[type="application/ld+json"]').each((_, el) => {
+      try {
+        walk(JSON.parse($(el).contents().text()));
+      } catch {
+        // sites ship broken JSON-LD often enough not to log it
+      }
+    });
+    return out;
+  }
+
   /* -------------------------------------------------------
    * Mocks (when ScrapingBee key is absent)
    * ----------------------------------------------------- */
@@ -1,37 +1,56 @@
 // src/services/searchService.js
 import pLimit from 'p-limit';
 import { openaiService } from './openaiService.js';
-import { scrapingService } from './scrapingService.js';
+import { sourceRegistry } from './sourceRegistry.js';
+import { productKnowledge } from './productKnowledge.js';
+import { imageAnalysis } from './imageAnalysisService.js';
+import { enrichment } from './enrichmentService.js';
+import { priceHistory, dealScore } from './priceHistoryService.js';
+import { rankSemantic, recencyScore, resolveRankingMode } from './rankingService.js';
+import { SearchBudget } from './creditBudget.js';
+import { sourceHealth } from './sourceHealth.js';
 import { logger } from '../utils/logger.js';
+import { urlPathKey } from '../utils/dedupe.js';
+import { parseMoney, majorUnits, detectCurrency } from '../utils/price.js';
+import { convertMoney } from '../utils/fx.js';
+import { resolveCondition, parseConditionFilter, conditionScore } from '../utils/condition.js';
+import { parseQuery, matchesPhrases, phraseRegex, priceBounds, capBounds, withinBounds } from '../search/query.js';
+import { clusterListings } from '../search/cluster.js';
+import { assessRisk, isHighRisk } from '../search/risk.js';
+import { soldComps, soldCompsConfig } from '../search/soldComps.js';
+import { resolveNear, radiusApplies, withDistance, withinCollectionRadius } from '../search/location.js';
+import { REGIONS, resolveRegion, regionProfile } from '../search/regions.js';
+import { resolveDeadline, searchSignal, orAbort, ABORTED } from '../search/deadline.js';
 
 /* ---------- config ---------- */
 const STRICT_MODE_DEFAULT = true;     // start strict, then relax, then none
 const MAX_TERMS = 3;
 const MAX_RESULTS = 40;
 
-/* ---------- weights ---------- */
-const SOURCE_WEIGHTS = {
-  ebay: 1.0,
-  gumtree: 0.9,
-  cashConverters: 0.85,
-  facebook: 0.75,
-  vinted: 0.75,
-  depop: 0.75,
-  discogs: 0.8,
-  googleShopping: 0.6,
-  googleResults: 0.6,
-};
-
 /* ---------- string & scoring utils ---------- */
 const N = (s = '') => String(s).toLowerCase().replace(/\s+/g, ' ').trim();
 
 function normalizeText(s) { return (s || '').toLowerCase().replace(/\s+/g, ' ').trim(); }
 
-function parsePriceNumber(str) {
-  if (typeof str === 'number') return str;
-  if (!str) return null;
-  const m = String(str).replace(/,/g, '').match(/(-?\d+(?:\.\d{1,2})?)/);
-  return m ? parseFloat(m[1]) : null;
+/** Structured price (scrapers attach `money`; older rows only carry the label). */
+function moneyOf(r) {
+  return r?.money || parseMoney(r?.price);
+}
+
+/**
+ * Price fields in the requested currency, so ranking and price filters compare like with like.
+ * priceAmount is in major units; null for swaps, unpriced rows and unconvertible currencies.
+ */
+function priceIn(r, currency) {
+  const money = moneyOf(r);
+  const conv = convertMoney(money, currency);
+  return {
+    money,
+    priceAmount: conv ? majorUnits(conv.amount) : null,
+    priceCurrency: conv ? currency : null,
+    priceLabel: conv ? `${conv.converted ? '≈' : ''}${conv.label}` : r?.price || '',
+    priceConverted: conv?.converted ?? false,
+  };
 }
 
 function median(nums) {
@@ -39,90 +58,51 @@ function median(nums) {
   return a.length ? a[Math.floor(a.length / 2)] : null;
 }
 
+const batchMedian = (list) => median(list.map(x => x.priceAmount).filter(n => typeof n === 'number' && !Number.isNaN(n)));
+
 function priceClosenessScore(amount, med) {
   if (!amount || !med) return 0.5;
   const diffPct = Math.abs(amount - med) / (med + 1e-6);
   return Math.max(0, 1 - Math.min(1, diffPct));
 }
 
-function recencyScore(iso) {
-  if (!iso) return 0.5;
-  const ts = Date.parse(iso); if (Number.isNaN(ts)) return 0.5;
-  const days = (Date.now() - ts) / 86400000;
-  if (days <= 1) return 1.0;
-  if (days <= 7) return 0.8;
-  if (days <= 30) return 0.6;
-  if (days <= 90) return 0.4;
-  return 0.2;
-}
-
 // Accept link or url
-function uniqKey(r) {
+export function uniqKey(r) {
   const t = normalizeText(r?.title);
-  const p = parsePriceNumber(r?.price);
+  const p = moneyOf(r)?.amount;
   const href = r?.link || r?.url || '';
   let host = '';
   try { host = new URL(href).hostname.replace(/^www\./, ''); } catch {}
   return `${t}::${p ?? 'na'}::${host}`;
 }
 
-/* ---------- UK region filter ---------- */
-const UK_HOST_WHITELIST = new Set([
-  'ebay.co.uk',
-  'm.ebay.co.uk',
-  'gumtree.com',
-  'cashconverters.co.uk',
-  'vinted.co.uk',
-  'preloved.co.uk',
-  'onbuy.com',
-  'facebook.com',
-  'm.facebook.com',
-  'l.facebook.com',
-  'discogs.com',
-  'google.com',
-]);
-
+/* ---------- region filter ---------- */
 function hostnameOf(url) {
   try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return ''; }
 }
-const hasGBP = (price) => /(^|[^A-Za-z])£\s*\d/.test(String(price || '')) || /\bGBP\b/i.test(String(price || ''));
-const hasUSD = (price) => /\$\s*\d/.test(String(price || '')) || /\bUSD\b/i.test(String(price || ''));
-const hasEUR = (price) => /€\s*\d/.test(String(price || '')) || /\bEUR\b/i.test(String(price || ''));
 
-function isUKHost(host) {
-  return host.endsWith('.co.uk') || host.endsWith('.uk') || UK_HOST_WHITELIST.has(host);
-}
+/** The region whose filter applies: the `location` profile (search/regions.js), or the UK's when ukOnly. */
+const filterRegion = ({ location, ukOnly }) => (ukOnly ? REGIONS.gb : resolveRegion(location));
 
 /**
- * UK-only preference with clear rules. If the filter empties the list,
- * we still return [] (you asked for UK only behaviour).
+ * Region preference with clear rules, from the region profile: Facebook is kept (ScrapingBee
+ * geo-targets it), the region's own hosts unless priced in another currency, anything else
+ * only when priced in the region's currency. Locations that name no region are not
+ * filtered. If the filter empties the list, we still return [].
  */
 function regionFilter(list, { location = 'UK', ukOnly = false } = {}) {
-  const wantUK = ukOnly || String(location || '').toUpperCase() === 'UK';
-  if (!wantUK) return list;
-
-  const kept = [];
-  for (const r of list) {
-    const href = r.link || r.url || '';
-    const host = hostnameOf(href);
-    const gbp = hasGBP(r.price);
-    const usd = hasUSD(r.price);
-    const eur = hasEUR(r.price);
-    const ukHost = isUKHost(host);
-
-    // Facebook: ScrapingBee geo=gb, keep
-    if (host.endsWith('facebook.com')) { kept.push(r); continue; }
-
-    // UK host and not obviously $/€
-    if (ukHost && !(usd || eur)) { kept.push(r); continue; }
-
-    // Discogs/Google: only keep if GBP visible
-    if ((host === 'discogs.com' || host === 'google.com') && gbp) { kept.push(r); continue; }
-
-    // Generic: if no UK host signal, require GBP price
-    if (gbp && !usd && !eur) { kept.push(r); continue; }
-  }
-  return kept;
+  const region = filterRegion({ location, ukOnly });
+  if (!region) return list;
+  const hosts = new Set(region.hosts);
+  const regional = (host) => hosts.has(host) || region.tlds.some(t => host.endsWith(t));
+
+  return list.filter((r) => {
+    const host = hostnameOf(r.link || r.url || '');
+    const currency = moneyOf(r)?.currency || detectCurrency(r.price);
+    if (host.endsWith('facebook.com')) return true;
+    if (regional(host) && (!currency || currency === region.currency)) return true;
+    return currency === region.currency;
+  });
 }
 
 /* ---------- precision / relevance ---------- */
@@ -183,25 +163,6 @@ function shouldExclude(title, desc) {
   return EXCLUDE_PATTERNS.some(re => re.test(hay));
 }
 
-const STRYMON_MODELS = [
-  'ob-1','ob1','ob 1',
-  'compadre','timeline','bigsky','bluesky','blue sky','mobius','el capistan','capistan',
-  'deco','flint','lex','ola','brig','riverside','sunset','volante','dig','ojai','zuma',
-  'iridium','nightsky','night sky','cloudburst','zelzah','ultraviolet','ultra violet'
-].map(N);
-
-function detectBrand(q) {
-  const s = N(q);
-  if (s.includes('strymon')) return 'strymon';
-  if (/\bpok[eé]mon\b/.test(s)) return 'pokemon';
-  return null;
-}
-function detectTargetModel(q) {
-  const s = N(q);
-  if (/\bob[-.\s]?1\b/.test(s)) return 'ob-1';
-  return null;
-}
-
 function precisionFilter(results, query, enhanced = null, opts = {}) {
   const strict = opts.strict ?? true;
   const core = extractCoreTokens(query);
@@ -221,9 +182,8 @@ function precisionFilter(results, query, enhanced = null, opts = {}) {
   const minHitsTitle   = opts.minHitsTitle   ?? Math.min(2, regsPerTok.length);
   const minHitsRelaxed = opts.minHitsRelaxed ?? Math.min(2, regsPerTok.length);
 
-  const brand = detectBrand(query);
-  const targetModel = detectTargetModel(query);
-  const wantsSIR = /\bsir\b/i.test(query);
+  // models named in the query (product knowledge base: siblings and required rarities)
+  const targets = productKnowledge.targetsFor(query);
 
   const out = [];
   for (const r of results) {
@@ -231,6 +191,7 @@ function precisionFilter(results, query, enhanced = null, opts = {}) {
     const desc  = N(r.description || '');
     if (!title) continue;
     if (shouldExclude(title, desc)) continue;
+    if (!matchesPhrases(r, opts.query)) continue; // "phrases" / -exclusions from the query syntax
 
     let hitsTitle = 0, hitsRelaxed = 0;
     regsPerTok.forEach(regs => {
@@ -245,24 +206,7 @@ function precisionFilter(results, query, enhanced = null, opts = {}) {
       if (!(hitsTitle >= Math.max(1, minHitsRelaxed - 1) || total >= minHitsRelaxed)) continue;
     }
 
-    if (brand === 'strymon' && targetModel) {
-      const hay = `${title} ${desc}`;
-      const hasTarget = /\bob[-.\s]?1\b/.test(hay);
-      const mentionsOther = STRYMON_MODELS
-        .filter(m => !/\bob[ .-]?1\b/.test(m))
-        .some(m => hay.includes(m));
-      if (!hasTarget && mentionsOther) continue;
-    }
-
-    if (wantsSIR) {
-      const hay = `${title} ${desc}`;
-      const okSIR = /\bsir\b/.test(hay)
-        || /special illustration rare/.test(hay)
-        || /illustration rare/.test(hay)
-        || /\balt\s*art\b/.test(hay)
-        || /\bsar\b/.test(hay);
-      if (!okSIR) continue;
-    }
+    if (targets.length && !productKnowledge.accepts(`${title} ${desc}`, targets)) continue;
 
     out.push(r);
   }
@@ -270,33 +214,164 @@ function precisionFilter(results, query, enhanced = null, opts = {}) {
   return out;
 }
 
-/* ---------- active sources ---------- */
-function getActiveSources(requested) {
-  const S = scrapingService;
-  const maybe = [
-    ['ebay',            S.searchEbay.bind(S)],
-    ['gumtree',         S.searchGumtree.bind(S)],
-    ['cashConverters',  S.searchCashConverters.bind(S)],
-    ['facebook',        S.searchFacebookMarketplace.bind(S)],
-    ['vinted',          S.searchVinted?.bind(S)],
-    ['depop',           S.searchDepop?.bind(S)],
-    ['discogs',         S.searchDiscogs?.bind(S)],
-    ['googleShopping',  S.searchGoogleShopping?.bind(S)],
-    ['googleResults',   S.searchGoogleResults?.bind(S)],
-  ].filter(([, fn]) => typeof fn === 'function');
-
-  if (!requested || !Array.isArray(requested) || !requested.length) return maybe;
-  const allow = new Set(requested.map(s => s.toLowerCase()));
-  return maybe.filter(([k]) => allow.has(k.toLowerCase()));
+/* ---------- pipeline stages (shared by performSearch and streaming batches) ---------- */
+function dedupeWithPrice(all, currency = 'GBP') {
+  const seen = new Set();
+  const unique = [];
+  for (const r of all) {
+    if (!r?.title) continue;
+    const href = r?.link || r?.url;
+    if (!href) continue;
+    const key = uniqKey(r);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    unique.push({
+      ...r,
+      ...priceIn(r, currency),
+      condition: r.condition !== undefined ? r.condition : resolveCondition({ title: r.title, description: r.description }),
+    });
+  }
+  return unique;
+}
+
+/** Filters a listing in the final set got through, for explain output. */
+function appliedFilters({ query, location, ukOnly, conditionFilter, bounds, near, searchTerm, hideHighRisk }, mode) {
+  const filters = ['dedupe'];
+  if (filterRegion({ location, ukOnly })) filters.push('region');
+  if (mode !== 'none') {
+    filters.push(`precision:${mode}`, 'excludePatterns');
+    if (productKnowledge.targetsFor(searchTerm).length) filters.push('productKnowledge');
+  }
+  if (query?.phrases.length || query?.exclude.length) filters.push('phrases');
+  if (conditionFilter) filters.push('condition');
+  if (bounds) filters.push('price');
+  if (radiusApplies(near)) filters.push('radius');
+  if (hideHighRisk) filters.push('risk');
+  return filters;
+}
+
+/**
+ * Dedupe, region filter, precision (strict → relaxed → none), condition, price and
+ * collection-radius filters, then cross-source duplicate clustering (search/cluster.js) so
+ * copies become `alternates`. With a `near` origin every listing gets `distanceMiles`.
+ * `bounds` are the query's price range capped by options.maxPrice (query.js capBounds).
+ * Collection-only listings beyond the radius are dropped only when both ends are placed by
+ * outcode or town (location.js radiusApplies); coarser distances carry `distanceApprox`.
+ * `cluster: false` stops before clustering (performSearch hashes images first).
+ */
+function filterStages(all, {
+  searchTerm, query, enhanced, location, currency, ukOnly, strict, conditionFilter, bounds, near = null, cluster = true,
+}) {
+  const unique = dedupeWithPrice(all, currency);
+  const regioned = withDistance(regionFilter(unique, { location, ukOnly }), near);
+  const counts = { raw: all.length, unique: unique.length, regioned: regioned.length };
+  if (!regioned.length) return { filtered: [], mode: strict ? 'strict' : 'relaxed', counts };
+
+  let filtered = precisionFilter(regioned, searchTerm, enhanced, { strict, query });
+  let mode = strict ? 'strict' : 'relaxed';
+
+  if (!filtered.length && strict) {
+    const relaxed = precisionFilter(regioned, searchTerm, enhanced, { strict: false, query });
+    if (relaxed.length) {
+      filtered = relaxed;
+      mode = 'relaxed';
+    } else {
+      filtered = regioned.filter(r => matchesPhrases(r, query)); // show something (but honour the syntax)
+      mode = 'none';
+    }
+  }
+  counts.precise = filtered.length;
+  if (conditionFilter) {
+    filtered = filtered.filter(r => conditionFilter.test(r.condition));
+    counts.conditioned = filtered.length;
+  }
+  if (bounds) {
+    filtered = filtered.filter(r => withinBounds(r, bounds));
+    counts.priced = filtered.length;
+  }
+  if (radiusApplies(near)) {
+    filtered = filtered.filter(r => withinCollectionRadius(r, near));
+    counts.nearby = filtered.length;
+  }
+  if (cluster) {
+    filtered = clusterListings(filtered);
+    counts.clustered = filtered.length;
+  }
+  return { filtered, mode, counts };
+}
+
+/**
+ * Keyword ranking constants. Match points (capped at 1) are weighted by `match`; the
+ * other signals are 0..1 scores weighted as below. Tune these against `explain` output.
+ */
+export const KEYWORD_SCORING = {
+  queryInTitle: 0.30, queryInDescription: 0.10,
+  expansionInTitle: 0.15, expansionInDescription: 0.05,
+  category: 0.10, exactQuery: 0.20, shortTitle: -0.05, image: 0.03,
+  match: 0.50, price: 0.15, recency: 0.10, source: 0.05, condition: 0.05,
+};
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/** Points a term list earns against title/description, itemised for explain. */
+function termPoints(terms, title, desc, inTitle, inDesc) {
+  return terms.map((term) => {
+    const t = title.includes(term);
+    const d = desc.includes(term);
+    return { term, title: t, description: d, points: round3((t ? inTitle : 0) + (d ? inDesc : 0)) };
+  });
 }
 
-/* ---------- country code mapping for ScrapingBee ---------- */
-function toCountryCode(location = '') {
-  const s = N(location);
-  if (['uk','gb','united kingdom','great britain','england','scotland','wales','northern ireland'].includes(s)) return 'gb';
-  if (['us','usa','united states','america'].includes(s)) return 'us';
-  if (['ie','ireland','eire'].includes(s)) return 'ie';
-  return 'gb';
+/** opts.medianPrice: price baseline (market value from price history); defaults to this set's median. */
+function rankResults(filtered, searchTerm, enhanced, { explain = false, medianPrice = null } = {}) {
+  const W = KEYWORD_SCORING;
+  const med = medianPrice ?? batchMedian(filtered);
+  const qTerms = normalizeText(searchTerm).split(' ').filter(Boolean);
+  const eTerms = (enhanced?.search_terms || []).map(normalizeText).filter(Boolean);
+  const cats = (enhanced?.categories || []).map(normalizeText).filter(Boolean);
+  const exactQ = normalizeText(searchTerm);
+
+  const scored = filtered.map((r) => {
+    const title = normalizeText(r.title);
+    const desc = normalizeText(r.description || '');
+    const src = r.source || '';
+
+    const queryTerms = termPoints(qTerms, title, desc, W.queryInTitle, W.queryInDescription);
+    const expansionTerms = termPoints(eTerms, title, desc, W.expansionInTitle, W.expansionInDescription);
+    const categories = cats.map(c => ({ term: c, points: (title.includes(c) || desc.includes(c)) ? W.category : 0 }));
+    const exactQuery = title.includes(exactQ) ? W.exactQuery : 0;
+    const shortTitle = (r.title || '').length < 20 ? W.shortTitle : 0;
+    const image = r.image ? W.image : 0;
+    const sum = (xs) => xs.reduce((n, x) => n + x.points, 0);
+    const m = sum(queryTerms) + sum(expansionTerms) + sum(categories) + exactQuery + shortTitle + image;
+    const matchScore = Math.min(1, Math.max(0, m));
+
+    const closeness = priceClosenessScore(r.priceAmount, med);
+    const recency   = recencyScore(r.postedAt);
+    const weight    = sourceRegistry.weightOf(src);
+    const cond      = conditionScore(r.condition);
+
+    let score = W.match * matchScore + W.price * closeness + W.recency * recency + W.source * weight + W.condition * cond;
+    score = Math.max(0, Math.min(1, score));
+    const out = { ...r, score: Math.round(score * 100) / 100 };
+    if (explain) {
+      out.explain = {
+        rankingMode: 'keyword',
+        score: round3(score),
+        match: {
+          points: round3(m), capped: round3(matchScore), contribution: round3(W.match * matchScore),
+          queryTerms, expansionTerms, categories, exactQuery, shortTitle, image,
+        },
+        price: { amount: r.priceAmount ?? null, median: med, closeness: round3(closeness), contribution: round3(W.price * closeness) },
+        recency: { postedAt: r.postedAt || null, score: recency, contribution: round3(W.recency * recency) },
+        source: { source: src, weight, contribution: round3(W.source * weight) },
+        condition: { grade: r.condition?.grade || null, score: round3(cond), contribution: round3(W.condition * cond) },
+      };
+    }
+    return out;
+  });
+
+  return scored.sort((a, b) => b.score - a.score);
 }
 
 /* ---------- service ---------- */
@@ -306,53 +381,144 @@ class SearchService {
     this.maxConcurrency = Number(process.env.MAX_CONCURRENCY || 4);
   }
 
-  async performSearch(searchTerm, location = 'UK', currency = 'GBP', options = {}) {
+  /**
+   * Search the region's active sources for `searchTerm` (search/query.js syntax) and resolve to
+   * the ranked results, priced in `currency` (default: the region's; see priceIn).
+   * options: sources, maxPages, ukOnly, condition, maxPrice, near, radiusMiles, hideHighRisk
+   * (filters, see filterStages); rankingMode, explain; soldComps, enrich; budget, deadlineMs,
+   * signal; maxResults (null = all, for search sessions); onEvent(type, payload) for the
+   * streamed events listed at GET /search/stream. Bad options throw BAD_* before any fetch.
+   */
+  async performSearch(searchTerm, location = 'UK', currency = null, options = {}) {
     const startedAt = Date.now();
-    const strictRequested = options.strictMode ?? STRICT_MODE_DEFAULT;
-
-    // align ScrapingBee region
-    try {
-      scrapingService.countryCode = toCountryCode(location);
-    } catch (e) {
-      logger.warn(`⚠️ Failed to set scraping region: ${e?.message || e}`);
+    const query = parseQuery(searchTerm, { requireText: true });
+    const conditionFilter = parseConditionFilter(
+      [options.condition, query.condition].flat().filter(Boolean).flatMap(t => String(t).split(','))
+    );
+    const rankingMode = resolveRankingMode(options.rankingMode);
+    const deadlineMs = resolveDeadline(options.deadlineMs);
+    const region = regionProfile(location);
+    const near = resolveNear(options.near, options.radiusMiles, { region: region.code });
+    if (near?.radiusMiles && !radiusApplies(near)) {
+      logger.warn(`⚠️ ${near.label} is only placed by its postcode area; not filtering by the ${near.radiusMiles} mi radius`);
     }
+    const signal = searchSignal({ deadlineMs, signal: options.signal });
+    const text = query.text; // free text only: what scrapers, the enhancer and ranking see
+    const strictRequested = options.strictMode ?? STRICT_MODE_DEFAULT;
+    const emit = (type, payload) => {
+      if (typeof options.onEvent !== 'function') return;
+      try { options.onEvent(type, payload); } catch (e) { logger.warn(`⚠️ onEvent(${type}) threw: ${e?.message || e}`); }
+    };
 
     // 1) Enhance query
     let enhanced;
     try {
-      enhanced = await openaiService.enhanceSearchQuery(searchTerm);
+      enhanced = await openaiService.enhanceSearchQuery(text, { signal });
     } catch (e) {
       logger.warn(`⚠️ OpenAI enhance failed: ${e?.message || e}`);
-      enhanced = openaiService.getFallbackEnhancement(searchTerm);
+      enhanced = openaiService.getFallbackEnhancement(text);
     }
+    enhanced = { ...enhanced, query };
     this.lastEnhancedQuery = enhanced;
+    emit('enhanced', { enhancedQuery: enhanced });
 
-    const expansions = Array.isArray(enhanced?.search_terms) ? enhanced.search_terms : [];
-    const terms = [String(searchTerm || '').trim(), ...expansions]
-      .filter(Boolean)
+    // expansions that hit an exclusion would only fetch listings we then drop
+    const expansions = (Array.isArray(enhanced?.search_terms) ? enhanced.search_terms : [])
+      .filter(t => !query.exclude.some(x => phraseRegex(x).test(t)));
+    const terms = Array.from(new Set([text, ...expansions].map(t => String(t || '').trim()).filter(Boolean)))
       .slice(0, MAX_TERMS);
 
-    // 2) Pick sources & concurrency
-    const sources = getActiveSources(options.sources);
+    // 2) Pick sources & concurrency (options.sources and source: in the query both narrow the set)
+    const requested = Array.isArray(options.sources) && options.sources.length ? options.sources : region.sources;
+    let sources = sourceRegistry.active({ requested, region: region.code });
+    if (query.sources) {
+      const allow = new Set(query.sources.map(s => s.toLowerCase()));
+      sources = sources.filter(a => allow.has(a.id.toLowerCase()));
+    }
+    if (query.excludeSources.length) {
+      const deny = new Set(query.excludeSources.map(s => s.toLowerCase()));
+      sources = sources.filter(a => !deny.has(a.id.toLowerCase()));
+    }
+    if (!sources.length) {
+      logger.warn(`⚠️ No enabled sources for location=${location}`);
+      return [];
+    }
     const limit = pLimit(this.maxConcurrency);
-
-    // 3) Fire scrapes
+    const budget = options.budget || new SearchBudget();
+
+    // 3) Fire scrapes (each finished job re-runs the filter stages on the growing set for onEvent)
+    const displayCurrency = String(currency || region.currency).toUpperCase();
+    const ctx = {
+      searchTerm: text, query, enhanced, location,
+      currency: displayCurrency,
+      bounds: capBounds(priceBounds(query, displayCurrency), options.maxPrice),
+      ukOnly: options.ukOnly === true,
+      strict: strictRequested,
+      conditionFilter,
+      near,
+      hideHighRisk: options.hideHighRisk === true,
+    };
+    const streamed = [];
+    const sent = new Set();
+    const publishBatch = (source, term, batch) => {
+      streamed.push(...batch);
+      const { filtered } = filterStages(streamed, ctx);
+      const fresh = filtered.filter((r) => {
+        const k = uniqKey(r);
+        return sent.has(k) ? false : (sent.add(k), true);
+      });
+      emit('batch', { source, term, items: fresh, total: filtered.length });
+    };
+
+    // jobs are skipped, and reported, while their circuit is open (sourceHealth) and once the
+    // deadline or options.signal fires (search/deadline.js). A spent budget doesn't skip a job up
+    // front: credits are reserved inside the cache load, so cached pages are still served and only
+    // a job refused a paid fetch (BUDGET_EXCEEDED) is reported as skipped
+    const circuitOpen = new Set();
+    const timedOut = new Set();
     const jobs = [];
     for (const t of terms) {
-      for (const [key, fn] of sources) {
+      for (const { id: key, search } of sources) {
         jobs.push(
           limit(async () => {
+            if (!sourceHealth.allow(key)) {
+              circuitOpen.add(key);
+              if (options.onEvent) publishBatch(key, t, []);
+              return [];
+            }
+            if (signal?.aborted) {
+              timedOut.add(key);
+              if (options.onEvent) publishBatch(key, t, []);
+              return [];
+            }
+            const view = budget.forSource(key);
             try {
-              const out = await fn(t, location, options.maxPages || 1);
-              return Array.isArray(out)
+              const out = await orAbort(
+                search({ query: t, location, near, maxPages: options.maxPages || 1, signal, budget: view }),
+                signal
+              );
+              if (out === ABORTED) {
+                timedOut.add(key);
+                if (options.onEvent) publishBatch(key, t, []);
+                return [];
+              }
+              const batch = Array.isArray(out)
                 ? out.filter(Boolean).map(x => {
                     const link = x?.link || x?.url || '';
                     const url  = x?.url  || x?.link || '';
                     return { ...x, source: x?.source || key, link, url };
                   })
                 : [];
+              // an empty result only counts when the source was actually searched
+              if (batch.length || !view.failedFetches) sourceHealth.recordSearch(key, { count: batch.length });
+              if (options.onEvent) publishBatch(key, t, batch);
+              return batch;
             } catch (e) {
-              logger.warn(`[${key}] failed for "${t}": ${e?.message || e}`);
+              if (e?.code === 'CIRCUIT_OPEN') circuitOpen.add(key);
+              else if (signal?.aborted) timedOut.add(key);
+              else if (e?.code === 'BUDGET_EXCEEDED') budget.skip(key);
+              else logger.warn(`[${key}] failed for "${t}": ${e?.message || e}`);
+              if (options.onEvent) publishBatch(key, t, []);
               return [];
             }
           })
@@ -360,6 +526,40 @@ class SearchService {
       }
     }
 
+    // Sold comps: one completed-sales fetch alongside, kept out of `all`
+    const soldSource = (options.soldComps ?? soldCompsConfig().enabled)
+      ? sourceRegistry.active({ region: region.code }).find(a => typeof a.searchSold === 'function')
+      : null;
+    const soldJob = soldSource
+      ? limit(async () => {
+          const key = `${soldSource.id}Sold`;
+          if (!sourceHealth.allow(key)) {
+            circuitOpen.add(key);
+            return [];
+          }
+          if (signal?.aborted) {
+            timedOut.add(key);
+            return [];
+          }
+          try {
+            const out = await orAbort(soldSource.searchSold({ query: text, location, maxPages: 1, signal, budget: budget.forSource(key) }), signal);
+            if (out === ABORTED) {
+              timedOut.add(key);
+              return [];
+            }
+            return Array.isArray(out)
+              ? out.filter(Boolean).map(x => ({ ...x, source: x?.source || soldSource.id, link: x?.link || x?.url || '', url: x?.url || x?.link || '' }))
+              : [];
+          } catch (e) {
+            if (e?.code === 'CIRCUIT_OPEN') circuitOpen.add(key);
+            else if (signal?.aborted) timedOut.add(key);
+            else if (e?.code === 'BUDGET_EXCEEDED') budget.skip(key);
+            else logger.warn(`[${key}] failed for "${text}": ${e?.message || e}`);
+            return [];
+          }
+        })
+      : null;
+
     // NOTE: using allSettled prevents one source from killing all
     const settled = await Promise.allSettled(jobs);
     let all = [];
@@ -368,83 +568,108 @@ class SearchService {
     }
 
     logger.info(`🔎 Aggregated raw items: ${all.length}`);
+    const soldOut = soldJob ? await soldJob : null; // settled before reporting what timed out
+    if (timedOut.size) {
+      logger.warn(`⏱️ ${signal.reason?.name === 'TimeoutError' ? `Deadline (${deadlineMs}ms)` : 'Search aborted'}: cancelled ${[...timedOut].join(', ')}`);
+      emit('timedOut', { sources: [...timedOut], deadlineMs });
+    }
+    if (soldOut) {
+      // same dedupe/region/precision/condition as the results, but not the price bounds (they'd skew the median)
+      const { filtered: sold, mode: soldMode } = filterStages(soldOut, { ...ctx, bounds: null, near: null, cluster: false });
+      const comps = soldComps(soldMode === 'none' ? [] : sold, { currency: displayCurrency });
+      logger.info(`🧾 Sold comps: ${comps.count}${comps.median != null ? ` (median ${displayCurrency} ${comps.median})` : ''}`);
+      emit('soldComps', { soldComps: comps });
+    }
+    const cost = budget.summary();
+    logger.info(`💳 ScrapingBee credits: ${cost.credits} over ${cost.requests} requests${cost.skippedJobs ? `, ${cost.skippedJobs} jobs skipped (budget)` : ''}`);
+    if (circuitOpen.size) logger.warn(`⛔ Skipped (circuit open): ${[...circuitOpen].join(', ')}`);
 
     if (!all.length) {
       logger.warn('⚠️ No results from any source');
       return [];
     }
 
-    // 4) Deduplicate + compute numeric price
-    const seen = new Set();
-    const unique = [];
-    for (const r of all) {
-      if (!r?.title) continue;
-      const href = r?.link || r?.url;
-      if (!href) continue;
-      const key = uniqKey(r);
-      if (seen.has(key)) continue;
-      seen.add(key);
-      unique.push({ ...r, priceAmount: parsePriceNumber(r.price) });
-    }
-    logger.info(`🧹 After dedupe: ${unique.length}`);
-
-    // 5) Region filter (UK-only as requested)
-    const regioned = regionFilter(unique, { location, ukOnly: options.ukOnly === true });
-    logger.info(`🏳️ After UK filter: ${regioned.length}`);
-    if (!regioned.length) {
+    // 4-6) Dedupe → region → precision → condition/price
+    let { filtered, mode, counts } = filterStages(all, { ...ctx, cluster: false });
+    logger.info(`🧹 After dedupe: ${counts.unique}`);
+    logger.info(`🏳️ After region filter (${region.code}): ${counts.regioned}`);
+    if (!counts.regioned) {
       logger.info('ℹ️ Region filter removed all items; returning [].');
       return [];
     }
+    logger.info(`🎯 After precision (${mode}): ${counts.precise}`);
+    if (conditionFilter) logger.info(`🏷️ After condition (${conditionFilter.terms.join(',')}): ${counts.conditioned}`);
+    if (ctx.bounds) logger.info(`💷 After price ${ctx.bounds.min ?? ''}..${ctx.bounds.max ?? ''} ${displayCurrency}: ${counts.priced}`);
+    if (radiusApplies(near)) logger.info(`📍 After collection radius (${near.radiusMiles} mi of ${near.label}): ${counts.nearby}`);
+    if (!filtered.length) return [];
 
-    // 6) Precision filtering
-    let filtered = precisionFilter(regioned, searchTerm, enhanced, { strict: strictRequested });
-    let mode = strictRequested ? 'strict' : 'relaxed';
-
-    if (!filtered.length && strictRequested) {
-      const relaxed = precisionFilter(regioned, searchTerm, enhanced, { strict: false });
-      if (relaxed.length) {
-        filtered = relaxed;
-        mode = 'relaxed';
-      } else {
-        filtered = regioned; // show something
-        mode = 'none';
+    // photo hashes feed clustering; reuse is counted per cluster so cross-posts count once
+    filtered = await imageAnalysis.hashListings(filtered, { signal });
+    const before = filtered.length;
+    filtered = await imageAnalysis.flagReuse(clusterListings(filtered));
+    if (filtered.length < before) logger.info(`🪢 After cross-source clustering: ${filtered.length}`);
+
+    // 7) Detail enrichment of the provisional top N; everything after re-scores with it
+    if ((options.enrich ?? enrichment.enabled) && !signal?.aborted) {
+      try {
+        filtered = await enrichment.enrich(rankResults(filtered, text, enhanced), { budget, signal, location });
+      } catch (e) {
+        logger.warn(`⚠️ Detail enrichment failed: ${e?.message || e}`);
       }
+      // item pages can reveal that an eBay listing is collection-only
+      if (radiusApplies(near)) filtered = filtered.filter(r => withinCollectionRadius(r, near));
+      if (!filtered.length) return [];
     }
-    logger.info(`🎯 After precision (${mode}): ${filtered.length}`);
-    if (!filtered.length) return [];
 
-    // 7) Ranking
-    const med = median(filtered.map(x => x.priceAmount).filter(n => typeof n === 'number' && !Number.isNaN(n)));
-    const qTerms = normalizeText(searchTerm).split(' ').filter(Boolean);
-    const eTerms = (enhanced?.search_terms || []).map(normalizeText).filter(Boolean);
-    const cats = (enhanced?.categories || []).map(normalizeText).filter(Boolean);
-    const exactQ = normalizeText(searchTerm);
-
-    const scored = filtered.map((r) => {
-      const title = normalizeText(r.title);
-      const desc = normalizeText(r.description || '');
-      const src = r.source || '';
-
-      let m = 0;
-      for (const t of qTerms) { if (t && title.includes(t)) m += 0.30; if (t && desc.includes(t)) m += 0.10; }
-      for (const t of eTerms) { if (t && title.includes(t)) m += 0.15; if (t && desc.includes(t)) m += 0.05; }
-      for (const c of cats)   { if (c && (title.includes(c) || desc.includes(c))) m += 0.10; }
-      if (title.includes(exactQ)) m += 0.20;
-      if ((r.title || '').length < 20) m -= 0.05;
-      if (r.image) m += 0.03;
-
-      const priceScore = priceClosenessScore(r.priceAmount, med) * 0.15;
-      const recScore   = recencyScore(r.postedAt) * 0.10;
-      const srcWeight  = (SOURCE_WEIGHTS[src] ?? 0.6) * 0.05;
-
-      let score = 0.50 * Math.min(1, Math.max(0, m)) + priceScore + recScore + srcWeight;
-      score = Math.max(0, Math.min(1, score));
-      return { ...r, score: Math.round(score * 100) / 100 };
-    });
+    filtered = assessRisk(filtered, { flags: enhanced?.flags, country: region.code, currency: displayCurrency });
+
+    // 8) Market value: deal scores against price history (before this batch), then record the batch
+    let marketValue = null;
+    try {
+      marketValue = await priceHistory.marketValue(text, { currency: displayCurrency, region: region.code });
+      const baseline = marketValue.reliable ? marketValue : null;
+      filtered = filtered.map(r => ({ ...r, deal: baseline ? dealScore(r.priceAmount, baseline) : null }));
+      await priceHistory.record(text, filtered
+        .filter(r => !isHighRisk(r))
+        .map(r => ({ key: urlPathKey(r.link || r.url) || uniqKey(r), priceAmount: r.priceAmount })), { currency: displayCurrency, region: region.code });
+      if (baseline) logger.info(`📈 Market value ${displayCurrency} ${baseline.median} (IQR ${baseline.iqr}, n=${baseline.count})`);
+    } catch (e) {
+      logger.warn(`⚠️ Price history failed: ${e?.message || e}`);
+    }
+    emit('market', { marketValue });
 
-    const top = scored.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+    const risky = filtered.filter(r => isHighRisk(r)).length;
+    if (risky) {
+      logger.info(`🚩 High-risk listings: ${risky}${ctx.hideHighRisk ? ' (hidden)' : ''}`);
+      if (ctx.hideHighRisk) filtered = filtered.filter(r => !isHighRisk(r));
+      if (!filtered.length) return [];
+    }
+
+    // 9) Ranking (price closeness uses the market value once it's reliable, else this batch's median)
+    const medianPrice = marketValue?.reliable ? marketValue.median : batchMedian(filtered);
+    let ranked;
+    let provider = null;
+    if (rankingMode === 'semantic') {
+      ({ ranked, provider } = await rankSemantic(filtered, {
+        query: text,
+        keywords: normalizeText(text).split(' ').filter(Boolean),
+        medianPrice,
+        sourceWeights: Object.fromEntries(sourceRegistry.ids().map(id => [id, sourceRegistry.weightOf(id)])),
+        explain: options.explain === true,
+        signal,
+      }));
+      logger.info(`🧠 Semantic ranking (${provider} embeddings)`);
+    } else {
+      ranked = rankResults(filtered, text, enhanced, { explain: options.explain === true, medianPrice });
+    }
+    emit('ranked', { rankingMode, provider });
+    let top = options.maxResults === null ? ranked : ranked.slice(0, options.maxResults || MAX_RESULTS);
+    if (options.explain === true) {
+      const filters = appliedFilters(ctx, mode);
+      top = top.map(r => ({ ...r, explain: { ...r.explain, precision: mode, filters } }));
+    }
 
-    logger.info(`✅ Returning ${top.length} results in ${Date.now() - startedAt}ms (precision=${mode}, location=${location})`);
+    logger.info(`✅ Returning ${top.length} results in ${Date.now() - startedAt}ms (precision=${mode}, ranking=${rankingMode}, location=${location}${near ? `, near=${near.label}` : ''})`);
     return top;
   }
 
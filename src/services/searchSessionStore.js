@@ -0,0 +1,41 @@
+// src/services/searchSessionStore.js
+import { randomUUID } from 'node:crypto';
+import { MemoryLRU } from '../utils/responseCache.js';
+
+const SESSION_TTL_MS = Number(process.env.SEARCH_SESSION_TTL_SECONDS || 600) * 1000;
+const SESSION_MAX = Number(process.env.SEARCH_SESSION_MAX || 200);
+
+/**
+ * Short-lived search sessions: the full ranked set of one search, kept in memory so
+ * later pages / re-sorts (GET /search/:searchId) don't scrape again.
+ * Sessions expire after SEARCH_SESSION_TTL_SECONDS; the oldest are evicted past SEARCH_SESSION_MAX.
+ */
+export class SearchSessionStore {
+  constructor({ ttlMs = SESSION_TTL_MS, maxEntries = SESSION_MAX } = {}) {
+    this.ttlMs = ttlMs;
+    this.backend = new MemoryLRU({ maxEntries });
+  }
+
+  /** Store `listings` (relevance order) plus request metadata; returns the session. */
+  async create({ listings = [], ...meta } = {}) {
+    const now = Date.now();
+    const session = {
+      searchId: randomUUID(),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      ...meta,
+      listings,
+    };
+    await this.backend.set(session.searchId, session, this.ttlMs);
+    return session;
+  }
+
+  /** The session, or null once it has expired or been evicted. */
+  async get(searchId) {
+    return (await this.backend.get(String(searchId || ''))) || null;
+  }
+
+  get size() { return this.backend.size; }
+}
+
+export const searchSessions = new SearchSessionStore();
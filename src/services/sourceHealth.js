@@ -0,0 +1,159 @@
+// src/services/sourceHealth.js
+import { logger } from '../utils/logger.js';
+
+const CIRCUIT_ENABLED = process.env.SOURCE_CIRCUIT_BREAKER !== 'false';
+const CIRCUIT_FAILURES = Number(process.env.SOURCE_CIRCUIT_FAILURES || 3);
+const CIRCUIT_COOLDOWN_MS = Number(process.env.SOURCE_CIRCUIT_COOLDOWN_SECONDS || 300) * 1000;
+const WINDOW = Number(process.env.SOURCE_HEALTH_WINDOW || 50);
+
+/** Sold-comps and item-page fetches are charged as `ebaySold`/`ebayDetail` but hit the same site. */
+export const healthKey = (source) => String(source || 'default').replace(/(Sold|Detail)$/, '');
+
+const rate = (hits, n) => (n ? Math.round((hits / n) * 1000) / 1000 : null);
+const push = (arr, v) => { arr.push(v); if (arr.length > WINDOW) arr.shift(); };
+
+/**
+ * Per-source health: fetch outcomes (success, latency, block pages) and search results
+ * (empty or not), with a circuit breaker per source.
+ *   closed     normal
+ *   open       SOURCE_CIRCUIT_FAILURES failed fetches in a row (errors or block pages):
+ *              the source is skipped for SOURCE_CIRCUIT_COOLDOWN_SECONDS
+ *   half_open  cool-down over: one trial fetch goes through (others are refused while it's in
+ *              flight) and its outcome closes or re-opens the circuit
+ * Rates and latency are over the last SOURCE_HEALTH_WINDOW fetches/searches; counts are
+ * since start. SOURCE_CIRCUIT_BREAKER=false keeps the stats but never opens a circuit.
+ */
+export class SourceHealth {
+  constructor({
+    enabled = CIRCUIT_ENABLED,
+    failures = CIRCUIT_FAILURES,
+    cooldownMs = CIRCUIT_COOLDOWN_MS,
+    now = () => Date.now(),
+  } = {}) {
+    this.enabled = enabled;
+    this.failures = failures;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.sources = new Map();
+  }
+
+  _src(source) {
+    const key = healthKey(source);
+    if (!this.sources.has(key)) {
+      this.sources.set(key, {
+        state: 'closed',
+        openUntil: null,
+        consecutiveFailures: 0,
+        totals: { requests: 0, failures: 0, blocks: 0, searches: 0, empty: 0, opened: 0 },
+        requests: [], // { ok, ms }
+        searches: [], // item counts
+        lastError: null,
+        trialInFlight: false,
+      });
+    }
+    return this.sources.get(key);
+  }
+
+  /** Circuit state for `source`, moving open -> half_open once the cool-down is over. */
+  state(source) {
+    const s = this._src(source);
+    if (s.state === 'open' && this.now() >= s.openUntil) {
+      s.state = 'half_open';
+      logger.info(`🔌 ${healthKey(source)} circuit half-open, trying again`);
+    }
+    return s.state;
+  }
+
+  /** False while the source's circuit is open, or half-open with its trial fetch under way (and the breaker is on). */
+  allow(source) {
+    if (!this.enabled) return true;
+    const state = this.state(source);
+    return state === 'closed' || (state === 'half_open' && !this._src(source).trialInFlight);
+  }
+
+  /**
+   * Called by the fetch that allow() let through: true when it is the half-open trial, which
+   * must then recordRequest() or endTrial() so the next fetch can try.
+   */
+  claimTrial(source) {
+    if (!this.enabled || !this.allow(source) || this.state(source) !== 'half_open') return false;
+    this._src(source).trialInFlight = true;
+    return true;
+  }
+
+  /** The trial ended without an outcome (cancelled, cache hit, out of budget): let another fetch try. */
+  endTrial(source) {
+    this._src(source).trialInFlight = false;
+  }
+
+  /** Time the circuit for `source` re-opens for a trial fetch (ISO), or null. */
+  openUntil(source) {
+    const s = this._src(source);
+    return s.state === 'open' ? new Date(s.openUntil).toISOString() : null;
+  }
+
+  /** One fetch: ok, how long it took, and whether the site served a block page. */
+  recordRequest(source, { ok, ms = null, blocked = false, error = null } = {}) {
+    const s = this._src(source);
+    this.state(source);
+    s.totals.requests++;
+    s.trialInFlight = false;
+    push(s.requests, { ok: Boolean(ok), ms });
+    if (ok) {
+      s.consecutiveFailures = 0;
+      if (s.state === 'half_open') {
+        s.state = 'closed';
+        logger.info(`🔌 ${healthKey(source)} circuit closed`);
+      }
+      return;
+    }
+    s.totals.failures++;
+    if (blocked) s.totals.blocks++;
+    s.consecutiveFailures++;
+    s.lastError = { at: new Date(this.now()).toISOString(), blocked, message: error ? String(error) : null };
+    const trip = s.state === 'half_open' || s.consecutiveFailures >= this.failures;
+    if (this.enabled && trip && s.state !== 'open') {
+      s.state = 'open';
+      s.openUntil = this.now() + this.cooldownMs;
+      s.totals.opened++;
+      logger.warn(`⛔ ${healthKey(source)} circuit open for ${Math.round(this.cooldownMs / 1000)}s after ${s.consecutiveFailures} failed fetch${s.consecutiveFailures === 1 ? '' : 'es'}${blocked ? ' (blocked)' : ''}`);
+    }
+  }
+
+  /** One search job's item count (empty results don't trip the circuit: some queries have none). */
+  recordSearch(source, { count = 0 } = {}) {
+    const s = this._src(source);
+    s.totals.searches++;
+    if (!count) s.totals.empty++;
+    push(s.searches, count);
+  }
+
+  stats() {
+    const sources = {};
+    for (const key of [...this.sources.keys()].sort()) {
+      const state = this.state(key);
+      const s = this.sources.get(key);
+      const timed = s.requests.filter(r => Number.isFinite(r.ms));
+      sources[key] = {
+        state,
+        openUntil: this.openUntil(key),
+        successRate: rate(s.requests.filter(r => r.ok).length, s.requests.length),
+        avgLatencyMs: timed.length ? Math.round(timed.reduce((n, r) => n + r.ms, 0) / timed.length) : null,
+        emptyRate: rate(s.searches.filter(n => !n).length, s.searches.length),
+        consecutiveFailures: s.consecutiveFailures,
+        ...s.totals,
+        lastError: s.lastError,
+      };
+    }
+    return {
+      circuit: { enabled: this.enabled, failures: this.failures, cooldownSeconds: Math.round(this.cooldownMs / 1000) },
+      sources,
+    };
+  }
+
+  reset() {
+    this.sources.clear();
+  }
+}
+
+export const sourceHealth = new SourceHealth();
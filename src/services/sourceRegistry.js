@@ -0,0 +1,114 @@
+// src/services/sourceRegistry.js
+import { readdir } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { logger } from '../utils/logger.js';
+
+const SOURCES_DIR = new URL('../sources/', import.meta.url);
+
+/**
+ * Source adapter contract (one default export per file in src/sources/):
+ *    {
+ *      id: string,               // stable key: 'ebay', 'cashConverters', ...
+ *      displayName: string,
+ *      regions: string[],        // region profile codes (search/regions.js): 'gb', 'ie', 'us', 'fr', 'de'
+ *      defaultWeight: number,    // 0..1 ranking weight
+ *      search({ query, location, near, maxPages, signal, budget }) => Promise<listing[]>
+ *                                // near: search/location.js origin (postcode, town, radiusMiles) or null
+ *                                // signal: AbortSignal for the search deadline; hand it to fetchHTML
+ *      searchSold?(same args) => Promise<listing[]>  // optional: completed sales with `soldAt`
+ *      fetchDetail?({ url, location, signal, budget }) => Promise<detail>  // optional: item page (enrichmentService)
+ *    }
+ *
+ * Adapters are enabled unless ENABLE_<ID>=false (e.g. ENABLE_CASHCONVERTERS=false).
+ */
+export function validateAdapter(a) {
+  const problems = [];
+  if (!a || typeof a !== 'object') return ['adapter is not an object'];
+  if (typeof a.id !== 'string' || !/^[a-z][a-zA-Z0-9]*$/.test(a.id)) problems.push('id must be a camelCase string');
+  if (typeof a.displayName !== 'string' || !a.displayName.trim()) problems.push('displayName missing');
+  if (!Array.isArray(a.regions) || !a.regions.length || !a.regions.every(r => typeof r === 'string')) {
+    problems.push('regions must be a non-empty string[]');
+  }
+  if (typeof a.search !== 'function') problems.push('search must be a function');
+  if (a.searchSold != null && typeof a.searchSold !== 'function') problems.push('searchSold must be a function when set');
+  if (a.fetchDetail != null && typeof a.fetchDetail !== 'function') problems.push('fetchDetail must be a function when set');
+  if (typeof a.defaultWeight !== 'number' || a.defaultWeight < 0 || a.defaultWeight > 1) {
+    problems.push('defaultWeight must be a number in 0..1');
+  }
+  return problems;
+}
+
+function envEnabled(id) {
+  const raw = process.env[`ENABLE_${id.toUpperCase()}`];
+  if (raw == null || raw === '') return true;
+  return !/^(false|0|no|off)$/i.test(raw.trim());
+}
+
+export class SourceRegistry {
+  constructor() {
+    this.adapters = new Map(); // id -> adapter
+  }
+
+  register(adapter, { file = '' } = {}) {
+    const problems = validateAdapter(adapter);
+    if (problems.length) {
+      throw new Error(`Invalid source adapter${file ? ` (${file})` : ''}: ${problems.join('; ')}`);
+    }
+    if (this.adapters.has(adapter.id)) {
+      throw new Error(`Duplicate source adapter id "${adapter.id}"${file ? ` (${file})` : ''}`);
+    }
+    this.adapters.set(adapter.id, { ...adapter, enabled: envEnabled(adapter.id) });
+    return this;
+  }
+
+  /** Import every *.js in a directory; bad adapters are logged and skipped. */
+  async load(dir = SOURCES_DIR) {
+    const dirUrl = dir instanceof URL ? dir : pathToFileURL(String(dir).replace(/\/?$/, '/'));
+    const files = (await readdir(fileURLToPath(dirUrl))).filter(f => f.endsWith('.js')).sort();
+    for (const file of files) {
+      try {
+        const mod = await import(new URL(file, dirUrl).href);
+        this.register(mod.default, { file });
+      } catch (e) {
+        logger.warn(`⚠️ Skipping source adapter ${file}: ${e?.message || e}`);
+      }
+    }
+    logger.info(`🧩 Source adapters: ${this.ids().join(', ') || '(none)'}`);
+    return this;
+  }
+
+  get(id) {
+    if (!id) return null;
+    const want = String(id).toLowerCase();
+    for (const a of this.adapters.values()) if (a.id.toLowerCase() === want) return a;
+    return null;
+  }
+
+  ids() { return Array.from(this.adapters.keys()); }
+
+  weightOf(id, fallback = 0.6) {
+    return this.get(id)?.defaultWeight ?? fallback;
+  }
+
+  /** { ebay: true, vinted: false, ... } — backs config.sources */
+  enabledMap() {
+    return Object.fromEntries(Array.from(this.adapters.values()).map(a => [a.id, a.enabled]));
+  }
+
+  /**
+   * Enabled adapters to run for a search, narrowed to an optional `requested` list
+   * (case-insensitive ids) and to those supporting `region`.
+   */
+  active({ requested, region } = {}) {
+    let list = Array.from(this.adapters.values()).filter(a => a.enabled);
+    if (Array.isArray(requested) && requested.length) {
+      const allow = new Set(requested.map(s => String(s).toLowerCase()));
+      list = list.filter(a => allow.has(a.id.toLowerCase()));
+    }
+    if (region) list = list.filter(a => a.regions.includes(region));
+    return list;
+  }
+}
+
+export const sourceRegistry = new SourceRegistry();
+await sourceRegistry.load();
@@ -0,0 +1,137 @@
+// src/services/webhookService.js
+import axios from 'axios';
+import pRetry, { AbortError } from 'p-retry';
+import { createHmac } from 'node:crypto';
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_RETRIES = Number(process.env.WEBHOOK_RETRIES || 3);
+
+/** Hosts (or IPs) allowed despite resolving to a private address, e.g. a receiver on the LAN. */
+const allowedHosts = () => (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+/* ---------- target checks (no webhooks into this server's own network) ---------- */
+const V4_PRIVATE = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+];
+const v4Int = (ip) => ip.split('.').reduce((n, o) => (n << 8) + Number(o), 0) >>> 0;
+
+/** Loopback, private, link-local, CGNAT, multicast/reserved and unspecified addresses. */
+export function isPrivateAddress(ip) {
+  const addr = String(ip || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (isIP(addr) === 4) {
+    return V4_PRIVATE.some(([base, bits]) => (v4Int(addr) >>> (32 - bits)) === (v4Int(base) >>> (32 - bits)));
+  }
+  if (isIP(addr) !== 6) return false;
+  const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const hex = addr.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/); // how URL writes ::ffff:127.0.0.1
+  if (hex) {
+    const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return addr === '::' || addr === '::1' || /^f[cd]/.test(addr) || /^fe[89ab]/.test(addr) || /^ff/.test(addr);
+}
+
+/** Returns a reason `url` can't be a webhook target without a DNS lookup (scheme, literal IPs), or null. */
+export function webhookUrlProblem(url, { allowHosts = allowedHosts() } = {}) {
+  let u;
+  try { u = new URL(url); } catch { return 'webhookUrl must be an http(s) URL'; }
+  if (!['http:', 'https:'].includes(u.protocol)) return 'webhookUrl must be an http(s) URL';
+  if (u.username || u.password) return 'webhookUrl must not carry credentials';
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (allowHosts.includes(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    return 'webhookUrl must not point at a private or loopback address';
+  }
+  return null;
+}
+
+/** webhookUrlProblem, plus every address the host resolves to (names that map to private IPs). */
+export async function checkWebhookTarget(url, { allowHosts = allowedHosts() } = {}) {
+  const problem = webhookUrlProblem(url, { allowHosts });
+  if (problem) return problem;
+  const host = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (allowHosts.includes(host) || isIP(host)) return null;
+  let addrs;
+  try { addrs = await lookup(host, { all: true }); } catch (e) { return `webhook host ${host} did not resolve: ${e?.code || e?.message || e}`; }
+  return addrs.some(a => isPrivateAddress(a.address)) ? `webhook host ${host} resolves to a private address` : null;
+}
+
+/**
+ * Signature the receiver recomputes: HMAC-SHA256 over `${timestamp}.${body}`,
+ * sent as `X-Hunta-Signature: sha256=<hex>` next to `X-Hunta-Timestamp`.
+ */
+export function signPayload(body, timestamp, secret) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POST a signed JSON payload with retries (exponential backoff; 4xx other than 408/429 is not
+ * retried). Nothing is sent without a secret, or to a target checkWebhookTarget refuses
+ * (WEBHOOK_ALLOWED_HOSTS / `allowHosts` lets named hosts through).
+ * Never throws: resolves to a delivery record with every attempt, for the caller to log/persist.
+ */
+export async function deliverWebhook(url, payload, {
+  secret = process.env.ALERT_WEBHOOK_SECRET || '',
+  retries = DEFAULT_RETRIES,
+  timeout = 10000,
+  minTimeout = 1000,
+  allowHosts = allowedHosts(),
+} = {}) {
+  const body = JSON.stringify(payload);
+  const attempts = [];
+
+  const refused = !secret ? 'no webhook secret configured' : await checkWebhookTarget(url, { allowHosts });
+  if (refused) {
+    logger.error(`❌ Webhook to ${url} not sent: ${refused}`);
+    return { url, ok: false, attempts, retries: 0, error: refused };
+  }
+
+  const attempt = async (attemptNumber) => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Hunta-Webhook/1.0',
+      'X-Hunta-Timestamp': timestamp,
+      'X-Hunta-Signature': signPayload(body, timestamp, secret),
+    };
+
+    const started = Date.now();
+    const rec = { attempt: attemptNumber, at: new Date(started).toISOString(), status: null, error: null, durationMs: 0 };
+    attempts.push(rec);
+    try {
+      const res = await axios.post(url, body, { headers, timeout, maxRedirects: 0, validateStatus: () => true });
+      rec.status = res.status;
+      rec.durationMs = Date.now() - started;
+      if (res.status >= 200 && res.status < 300) return res.status;
+      const err = new Error(`Webhook responded ${res.status}`);
+      if (res.status >= 400 && res.status < 500 && ![408, 429].includes(res.status)) throw new AbortError(err);
+      throw err;
+    } catch (e) {
+      rec.durationMs = Date.now() - started;
+      rec.error = rec.error || e?.message || String(e);
+      throw e;
+    }
+  };
+
+  let ok = false;
+  try {
+    await pRetry(attempt, {
+      retries,
+      minTimeout,
+      factor: 2,
+      onFailedAttempt: (e) => {
+        logger.warn(`⚠️ Webhook attempt ${e.attemptNumber} to ${url} failed (${e.retriesLeft} retries left): ${e.message}`);
+      },
+    });
+    ok = true;
+  } catch (e) {
+    logger.error(`❌ Webhook to ${url} gave up after ${attempts.length} attempt(s): ${e?.message || e}`);
+  }
+
+  return { url, ok, attempts, retries: Math.max(0, attempts.length - 1) };
+}
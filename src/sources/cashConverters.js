@@ -0,0 +1,10 @@
+// src/sources/cashConverters.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'cashConverters',
+  displayName: 'Cash Converters',
+  regions: ['gb'],
+  defaultWeight: 0.85,
+  search: ({ query, location, maxPages, signal, budget }) => scrapingService.searchCashConverters(query, location, maxPages, { budget, signal }),
+};
@@ -0,0 +1,10 @@
+// src/sources/depop.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'depop',
+  displayName: 'Depop',
+  regions: ['gb', 'us', 'ie'],
+  defaultWeight: 0.75,
+  search: ({ query, location, maxPages, signal, budget }) => scrapingService.searchDepop(query, location, maxPages, { budget, signal }),
+};
@@ -0,0 +1,10 @@
+// src/sources/discogs.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'discogs',
+  displayName: 'Discogs',
+  regions: ['gb', 'ie', 'us', 'fr', 'de'],
+  defaultWeight: 0.8,
+  search: ({ query, location, maxPages, signal, budget }) => scrapingService.searchDiscogs(query, location, maxPages, { budget, signal }),
+};
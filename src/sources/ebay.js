@@ -0,0 +1,12 @@
+// src/sources/ebay.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'ebay',
+  displayName: 'eBay',
+  regions: ['gb', 'ie', 'us', 'fr', 'de'],
+  defaultWeight: 1.0,
+  search: ({ query, location, near, maxPages, signal, budget }) => scrapingService.searchEbay(query, location, maxPages, { budget, signal, near }),
+  searchSold: ({ query, location, maxPages, signal, budget }) => scrapingService.searchEbay(query, location, maxPages, { budget, signal, sold: true }),
+  fetchDetail: ({ url, location, signal, budget }) => scrapingService.fetchListingDetail(url, 'ebay', { budget, signal, location }),
+};
@@ -0,0 +1,10 @@
+// src/sources/facebook.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'facebook',
+  displayName: 'Facebook Marketplace',
+  regions: ['gb', 'ie', 'us', 'fr', 'de'],
+  defaultWeight: 0.75,
+  search: ({ query, location, near, maxPages, signal, budget }) => scrapingService.searchFacebookMarketplace(query, location, maxPages, { budget, signal, near }),
+};
@@ -0,0 +1,10 @@
+// src/sources/googleResults.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'googleResults',
+  displayName: 'Google Results',
+  regions: ['gb', 'ie', 'us', 'fr', 'de'],
+  defaultWeight: 0.6,
+  search: ({ query, location, maxPages, signal, budget }) => scrapingService.searchGoogleResults(query, location, maxPages, { budget, signal }),
+};
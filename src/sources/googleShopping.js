@@ -0,0 +1,10 @@
+// src/sources/googleShopping.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'googleShopping',
+  displayName: 'Google Shopping',
+  regions: ['gb', 'ie', 'us', 'fr', 'de'],
+  defaultWeight: 0.6,
+  search: ({ query, location, maxPages, signal, budget }) => scrapingService.searchGoogleShopping(query, location, maxPages, { budget, signal }),
+};
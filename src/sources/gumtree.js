@@ -0,0 +1,11 @@
+// src/sources/gumtree.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'gumtree',
+  displayName: 'Gumtree',
+  regions: ['gb'],
+  defaultWeight: 0.9,
+  search: ({ query, location, near, maxPages, signal, budget }) => scrapingService.searchGumtree(query, location, maxPages, { budget, signal, near }),
+  fetchDetail: ({ url, location, signal, budget }) => scrapingService.fetchListingDetail(url, 'gumtree', { budget, signal, location }),
+};
@@ -0,0 +1,10 @@
+// src/sources/vinted.js
+import { scrapingService } from '../services/scrapingService.js';
+
+export default {
+  id: 'vinted',
+  displayName: 'Vinted',
+  regions: ['gb', 'fr', 'de'],
+  defaultWeight: 0.75,
+  search: ({ query, location, maxPages, signal, budget }) => scrapingService.searchVinted(query, location, maxPages, { budget, signal }),
+};
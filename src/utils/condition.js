@@ -0,0 +1,119 @@
+// src/utils/condition.js
+/**
+ * One condition scale for every source, worst → best:
+ *    for_parts < fair < used < good < very_good < like_new < new
+ * `used` is "second-hand, grade not stated" (eBay "Pre-owned", Gumtree "Used"),
+ * so it ranks below the graded conditions a seller has actually committed to.
+ *
+ * Listings carry { grade, label, from: 'listing'|'inferred', raw } or null.
+ */
+export const CONDITION_GRADES = ['for_parts', 'fair', 'used', 'good', 'very_good', 'like_new', 'new'];
+
+export const CONDITION_LABELS = {
+  for_parts: 'For parts / not working',
+  fair: 'Fair',
+  used: 'Used',
+  good: 'Good',
+  very_good: 'Very good',
+  like_new: 'Like new',
+  new: 'New',
+};
+
+export const gradeRank = (grade) => CONDITION_GRADES.indexOf(grade);
+
+/* ---------- source condition text (most specific first) ---------- */
+const LISTING_RULES = [
+  [/for parts|not working|non[- ]?functioning|spares (?:or|and|\/) repairs?|faulty|\bbroken\b/i, 'for_parts'],
+  [/new with defects|new without tags|new \(other\)|open(?:ed)? box|opened[ –-]+never used|b-stock|like new|as new|\bmint\b/i, 'like_new'],
+  [/brand new|new with tags|\bsealed\b|^new$|^new\b(?! listing)/i, 'new'],
+  [/refurbished/i, 'very_good'],
+  [/very good|\bexcellent\b/i, 'very_good'],
+  [/\bgood\b/i, 'good'],
+  [/\b(?:fair|satisfactory|acceptable|poor|heavily used)\b/i, 'fair'],
+  [/pre-?owned|\bused\b|second[- ]hand/i, 'used'],
+];
+
+// Goldmine grading as printed by Discogs: "Very Good Plus (VG+)", "Near Mint (NM or M-)"
+const DISCOGS_GRADES = [
+  [/\(M\)|^mint\b/i, 'new'],
+  [/\bNM\b|\bM-|near mint/i, 'like_new'],
+  [/VG\+|very good plus/i, 'very_good'],
+  [/\(VG\)|^very good\b/i, 'good'],
+  [/\(G\+?\)|^good/i, 'fair'],
+  [/\(F\)|\(P\)|^fair|^poor/i, 'for_parts'],
+];
+
+/* ---------- title keywords (only used when the source gives nothing) ---------- */
+const TITLE_RULES = [
+  [/\b(?:spares|repairs?|for parts|not working|faulty|broken)\b/i, 'for_parts'],
+  [/\b(?:bnib|bnwt|brand new|new (?:in|&) box(?:ed)?|new sealed|factory sealed|sealed)\b/i, 'new'],
+  [/\b(?:like new|as new|mint(?: condition)?|unused|nwot)\b/i, 'like_new'],
+  [/\b(?:vgc|very good|excellent(?: condition)?|immaculate)\b/i, 'very_good'],
+  [/\b(?:good condition|gc|great condition)\b/i, 'good'],
+  [/\b(?:well used|worn|fair condition|scratched)\b/i, 'fair'],
+  [/\b(?:used|pre-?owned|second[- ]hand)\b/i, 'used'],
+];
+
+const firstMatch = (rules, text) => rules.find(([re]) => re.test(text))?.[1] || null;
+
+const result = (grade, from, raw) => (grade ? { grade, label: CONDITION_LABELS[grade], from, raw } : null);
+
+/** Condition text scraped from a listing card (optionally source-specific). */
+export function parseCondition(text, { source = '' } = {}) {
+  const raw = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!raw) return null;
+  const grade = (source === 'discogs' && firstMatch(DISCOGS_GRADES, raw)) || firstMatch(LISTING_RULES, raw);
+  return result(grade, 'listing', raw);
+}
+
+/** Keyword guess from the title/description; eBay's "New listing" badge is not a condition. */
+export function inferConditionFromTitle(title = '', description = '') {
+  const text = `${title} ${description}`.replace(/new listing/gi, ' ');
+  for (const [re, grade] of TITLE_RULES) {
+    const m = text.match(re);
+    if (m) return result(grade, 'inferred', m[0]);
+  }
+  return null;
+}
+
+export function resolveCondition({ conditionText = '', source = '', title = '', description = '' } = {}) {
+  return parseCondition(conditionText, { source }) || inferConditionFromTitle(title, description);
+}
+
+/**
+ * Parse a condition filter: a list (array or comma string) of terms that must all hold.
+ *   "new"        exactly that grade
+ *   "good+"      that grade or better
+ *   "used"       anything second-hand (every grade except new)
+ * Returns { test(condition) } or throws on an unknown term (err.code = 'BAD_CONDITION').
+ */
+export function parseConditionFilter(input) {
+  const terms = (Array.isArray(input) ? input : String(input ?? '').split(','))
+    .map(t => String(t).trim().toLowerCase().replace(/[\s-]+/g, '_'))
+    .filter(Boolean);
+  if (!terms.length) return null;
+
+  const checks = terms.map((t) => {
+    const atLeast = t.endsWith('+');
+    const grade = atLeast ? t.slice(0, -1) : t;
+    if (grade === 'used' && !atLeast) return c => c.grade !== 'new';
+    if (!CONDITION_GRADES.includes(grade)) {
+      const err = new Error(`Unknown condition "${t}" (use ${CONDITION_GRADES.join(', ')}, optionally with "+")`);
+      err.code = 'BAD_CONDITION';
+      throw err;
+    }
+    return atLeast ? c => gradeRank(c.grade) >= gradeRank(grade) : c => c.grade === grade;
+  });
+
+  return {
+    terms,
+    // listings without a known condition never satisfy a condition filter
+    test: (condition) => Boolean(condition?.grade) && checks.every(fn => fn(condition)),
+  };
+}
+
+/** 0..1 for ranking; an unknown condition scores like ungraded "used". */
+export function conditionScore(condition) {
+  const rank = gradeRank(condition?.grade);
+  return (rank >= 0 ? rank : gradeRank('used')) / (CONDITION_GRADES.length - 1);
+}
@@ -1,17 +1,24 @@
 // src/utils/dedupe.js
+/** origin+pathname identity for a listing URL (null if unparsable) */
+export function urlPathKey(url) {
+  try {
+    const u = new URL(url);
+    return `${u.origin}${u.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
 export function dedupeByUrlPath(items) {
   const seen = new Set();
   const out = [];
   for (const it of items) {
-    try {
-      const u = new URL(it.url);
-      const key = `${u.origin}${u.pathname}`;
+    const key = urlPathKey(it.url);
+    if (key) {
       if (seen.has(key)) continue;
       seen.add(key);
-      out.push(it);
-    } catch {
-      out.push(it);
     }
+    out.push(it);
   }
   return out;
 }
@@ -0,0 +1,72 @@
+// src/utils/fx.js
+import { readFileSync } from 'node:fs';
+import { formatMoney } from './price.js';
+import { logger } from './logger.js';
+
+/*
+ * Offline FX: units of each currency per 1 GBP. No live rate lookups — the table is
+ * refreshed by editing it, pointing FX_RATES_FILE at a JSON file ({ "EUR": 1.17, ... })
+ * or setting FX_RATES="EUR=1.17,USD=1.27".
+ */
+const DEFAULT_RATES = {
+  GBP: 1,
+  EUR: 1.17,
+  USD: 1.27,
+  CAD: 1.74,
+  AUD: 1.93,
+};
+
+export function loadRates({ file = process.env.FX_RATES_FILE, inline = process.env.FX_RATES } = {}) {
+  const rates = { ...DEFAULT_RATES };
+  if (file) {
+    try {
+      Object.assign(rates, JSON.parse(readFileSync(file, 'utf8')));
+    } catch (e) {
+      logger.warn(`⚠️ FX rates file ${file} unreadable, using defaults: ${e?.message || e}`);
+    }
+  }
+  for (const pair of String(inline || '').split(',')) {
+    const [code, value] = pair.split('=').map(s => s?.trim());
+    const n = Number(value);
+    if (code && Number.isFinite(n) && n > 0) rates[code.toUpperCase()] = n;
+  }
+  return rates;
+}
+
+let RATES = loadRates();
+
+export const fxRates = () => ({ ...RATES });
+export function setFxRates(rates) { RATES = { ...DEFAULT_RATES, ...rates }; }
+export const isSupportedCurrency = (code) => typeof code === 'string' && Boolean(RATES[code.toUpperCase()]);
+
+/** Convert minor units between currencies; null when either rate is unknown. */
+export function convertMinor(minor, from, to) {
+  if (typeof minor !== 'number') return null;
+  if (from === to) return minor;
+  const a = RATES[from], b = RATES[to];
+  if (!a || !b) return null;
+  return Math.round((minor / a) * b);
+}
+
+/**
+ * A money object (see utils/price.js) expressed in `to`. The original stays on
+ * `original`; returns null when the listing's currency can't be converted.
+ */
+export function convertMoney(money, to) {
+  if (!money || !to) return null;
+  const from = money.currency || (money.amount === 0 ? to : null); // "Free" has no currency
+  if (money.amount == null || !from) return null;
+  const amount = convertMinor(money.amount, from, to);
+  if (amount == null) return null;
+  const conv = (v) => (v == null ? v : convertMinor(v, from, to));
+  return {
+    ...money,
+    amount,
+    currency: to,
+    label: formatMoney(amount, to),
+    range: money.range ? { min: conv(money.range.min), max: conv(money.range.max) } : null,
+    postage: conv(money.postage),
+    converted: from !== to,
+    original: from !== to ? { amount: money.amount, currency: from, label: money.label } : null,
+  };
+}
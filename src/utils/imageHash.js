@@ -0,0 +1,112 @@
+// src/utils/imageHash.js
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+/**
+ * Perceptual image hashing in plain JS (jpeg-js / pngjs decode, no native deps).
+ * pHash: greyscale → 32×32 area-average → 2-D DCT → the 8×8 lowest frequencies,
+ * each bit set when above their median (DC term excluded). 64 bits as 16 hex chars.
+ * Resized / recompressed copies of a photo land within a few bits of each other.
+ */
+const SIZE = 32;
+const LOW = 8;
+const MAX_PIXELS = 25e6;
+
+function imageError(message) {
+  const err = new Error(message);
+  err.code = 'BAD_IMAGE';
+  return err;
+}
+
+/** JPEG or PNG bytes -> { width, height, data: RGBA }; other formats throw BAD_IMAGE. */
+export function decodeImage(buf) {
+  if (!buf || buf.length < 8) throw imageError('Empty image');
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    try {
+      return jpeg.decode(buf, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_PIXELS / 1e6, maxMemoryUsageInMB: 256 });
+    } catch (e) {
+      throw imageError(`Bad JPEG: ${e?.message || e}`);
+    }
+  }
+  if (buf[0] === 0x89 && buf.toString('ascii', 1, 4) === 'PNG') {
+    try {
+      return PNG.sync.read(buf);
+    } catch (e) {
+      throw imageError(`Bad PNG: ${e?.message || e}`);
+    }
+  }
+  throw imageError('Unsupported image format (JPEG/PNG only)');
+}
+
+/** Area-averaged greyscale thumbnail (alpha composited onto white). */
+export function greyscaleThumb({ width, height, data }, size = SIZE) {
+  if (!width || !height) throw imageError('Image has no pixels');
+  const out = new Float64Array(size * size);
+  for (let ty = 0; ty < size; ty++) {
+    const y0 = Math.floor((ty * height) / size);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / size));
+    for (let tx = 0; tx < size; tx++) {
+      const x0 = Math.floor((tx * width) / size);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / size));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          const a = data[i + 3] / 255;
+          const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          sum += lum * a + 255 * (1 - a);
+        }
+      }
+      out[ty * size + tx] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return out;
+}
+
+const COS = Array.from({ length: LOW }, (_, u) =>
+  Float64Array.from({ length: SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SIZE))));
+
+/** pHash of a decoded image, as 16 hex chars. */
+export function phash(image) {
+  const px = greyscaleThumb(image, SIZE);
+  // separable DCT, keeping only the LOW×LOW corner
+  const rows = new Float64Array(SIZE * LOW);
+  for (let y = 0; y < SIZE; y++) {
+    for (let u = 0; u < LOW; u++) {
+      let s = 0;
+      for (let x = 0; x < SIZE; x++) s += px[y * SIZE + x] * COS[u][x];
+      rows[y * LOW + u] = s;
+    }
+  }
+  const coeffs = [];
+  for (let v = 0; v < LOW; v++) {
+    for (let u = 0; u < LOW; u++) {
+      let s = 0;
+      for (let y = 0; y < SIZE; y++) s += rows[y * LOW + u] * COS[v][y];
+      coeffs.push(s);
+    }
+  }
+  const sorted = coeffs.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  let hex = '';
+  for (let i = 0; i < 64; i += 4) {
+    let nibble = 0;
+    for (let b = 0; b < 4; b++) nibble = (nibble << 1) | (coeffs[i + b] > median ? 1 : 0);
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+/** pHash straight from file bytes. */
+export const hashImageBuffer = (buf) => phash(decodeImage(buf));
+
+/** Differing bits between two hex hashes (Infinity when lengths differ). */
+export function hammingDistance(a = '', b = '') {
+  if (!a || a.length !== b.length) return Infinity;
+  let bits = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    let x = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    while (x) { bits += x & 1; x >>>= 1; }
+  }
+  return bits;
+}
@@ -0,0 +1,23 @@
+// src/utils/jsonFile.js
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/** Read a JSON file; missing or empty file -> fallback. Corrupt JSON throws. */
+export async function readJson(file, fallback) {
+  let raw;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch (e) {
+    if (e?.code === 'ENOENT') return fallback;
+    throw e;
+  }
+  return raw.trim() ? JSON.parse(raw) : fallback;
+}
+
+/** Write via tmp file + rename so a crash never leaves half-written JSON behind. */
+export async function writeJsonAtomic(file, data) {
+  await mkdir(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(data, null, 2));
+  await rename(tmp, file);
+}
@@ -1,5 +1,9 @@
+// LOG_LEVEL=error|warn|info (default) or silent
+const LEVELS = { silent: 0, error: 1, warn: 2, info: 3 };
+const level = () => LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
 export const logger = {
-  info:  (...a) => console.log(...a),
-  warn:  (...a) => console.warn(...a),
-  error: (...a) => console.error(...a),
+  info:  (...a) => { if (level() >= LEVELS.info) console.log(...a); },
+  warn:  (...a) => { if (level() >= LEVELS.warn) console.warn(...a); },
+  error: (...a) => { if (level() >= LEVELS.error) console.error(...a); },
 };
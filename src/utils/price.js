@@ -1,17 +1,121 @@
-function parsePriceGBP(str) {
+// src/utils/price.js
+/**
+ * Money model shared by scrapers, search and alerts:
+ *    {
+ *      amount: number|null,        // minor units (pence/cents); range -> lower bound
+ *      currency: 'GBP'|'EUR'|'USD'|'CAD'|'AUD'|null,
+ *      label: string,              // original text, e.g. "£199 to £249 ONO"
+ *      range: { min, max }|null,   // minor units
+ *      kind: 'fixed'|'range'|'free'|'swap'|'unknown',
+ *      ono: boolean,               // "ONO", "or nearest offer", "offers"
+ *      postage: number|null        // minor units; 0 = free postage
+ *    }
+ */
+
+const CURRENCY_TOKENS = {
+  '£': 'GBP', '€': 'EUR', '$': 'USD', 'US$': 'USD',
+  'C$': 'CAD', 'CA$': 'CAD', 'A$': 'AUD', 'AU$': 'AUD',
+  GBP: 'GBP', EUR: 'EUR', USD: 'USD', CAD: 'CAD', AUD: 'AUD',
+};
+
+// [prefix currency] number [suffix currency]
+const MONEY_RE = /(US\$|CA\$|C\$|AU\$|A\$|£|€|\$|\b(?:GBP|EUR|USD|CAD|AUD)\b)?\s?(\d{1,3}(?:[.,]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)(?!\d)(?:\s?(€|\b(?:GBP|EUR|USD|CAD|AUD)\b))?/gi;
+const RANGE_SEP_RE = /^\s*(?:to|-|–|—)\s*$/i;
+const POSTAGE_WORD_RE = /^\s*(?:postage|p\s*&\s*p|delivery|shipping)\b/i;
+const FREE_POSTAGE_RE = /\bfree\s+(?:postage|p\s*&\s*p|delivery|shipping)\b/i;
+const FREE_RE = /\bfree\b/i;
+const SWAP_RE = /\b(?:swaps?|swapped|trades?)\b/i;
+const ONO_RE = /\b(?:o\.?n\.?o\.?|o\.?v\.?n\.?o\.?|or nearest offer|offers?)(?![a-z])/i;
+
+/** "1,049.00" / "1.049,00" / "12,5" -> minor units. A trailing 1-2 digit group is the decimal part. */
+function toMinor(num) {
+  const m = String(num).match(/^([\d.,]*?\d)(?:[.,](\d{1,2}))?$/);
+  if (!m) return null;
+  const whole = Number(m[1].replace(/[.,]/g, ''));
+  const frac = m[2] ? Number(m[2].padEnd(2, '0')) : 0;
+  return Number.isFinite(whole) ? whole * 100 + frac : null;
+}
+
+function moneyTokens(text, defaultCurrency) {
+  const out = [];
+  for (const m of String(text).matchAll(MONEY_RE)) {
+    const cur = m[1] || m[3];
+    const currency = cur ? CURRENCY_TOKENS[cur.toUpperCase()] || CURRENCY_TOKENS[cur] : defaultCurrency;
+    if (!currency) continue;
+    const amount = toMinor(m[2]);
+    if (amount == null) continue;
+    out.push({ amount, currency, start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+export function detectCurrency(text = '') {
+  return moneyTokens(text, null)[0]?.currency ?? null;
+}
+
+export function parseMoney(label, { defaultCurrency = null, postageText = '' } = {}) {
+  const text = String(label ?? '').replace(/\s+/g, ' ').trim();
+  const money = { amount: null, currency: null, label: text, range: null, kind: 'unknown', ono: ONO_RE.test(text), postage: null };
+
+  const tokens = moneyTokens(text, defaultCurrency);
+  const isPostage = (t) => POSTAGE_WORD_RE.test(text.slice(t.end));
+  const prices = tokens.filter(t => !isPostage(t));
+  const postageTok = tokens.find(isPostage);
+
+  if (postageTok) money.postage = postageTok.amount;
+  else if (FREE_POSTAGE_RE.test(text)) money.postage = 0;
+  if (postageText) {
+    const p = parseMoney(postageText, { defaultCurrency: prices[0]?.currency || defaultCurrency });
+    money.postage = p.amount ?? p.postage ?? money.postage;
+  }
+
+  const [first, second] = prices;
+  if (first) {
+    money.amount = first.amount;
+    money.currency = first.currency;
+    money.kind = first.amount === 0 ? 'free' : 'fixed';
+    if (second && second.currency === first.currency && RANGE_SEP_RE.test(text.slice(first.end, second.start))) {
+      money.range = { min: Math.min(first.amount, second.amount), max: Math.max(first.amount, second.amount) };
+      money.amount = money.range.min;
+      money.kind = 'range';
+    }
+    return money;
+  }
+
+  const rest = text.replace(FREE_POSTAGE_RE, '');
+  if (FREE_RE.test(rest)) {
+    money.amount = 0;
+    money.currency = defaultCurrency;
+    money.kind = 'free';
+  } else if (SWAP_RE.test(rest)) {
+    money.kind = 'swap';
+  }
+  return money;
+}
+
+/** Major-unit number (e.g. 129.99) or null. */
+export const majorUnits = (minor) => (typeof minor === 'number' ? minor / 100 : null);
+
+export function formatMoney(minor, currency) {
+  if (typeof minor !== 'number' || !currency) return '';
+  try {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format(minor / 100);
+  } catch {
+    return `${(minor / 100).toFixed(2)} ${currency}`;
+  }
+}
+
+/** Legacy shape ({ amount: major units, currency: 'GBP' }) kept for older callers. */
+export function parsePriceGBP(str) {
   if (typeof str === 'number') return { amount: str, currency: 'GBP' };
   if (!str) return { amount: null, currency: 'GBP' };
-  const m = String(str).replace(/,/g, '').match(/(£|GBP)?\s*(\d+(?:\.\d{1,2})?)/i);
-  if (!m) return { amount: null, currency: 'GBP' };
-  const amount = parseFloat(m[2]);
-  return { amount, currency: 'GBP' };
+  const money = parseMoney(str, { defaultCurrency: 'GBP' });
+  return { amount: majorUnits(money.amount), currency: 'GBP' };
 }
 
-function priceBandScore(price, median) {
+export function priceBandScore(price, median) {
   if (!price?.amount || !median) return 0.5;
   const diff = Math.abs(price.amount - median);
   const pct = diff / (median + 1e-6);
   return Math.max(0, 1 - Math.min(1, pct));
 }
-
-module.exports = { parsePriceGBP, priceBandScore };
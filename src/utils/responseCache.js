@@ -0,0 +1,267 @@
+// src/utils/responseCache.js
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, stat, unlink, utimes, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { logger } from './logger.js';
+
+/* ---------- TTLs (seconds) per source; override with CACHE_TTL_<SOURCE>=seconds ---------- */
+const DEFAULT_TTLS = {
+  ebay: 600,
+  gumtree: 600,
+  facebook: 300,
+  cashConverters: 1800,
+  vinted: 900,
+  depop: 900,
+  discogs: 3600,
+  google: 1800,
+  default: 600,
+};
+
+const HOST_SOURCES = [
+  [/(^|\.)ebay\./, 'ebay'],
+  [/(^|\.)gumtree\./, 'gumtree'],
+  [/(^|\.)facebook\./, 'facebook'],
+  [/(^|\.)cashconverters\./, 'cashConverters'],
+  [/(^|\.)vinted\./, 'vinted'],
+  [/(^|\.)depop\./, 'depop'],
+  [/(^|\.)discogs\./, 'discogs'],
+  [/(^|\.)google\./, 'google'],
+];
+
+export function cacheSourceFor(url) {
+  let host = '';
+  try { host = new URL(url).hostname.toLowerCase(); } catch { return 'default'; }
+  return HOST_SOURCES.find(([re]) => re.test(host))?.[1] || 'default';
+}
+
+export function ttlFor(source) {
+  const env = Number(process.env[`CACHE_TTL_${String(source).toUpperCase()}`]);
+  return (Number.isFinite(env) && env >= 0 ? env : DEFAULT_TTLS[source] ?? DEFAULT_TTLS.default) * 1000;
+}
+
+/** Target URL + the options that change what ScrapingBee returns. */
+export function cacheKey({ url, render_js = false, country_code = '', mode = 'html' }) {
+  return `${url}|js=${render_js ? 1 : 0}|cc=${country_code || ''}|mode=${mode}`;
+}
+
+/* ---------- backends (async get/set so memory and disk are interchangeable) ---------- */
+export class MemoryLRU {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.map = new Map(); // insertion order == recency order
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const hit = this.map.get(key);
+    if (!hit) return undefined;
+    if (hit.expiresAt <= Date.now()) { this.map.delete(key); return undefined; }
+    this.map.delete(key);
+    this.map.set(key, hit);
+    return hit.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.map.delete(key);
+    this.map.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.map.size > this.maxEntries) {
+      this.map.delete(this.map.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /** Unexpired values, least recently used first (doesn't touch recency). */
+  values() {
+    const now = Date.now();
+    return Array.from(this.map.values()).filter(e => e.expiresAt > now).map(e => e.value);
+  }
+
+  get size() { return this.map.size; }
+}
+
+/**
+ * One JSON file per entry under `dir`. Each file's mtime is set to its expiry, so a sweep
+ * (on start and every `sweepEvery` writes) can delete expired files from a directory
+ * listing, then the soonest-expiring ones while over `maxEntries` files or `maxBytes`.
+ */
+export class DiskCache {
+  constructor({ dir = 'data/cache', maxEntries = 5000, maxBytes = 200 * 1024 * 1024, sweepEvery = 100 } = {}) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.sweepEvery = sweepEvery;
+    this.writes = 0;
+    this.evictions = 0;
+    this.sweeping = null;
+    this.ready = mkdir(dir, { recursive: true });
+    this.ready.then(() => this.sweep()).catch(() => {});
+  }
+
+  _file(key) {
+    return join(this.dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    await this.ready;
+    const file = this._file(key);
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(file, 'utf8'));
+    } catch {
+      return undefined;
+    }
+    if (!entry || entry.key !== key) return undefined;
+    if (entry.expiresAt <= Date.now()) { unlink(file).catch(() => {}); return undefined; }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.ready;
+    const file = this._file(key);
+    const expiresAt = Date.now() + ttlMs;
+    await writeFile(file, JSON.stringify({ key, value, expiresAt }));
+    await utimes(file, new Date(), new Date(expiresAt));
+    if (++this.writes % this.sweepEvery === 0) this.sweep().catch(() => {});
+  }
+
+  /** Delete expired files, then the soonest-expiring ones down to the limits. Resolves to the number removed. */
+  sweep(now = Date.now()) {
+    this.sweeping ||= (async () => {
+      const files = [];
+      for (const name of await readdir(this.dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          const s = await stat(join(this.dir, name));
+          files.push({ name, expiresAt: s.mtimeMs, bytes: s.size });
+        } catch { /* removed meanwhile */ }
+      }
+      files.sort((a, b) => a.expiresAt - b.expiresAt);
+      let bytes = files.reduce((n, f) => n + f.bytes, 0);
+      let count = files.length;
+      let removed = 0;
+      for (const f of files) {
+        if (f.expiresAt > now && count <= this.maxEntries && bytes <= this.maxBytes) break;
+        await unlink(join(this.dir, f.name)).catch(() => {});
+        if (f.expiresAt > now) this.evictions++;
+        count--;
+        bytes -= f.bytes;
+        removed++;
+      }
+      this.size = count;
+      if (removed) logger.info(`🧹 Disk cache sweep removed ${removed} file(s); ${count} left`);
+      return removed;
+    })().finally(() => { this.sweeping = null; });
+    return this.sweeping;
+  }
+}
+
+/**
+ * Response cache in front of ScrapingBee: in-memory LRU by default,
+ * CACHE_BACKEND=disk keeps entries as files under CACHE_DIR.
+ * Identical concurrent fetches share one in-flight request. The shared load gets its own
+ * AbortSignal, aborted only once every caller waiting on it has aborted; a caller whose
+ * signal fires stops waiting (rejecting with its abort reason) without cancelling the others.
+ */
+export class ResponseCache {
+  constructor({ backend, enabled = true } = {}) {
+    this.backend = backend || new MemoryLRU();
+    this.enabled = enabled;
+    this.inflight = new Map();
+    this.counters = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+    this.bySource = {};
+  }
+
+  _count(source, field) {
+    this.counters[field]++;
+    const s = (this.bySource[source] ||= { hits: 0, misses: 0 });
+    if (field in s) s[field]++;
+  }
+
+  /** Return the cached value for `key`, else run `load(signal)` and cache its result. */
+  async wrap(key, { source = 'default', ttlMs = ttlFor(source), signal = null } = {}, load) {
+    signal?.throwIfAborted();
+    if (!this.enabled || ttlMs <= 0) return load(signal);
+
+    let cached;
+    try {
+      cached = await this.backend.get(key);
+    } catch (e) {
+      this.counters.errors++;
+      logger.warn(`⚠️ Cache read failed: ${e?.message || e}`);
+    }
+    if (cached !== undefined) {
+      this._count(source, 'hits');
+      return cached;
+    }
+
+    let shared = this.inflight.get(key);
+    if (shared) {
+      this.counters.coalesced++;
+    } else {
+      this._count(source, 'misses');
+      const controller = new AbortController();
+      shared = { controller, waiting: 0 };
+      shared.promise = (async () => {
+        const value = await load(controller.signal);
+        try {
+          await this.backend.set(key, value, ttlMs);
+        } catch (e) {
+          this.counters.errors++;
+          logger.warn(`⚠️ Cache write failed: ${e?.message || e}`);
+        }
+        return value;
+      })().finally(() => this.inflight.delete(key));
+      shared.promise.catch(() => {}); // callers that gave up no longer listen
+      this.inflight.set(key, shared);
+    }
+    return this._await(shared, signal);
+  }
+
+  /** Wait for a shared load until `signal` fires; the last waiter to give up cancels it. */
+  _await(shared, signal) {
+    shared.waiting++;
+    if (!signal) return shared.promise.finally(() => { shared.waiting--; });
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.waiting--;
+        if (!shared.waiting) shared.controller.abort(signal.reason);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise.then(resolve, reject).finally(() => {
+        if (signal.aborted) return;
+        signal.removeEventListener('abort', onAbort);
+        shared.waiting--;
+      });
+    });
+  }
+
+  stats() {
+    const { hits, misses } = this.counters;
+    return {
+      enabled: this.enabled,
+      backend: this.backend instanceof DiskCache ? 'disk' : 'memory',
+      ...this.counters,
+      hitRate: hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+      entries: this.backend.size ?? null,
+      evictions: this.backend.evictions ?? null,
+      bySource: this.bySource,
+    };
+  }
+}
+
+function backendFromEnv() {
+  if ((process.env.CACHE_BACKEND || '').toLowerCase() === 'disk') {
+    return new DiskCache({
+      dir: process.env.CACHE_DIR || 'data/cache',
+      maxEntries: Number(process.env.CACHE_DISK_MAX_ENTRIES || 5000),
+      maxBytes: Number(process.env.CACHE_DISK_MAX_MB || 200) * 1024 * 1024,
+    });
+  }
+  return new MemoryLRU({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES || 500) });
+}
+
+export const responseCache = new ResponseCache({
+  backend: backendFromEnv(),
+  enabled: process.env.CACHE_ENABLED !== 'false',
+});
@@ -0,0 +1,234 @@
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { deliverWebhook, isPrivateAddress, webhookUrlProblem } from '../src/services/webhookService.js';
+import { AlertService, matchingListings, validateAlert } from '../src/services/alertService.js';
+
+const SECRET = 'test-secret-0123456789';
+const LOCAL = { allowHosts: ['127.0.0.1'], minTimeout: 1 };
+
+/** Local webhook receiver answering with `statuses` in turn (the last one repeats). */
+async function receiver(statuses = [200]) {
+  const hits = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      hits.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(hits.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    hits,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+describe('webhook targets', () => {
+  it('spots private, loopback and link-local addresses', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      expect([ip, isPrivateAddress(ip)]).toEqual([ip, true]);
+    }
+    for (const ip of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', 'example.com']) {
+      expect([ip, isPrivateAddress(ip)]).toEqual([ip, false]);
+    }
+  });
+
+  it('refuses bad schemes and private hosts unless allowed', () => {
+    expect(webhookUrlProblem('https://hooks.example.com/x')).toBeNull();
+    expect(webhookUrlProblem('ftp://hooks.example.com/x')).toMatch(/http\(s\)/);
+    expect(webhookUrlProblem('http://localhost:3000/x')).toMatch(/private or loopback/);
+    expect(webhookUrlProblem('http://[::ffff:127.0.0.1]/x')).toMatch(/private or loopback/);
+    expect(webhookUrlProblem('http://169.254.169.254/latest/meta-data')).toMatch(/private or loopback/);
+    expect(webhookUrlProblem('http://127.0.0.1:9000/x', { allowHosts: ['127.0.0.1'] })).toBeNull();
+  });
+});
+
+describe('deliverWebhook', () => {
+  let hook;
+  afterEach(() => hook?.close());
+
+  it('signs the body with an HMAC over timestamp and body', async () => {
+    hook = await receiver([204]);
+    const out = await deliverWebhook(hook.url, { hello: 'world' }, { ...LOCAL, secret: SECRET });
+
+    expect(out).toEqual(expect.objectContaining({ ok: true, retries: 0 }));
+    const [{ headers, body }] = hook.hits;
+    const expected = createHmac('sha256', SECRET).update(`${headers['x-hunta-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-hunta-signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(body)).toEqual({ hello: 'world' });
+  });
+
+  it('retries 5xx responses and records every attempt', async () => {
+    hook = await receiver([503, 500, 200]);
+    const out = await deliverWebhook(hook.url, { n: 1 }, { ...LOCAL, secret: SECRET });
+
+    expect(out.ok).toBe(true);
+    expect(out.attempts.map(a => a.status)).toEqual([503, 500, 200]);
+    expect(out.retries).toBe(2);
+  });
+
+  it('gives up on a 4xx without retrying', async () => {
+    hook = await receiver([400]);
+    const out = await deliverWebhook(hook.url, { n: 1 }, { ...LOCAL, secret: SECRET });
+
+    expect(out.ok).toBe(false);
+    expect(hook.hits).toHaveLength(1);
+  });
+
+  it('sends nothing without a secret or to a loopback host', async () => {
+    hook = await receiver([200]);
+    const unsigned = await deliverWebhook(hook.url, { n: 1 }, { ...LOCAL, secret: '' });
+    const loopback = await deliverWebhook(hook.url, { n: 1 }, { secret: SECRET, allowHosts: [] });
+
+    expect(unsigned).toEqual(expect.objectContaining({ ok: false, attempts: [], error: expect.stringMatching(/secret/) }));
+    expect(loopback).toEqual(expect.objectContaining({ ok: false, attempts: [], error: expect.stringMatching(/private or loopback/) }));
+    expect(hook.hits).toEqual([]);
+  });
+});
+
+describe('validateAlert', () => {
+  const saved = process.env.ALERT_WEBHOOK_SECRET;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.ALERT_WEBHOOK_SECRET;
+    else process.env.ALERT_WEBHOOK_SECRET = saved;
+  });
+
+  it('needs a webhook secret, its own or ALERT_WEBHOOK_SECRET', () => {
+    delete process.env.ALERT_WEBHOOK_SECRET;
+    const input = { query: 'strymon ob-1', maxPrice: 100, webhookUrl: 'https://hooks.example.com/x' };
+    expect(validateAlert(input)).toMatch(/webhookSecret is required/);
+    expect(validateAlert({ ...input, webhookSecret: 'short' })).toMatch(/at least 16/);
+    expect(validateAlert({ ...input, webhookSecret: SECRET })).toBeNull();
+    process.env.ALERT_WEBHOOK_SECRET = SECRET;
+    expect(validateAlert(input)).toBeNull();
+  });
+
+  it('won\'t let a PATCH clear maxPrice or intervalMinutes', () => {
+    expect(validateAlert({ maxPrice: null }, { partial: true })).toMatch(/maxPrice/);
+    expect(validateAlert({ intervalMinutes: null }, { partial: true })).toMatch(/intervalMinutes/);
+    expect(validateAlert({ intervalMinutes: 30 }, { partial: true })).toBeNull();
+  });
+
+  it('takes only booleans for paused and ukOnly', () => {
+    expect(validateAlert({ paused: 'false' }, { partial: true })).toBe('paused must be true or false');
+    expect(validateAlert({ ukOnly: true, paused: false }, { partial: true })).toBeNull();
+  });
+
+  it('refuses private webhook URLs', () => {
+    expect(validateAlert({ webhookUrl: 'http://10.0.0.5/hook' }, { partial: true })).toMatch(/private or loopback/);
+  });
+});
+
+describe('matchingListings', () => {
+  it('compares prices in GBP wherever the alert searches', () => {
+    const results = [
+      { url: 'https://a/1', priceAmount: 110, priceCurrency: 'EUR' }, // ≈ £94
+      { url: 'https://a/2', priceAmount: 90, priceCurrency: 'GBP' },
+      { url: 'https://a/3', priceAmount: 120, priceCurrency: 'EUR' }, // ≈ £103
+      { url: 'https://a/4', priceAmount: 50, priceCurrency: 'XYZ' },  // unconvertible
+      { url: 'https://a/5', priceAmount: null, priceCurrency: null },
+    ];
+    for (const location of ['Ireland', 'UK']) {
+      expect(matchingListings({ location, maxPrice: 100 }, results).map(r => r.url)).toEqual(['https://a/1', 'https://a/2']);
+    }
+  });
+});
+
+describe('AlertService.run', () => {
+  let dir, hook, results, calls, service;
+  const listing = (id, priceAmount) => ({
+    title: `Strymon OB.1 #${id}`, url: `https://www.ebay.co.uk/itm/${id}`, priceAmount, priceCurrency: 'GBP', source: 'ebay',
+  });
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'alerts-'));
+    calls = [];
+    results = [];
+    service = new AlertService({
+      file: join(dir, 'alerts.json'),
+      search: async (...args) => { calls.push(args); return results; },
+      deliver: (url, payload, opts) => deliverWebhook(url, payload, { ...opts, ...LOCAL }),
+    });
+  });
+  afterEach(async () => {
+    await hook?.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('searches every result under the GBP price, in any region', async () => {
+    const uk = await service.create({ query: 'strymon ob-1', maxPrice: 100, webhookUrl: 'https://hooks.example.com/x' });
+    const ie = await service.create({ query: 'strymon ob-1', maxPrice: 100, location: 'Ireland', webhookUrl: 'https://hooks.example.com/x' });
+    await service.run(uk.id);
+    await service.run(ie.id);
+
+    expect(calls.map(([, location, currency, opts]) => [location, currency, opts.maxPrice, opts.maxResults]))
+      .toEqual([['UK', 'GBP', 100, null], ['Ireland', 'GBP', 100, null]]);
+    expect(calls.every(([, , , opts]) => opts.enrich === false)).toBe(true);
+    expect(ie.currency).toBe('GBP');
+  });
+
+  it('fires each listing once, signed with the alert\'s own secret', async () => {
+    hook = await receiver([200]);
+    const alert = await service.create({ query: 'strymon ob-1', maxPrice: 100, webhookUrl: hook.url, webhookSecret: SECRET });
+    expect(alert).not.toHaveProperty('webhookSecret');
+    expect(alert.hasWebhookSecret).toBe(true);
+
+    results = [listing(1, 80), listing(2, 150)];
+    const first = await service.run(alert.id);
+    expect(first.delivery.ok).toBe(true);
+    expect(first.matches.map(m => m.url)).toEqual(['https://www.ebay.co.uk/itm/1']);
+
+    results = [listing(1, 80), listing(3, 95)];
+    const second = await service.run(alert.id);
+    expect(second.matches.map(m => m.url)).toEqual(['https://www.ebay.co.uk/itm/3']);
+
+    const third = await service.run(alert.id);
+    expect(third.delivery).toBeNull();
+
+    expect(hook.hits).toHaveLength(2);
+    const { headers, body } = hook.hits[1];
+    const expected = createHmac('sha256', SECRET).update(`${headers['x-hunta-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-hunta-signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(body).listings.map(l => l.url)).toEqual(['https://www.ebay.co.uk/itm/3']);
+
+    const stored = JSON.parse(await readFile(join(dir, 'alerts.json'), 'utf8'));
+    expect(stored.deliveries).toHaveLength(2);
+    expect((await service.get(alert.id)).firedCount).toBe(2);
+  });
+
+  it('fires a listing once when a manual run overlaps the scheduled one', async () => {
+    hook = await receiver([200]);
+    const alert = await service.create({ query: 'strymon ob-1', maxPrice: 100, webhookUrl: hook.url, webhookSecret: SECRET });
+    results = [listing(1, 80)];
+
+    const [manual, scheduled] = await Promise.all([service.run(alert.id), service.tick(Date.now() + 24 * 3600000)]); // due by then
+    expect(manual.delivery.ok).toBe(true);
+    expect(scheduled).toBeUndefined();
+    expect(calls).toHaveLength(1);
+    expect(hook.hits).toHaveLength(1);
+
+    const again = await service.run(alert.id); // a fresh run after both have finished
+    expect(again.delivery).toBeNull();
+    expect(hook.hits).toHaveLength(1);
+  });
+
+  it('keeps listings unfired when the delivery fails, so the next run retries them', async () => {
+    hook = await receiver([500, 500, 500, 500, 200]);
+    const alert = await service.create({ query: 'strymon ob-1', maxPrice: 100, webhookUrl: hook.url, webhookSecret: SECRET });
+    results = [listing(1, 80)];
+
+    const failed = await service.run(alert.id);
+    expect(failed.delivery.ok).toBe(false);
+    expect(failed.alert.lastError).toMatch(/failed after 4 attempt/);
+
+    const retried = await service.run(alert.id);
+    expect(retried.delivery.ok).toBe(true);
+    expect(retried.matches).toHaveLength(1);
+  });
+});
@@ -0,0 +1,57 @@
+import { readFileSync } from 'node:fs';
+import {
+  clusterListings, clusterConfig, titleTokens, titleSimilarity, pricesClose, imageKey, imagesMatch,
+} from '../src/search/cluster.js';
+
+const { cases } = JSON.parse(readFileSync(new URL('./fixtures/clusters/crossposts.json', import.meta.url), 'utf8'));
+const cfg = clusterConfig({});
+
+describe('clusterListings fixtures', () => {
+  it.each(cases.map(c => [c.name, c]))('%s', (_name, c) => {
+    const out = clusterListings(c.listings, cfg);
+    expect(out.map(r => [r.link, ...r.alternates.map(a => a.link)])).toEqual(c.expect);
+  });
+});
+
+describe('clusterListings', () => {
+  const copies = cases[0].listings;
+
+  it('keeps the cheapest copy as the result with the rest as alternates', () => {
+    const [r] = clusterListings(copies, cfg);
+    expect(r).toMatchObject({ source: 'gumtree', priceAmount: 125 });
+    expect(r.alternates.map(a => a.priceAmount)).toEqual([130, 135]);
+    expect(r.alternates[0]).not.toHaveProperty('alternates');
+  });
+
+  it('honours configured thresholds', () => {
+    expect(clusterListings(copies, { ...cfg, priceTolerance: 0.01 })).toHaveLength(3);
+    expect(clusterListings(cases[1].listings, { ...cfg, titleSimilarityWithImage: 0.9 })).toHaveLength(2);
+    expect(clusterListings(copies, { ...cfg, enabled: false }).map(r => r.alternates)).toEqual([[], [], []]);
+  });
+
+  it('reads thresholds from the environment', () => {
+    expect(clusterConfig({ CLUSTER_TITLE_SIMILARITY: '0.9', CLUSTER_LISTINGS: 'false' }))
+      .toMatchObject({ titleSimilarity: 0.9, enabled: false, priceTolerance: 0.1 });
+  });
+});
+
+describe('helpers', () => {
+  it('normalises titles into comparable word sets', () => {
+    expect([...titleTokens('Strymon OB.1 - Free P&P, UK')]).toEqual(['strymon', 'ob1']);
+    expect(titleSimilarity(titleTokens('Boss DD-3 delay'), titleTokens('boss dd3 delay'))).toBe(1);
+    expect(titleSimilarity(new Set(), titleTokens('x'))).toBe(0);
+  });
+
+  it('compares prices relative to the higher one', () => {
+    expect(pricesClose(100, 91, 0.1)).toBe(true);
+    expect(pricesClose(100, 89, 0.1)).toBe(false);
+    expect(pricesClose(null, 100, 0.1)).toBe(false);
+  });
+
+  it('matches photos across size variants and by hash distance', () => {
+    expect(imageKey('https://i.ebayimg.com/images/g/AbC/s-l225.jpg')).toBe(imageKey('https://i.ebayimg.com/images/g/AbC/s-l1600.jpg?x=1'));
+    expect(imagesMatch({ imageHash: 'ffffffffffffffff' }, { imageHash: 'fffffffffffffff0' }, cfg)).toBe(true);
+    expect(imagesMatch({ imageHash: 'ffffffffffffffff' }, { imageHash: '0000000000000000' }, cfg)).toBe(false);
+    expect(imagesMatch({ image: 'https://a.test/1.jpg' }, { image: 'https://b.test/2.jpg' }, cfg)).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  parseCondition, inferConditionFromTitle, resolveCondition, parseConditionFilter, conditionScore,
+} from '../src/utils/condition.js';
+
+describe('parseCondition', () => {
+  it.each([
+    ['Brand new', 'new'],
+    ['New (other)', 'like_new'],
+    ['Opened – never used', 'like_new'],
+    ['Pre-owned', 'used'],
+    ['Seller refurbished', 'very_good'],
+    ['For parts or not working', 'for_parts'],
+    ['New with tags', 'new'],
+    ['New without tags', 'like_new'],
+    ['Very good', 'very_good'],
+    ['Good', 'good'],
+    ['Satisfactory', 'fair'],
+    ['Used - Like New', 'like_new'],
+    ['Used - Fair', 'fair'],
+    ['Used', 'used'],
+  ])('%s -> %s', (text, grade) => {
+    expect(parseCondition(text)).toMatchObject({ grade, from: 'listing', raw: text });
+  });
+
+  it.each([
+    ['Mint (M)', 'new'],
+    ['Near Mint (NM or M-)', 'like_new'],
+    ['Very Good Plus (VG+)', 'very_good'],
+    ['Very Good (VG)', 'good'],
+    ['Good Plus (G+)', 'fair'],
+    ['Poor (P)', 'for_parts'],
+  ])('Discogs %s -> %s', (text, grade) => {
+    expect(parseCondition(text, { source: 'discogs' }).grade).toBe(grade);
+  });
+
+  it('returns null for empty or unrecognised text', () => {
+    expect(parseCondition('')).toBeNull();
+    expect(parseCondition('Collection only')).toBeNull();
+  });
+});
+
+describe('inferConditionFromTitle', () => {
+  it('falls back to title keywords', () => {
+    expect(inferConditionFromTitle('Strymon OB.1 BNIB')).toMatchObject({ grade: 'new', from: 'inferred', raw: 'BNIB' });
+    expect(inferConditionFromTitle('Boss DS-1 spares or repairs').grade).toBe('for_parts');
+    expect(inferConditionFromTitle('Strymon OB-1 (Very good)').grade).toBe('very_good');
+    expect(inferConditionFromTitle('PS5 console', 'Great condition, boxed').grade).toBe('good');
+  });
+
+  it("ignores eBay's New listing badge", () => {
+    expect(inferConditionFromTitle('New listingStrymon OB.1')).toBeNull();
+  });
+
+  it('prefers the listing text over the title', () => {
+    expect(resolveCondition({ conditionText: 'Pre-owned', title: 'Brand new pedal' }).grade).toBe('used');
+    expect(resolveCondition({ title: 'Brand new pedal' }).grade).toBe('new');
+  });
+});
+
+describe('parseConditionFilter', () => {
+  const c = (grade) => ({ grade });
+
+  it('matches exact grades, "grade+" and "used"', () => {
+    expect(parseConditionFilter('new').test(c('new'))).toBe(true);
+    expect(parseConditionFilter('new').test(c('like_new'))).toBe(false);
+    const usedGood = parseConditionFilter('used, good+');
+    expect(usedGood.test(c('very_good'))).toBe(true);
+    expect(usedGood.test(c('used'))).toBe(false);
+    expect(usedGood.test(c('new'))).toBe(false);
+    expect(parseConditionFilter(['very good+']).test(c('like_new'))).toBe(true);
+  });
+
+  it('never matches an unknown condition', () => {
+    expect(parseConditionFilter('used').test(null)).toBe(false);
+  });
+
+  it('is null when empty and throws on unknown terms', () => {
+    expect(parseConditionFilter('')).toBeNull();
+    expect(parseConditionFilter(undefined)).toBeNull();
+    expect(() => parseConditionFilter('shiny')).toThrow(expect.objectContaining({ code: 'BAD_CONDITION' }));
+  });
+});
+
+describe('conditionScore', () => {
+  it('orders grades and scores unknown like ungraded used', () => {
+    expect(conditionScore({ grade: 'new' })).toBe(1);
+    expect(conditionScore({ grade: 'for_parts' })).toBe(0);
+    expect(conditionScore(null)).toBe(conditionScore({ grade: 'used' }));
+    expect(conditionScore({ grade: 'good' })).toBeGreaterThan(conditionScore({ grade: 'used' }));
+  });
+});
@@ -0,0 +1,101 @@
+import { creditCost, SearchBudget, withCredits } from '../src/services/creditBudget.js';
+
+/** In-memory stand-in for the persisted daily budget. */
+const daily = (limit = 1000) => ({
+  limit,
+  spent: 0,
+  remaining() { return Math.max(0, this.limit - this.spent); },
+  spend(credits) { this.spent += credits; },
+  summary() { return { spent: this.spent, limit: this.limit }; },
+});
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+describe('creditCost', () => {
+  it('prices calls by rendering and proxy', () => {
+    expect(creditCost()).toBe(1);
+    expect(creditCost({ render_js: true })).toBe(5);
+    expect(creditCost({ premium_proxy: true })).toBe(10);
+    expect(creditCost({ premium_proxy: true, render_js: true })).toBe(25);
+    expect(creditCost({ stealth_proxy: true })).toBe(75);
+  });
+});
+
+describe('SearchBudget', () => {
+  it('books reserved credits and requests per source and against the day', () => {
+    const day = daily();
+    const budget = new SearchBudget({ maxCredits: 100, maxRequests: 5, daily: day });
+    budget.reserve('ebay', 10);
+    budget.reserve('gumtree', 1);
+
+    expect(budget.summary()).toEqual(expect.objectContaining({ credits: 11, requests: 2, exhausted: false }));
+    expect(budget.bySource.ebay).toEqual(expect.objectContaining({ credits: 10, requests: 1 }));
+    expect(day.spent).toBe(11);
+  });
+
+  it('refunds both the credits and the request slot', () => {
+    const day = daily();
+    const budget = new SearchBudget({ maxCredits: 100, maxRequests: 1, daily: day });
+    budget.reserve('ebay', 10);
+    expect(budget.exhausted).toBe(true);
+    budget.refund('ebay', 10);
+
+    expect(budget.summary()).toEqual(expect.objectContaining({ credits: 0, requests: 0, exhausted: false }));
+    expect(budget.bySource.ebay).toEqual(expect.objectContaining({ credits: 0, requests: 0 }));
+    expect(day.spent).toBe(0);
+    expect(() => budget.reserve('ebay', 10)).not.toThrow();
+  });
+
+  it('refuses what doesn\'t fit the search or the day', () => {
+    const requests = new SearchBudget({ maxCredits: 100, maxRequests: 1, daily: daily() });
+    requests.reserve('ebay', 1);
+    expect(() => requests.reserve('ebay', 1)).toThrow(expect.objectContaining({ code: 'BUDGET_EXCEEDED', message: expect.stringMatching(/request budget/) }));
+
+    const credits = new SearchBudget({ maxCredits: 20, maxRequests: 5, daily: daily() });
+    credits.reserve('ebay', 10);
+    expect(() => credits.reserve('ebay', 25)).toThrow(/credit budget/);
+    expect(credits.summary().credits).toBe(10);
+
+    const today = new SearchBudget({ maxCredits: 100, maxRequests: 5, daily: daily(5) });
+    expect(() => today.reserve('ebay', 10)).toThrow(/Daily ScrapingBee budget/);
+    expect(today.exhausted).toBe(false);
+    today.reserve('ebay', 5);
+    expect(today.exhausted).toBe(true);
+  });
+});
+
+describe('withCredits', () => {
+  let budget;
+  beforeEach(() => { budget = new SearchBudget({ maxCredits: 100, maxRequests: 5, daily: daily() }); });
+
+  it('keeps the charge for a successful call', async () => {
+    expect(await withCredits(budget.forSource('ebay'), 10, async () => 'page')).toBe('page');
+    expect(budget.summary()).toEqual(expect.objectContaining({ credits: 10, requests: 1 }));
+  });
+
+  it('keeps the charge for 404 and 410, which ScrapingBee bills', async () => {
+    for (const status of [404, 410]) {
+      await expect(withCredits(budget.forSource('ebay'), 10, async () => { throw httpError(status); })).rejects.toThrow(`HTTP ${status}`);
+    }
+    expect(budget.summary()).toEqual(expect.objectContaining({ credits: 20, requests: 2 }));
+  });
+
+  it('refunds 5xx responses and network errors', async () => {
+    await expect(withCredits(budget.forSource('ebay'), 10, async () => { throw httpError(500); })).rejects.toThrow('HTTP 500');
+    await expect(withCredits(budget.forSource('ebay'), 10, async () => { throw new Error('socket hang up'); })).rejects.toThrow('socket hang up');
+    expect(budget.summary()).toEqual(expect.objectContaining({ credits: 0, requests: 0 }));
+  });
+
+  it('makes no call once the budget is used up', async () => {
+    let calls = 0;
+    const call = async () => { calls++; return 'page'; };
+    const small = new SearchBudget({ maxCredits: 10, maxRequests: 5, daily: daily() });
+    await withCredits(small.forSource('ebay'), 10, call);
+    await expect(withCredits(small.forSource('ebay'), 1, call)).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(calls).toBe(1);
+  });
+
+  it('runs unmetered without a budget', async () => {
+    expect(await withCredits(null, 10, async () => 'page')).toBe('page');
+  });
+});
@@ -0,0 +1,49 @@
+import { resolveDeadline, deadlineConfig, searchSignal, orAbort, ABORTED, MAX_DEADLINE_MS } from '../src/search/deadline.js';
+
+describe('resolveDeadline', () => {
+  it('reads the request option, else SEARCH_DEADLINE_MS', () => {
+    expect(resolveDeadline('2500')).toBe(2500);
+    expect(resolveDeadline(undefined)).toBeNull();
+    expect(deadlineConfig({ SEARCH_DEADLINE_MS: '8000' })).toEqual({ deadlineMs: 8000 });
+    expect(deadlineConfig({ SEARCH_DEADLINE_MS: '0' })).toEqual({ deadlineMs: null });
+  });
+
+  it.each(['soon', 0, 50, MAX_DEADLINE_MS + 1])('rejects %p', (ms) => {
+    expect(() => resolveDeadline(ms)).toThrow(expect.objectContaining({ code: 'BAD_DEADLINE' }));
+  });
+});
+
+describe('searchSignal', () => {
+  it('is null without a deadline or caller signal', () => {
+    expect(searchSignal()).toBeNull();
+  });
+
+  it('follows the caller signal and times out on its own', async () => {
+    const caller = new AbortController();
+    const signal = searchSignal({ deadlineMs: 60000, signal: caller.signal });
+    caller.abort();
+    expect(signal.aborted).toBe(true);
+
+    const timed = searchSignal({ deadlineMs: 20 });
+    await new Promise(r => setTimeout(r, 40));
+    expect(timed.reason?.name).toBe('TimeoutError');
+  });
+});
+
+describe('orAbort', () => {
+  it('passes results and errors through until the signal fires', async () => {
+    const c = new AbortController();
+    await expect(orAbort(Promise.resolve([1]), c.signal)).resolves.toEqual([1]);
+    await expect(orAbort(Promise.reject(new Error('boom')), c.signal)).rejects.toThrow('boom');
+    await expect(orAbort(Promise.resolve([1]), null)).resolves.toEqual([1]);
+  });
+
+  it('stops waiting as soon as the signal aborts', async () => {
+    const c = new AbortController();
+    const never = new Promise(() => {});
+    const raced = orAbort(never, c.signal);
+    c.abort();
+    await expect(raced).resolves.toBe(ABORTED);
+    await expect(orAbort(never, c.signal)).resolves.toBe(ABORTED);
+  });
+});
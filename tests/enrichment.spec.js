@@ -0,0 +1,165 @@
+import { readFileSync } from 'node:fs';
+import * as cheerio from 'cheerio';
+import { scrapingService } from '../src/services/scrapingService.js';
+import { EnrichmentService, applyDetail } from '../src/services/enrichmentService.js';
+import { FIXTURE_DIR } from './fixtures/scrapers/cases.js';
+
+const NOW = new Date('2025-03-20T12:00:00Z');
+const page = (file) => cheerio.load(readFileSync(new URL(file, FIXTURE_DIR), 'utf8'));
+
+describe('parseDetailPage', () => {
+  it('reads an eBay item page', () => {
+    const d = scrapingService.parseDetailPage(page('ebay/item.html'), 'ebay', NOW);
+    expect(d.description).toMatch(/^Strymon OB\.1 in great working order\..*from Leeds\.$/);
+    expect(d.seller).toEqual({ name: 'pedalpal_uk', feedbackCount: 1482, positivePercent: 99.6 });
+    expect(d).toEqual(expect.objectContaining({ postage: 450, collectionOnly: false, postedAt: null }));
+    expect(d.images).toEqual(expect.arrayContaining([
+      'https://i.ebayimg.com/images/g/AbCAAOSw1234/s-l1600.jpg',
+      'https://i.ebayimg.com/images/g/DefAAOSw5678/s-l640.jpg',
+    ]));
+  });
+
+  it('reads a Gumtree ad page', () => {
+    const d = scrapingService.parseDetailPage(page('gumtree/ad.html'), 'gumtree', NOW);
+    expect(d).toEqual(expect.objectContaining({
+      postedAt: '2025-03-17T12:00:00.000Z',
+      seller: { name: 'Dave', feedbackCount: 23, positivePercent: null },
+      postage: null,
+      collectionOnly: true,
+    }));
+    expect(d.images).toHaveLength(2);
+  });
+
+  it('falls back to JSON-LD and meta tags for other sources', () => {
+    const $ = cheerio.load(`<html><head>
+      <meta property="og:image" content="https://img.test/a.jpg">
+      <script type="application/ld+json">{"@graph":[{"@type":"Product","description":"Boxed, barely used","datePosted":"2025-03-01T09:00:00Z",
+        "offers":{"@type":"Offer","seller":{"name":"PedalShop"}},"image":"https://img.test/b.jpg"}]}</script>
+      <script type="application/ld+json">{ broken</script></head><body></body></html>`);
+    expect(scrapingService.parseDetailPage($, 'cashConverters', NOW)).toEqual({
+      description: 'Boxed, barely used',
+      postedAt: '2025-03-01T09:00:00.000Z',
+      seller: { name: 'PedalShop', feedbackCount: null, positivePercent: null },
+      postageText: '',
+      postage: null,
+      collectionOnly: false,
+      images: ['https://img.test/b.jpg', 'https://img.test/a.jpg'],
+    });
+  });
+});
+
+describe('parsePostedDate', () => {
+  it.each([
+    ['Posted 3 days ago', '2025-03-17T12:00:00.000Z'],
+    ['an hour ago', '2025-03-20T11:00:00.000Z'],
+    ['2 weeks ago', '2025-03-06T12:00:00.000Z'],
+    ['Yesterday', '2025-03-19T12:00:00.000Z'],
+    ['Listed 14 Mar 2025', '2025-03-14T00:00:00.000Z'],
+    ['2025-03-01T09:00:00Z', '2025-03-01T09:00:00.000Z'],
+  ])('reads "%s"', (text, iso) => {
+    expect(scrapingService.parsePostedDate(text, NOW)).toBe(iso);
+  });
+
+  it('returns null for anything else', () => {
+    expect(scrapingService.parsePostedDate('Posted recently', NOW)).toBeNull();
+  });
+});
+
+describe('applyDetail', () => {
+  const card = {
+    title: 'Strymon OB.1', description: 'Strymon OB.1', postedAt: null, link: 'https://www.ebay.co.uk/itm/1',
+    image: 'https://i.ebayimg.com/images/g/AbC/s-l640.jpg',
+    money: { amount: 11999, currency: 'GBP', postage: null },
+    seller: { name: 'pedalpal_uk', feedbackCount: 1482, positivePercent: null },
+  };
+
+  it('fills what the card lacked and keeps one copy of each photo', () => {
+    const out = applyDetail(card, {
+      description: 'Strymon OB.1 in great working order.',
+      postedAt: '2025-03-17T12:00:00.000Z',
+      seller: { name: 'pedalpal_uk', feedbackCount: null, positivePercent: 99.6 },
+      postage: 450,
+      collectionOnly: false,
+      images: ['https://i.ebayimg.com/images/g/AbC/s-l1600.jpg', 'https://i.ebayimg.com/images/g/Def/s-l640.jpg'],
+    });
+    expect(out).toEqual(expect.objectContaining({
+      enriched: true,
+      description: 'Strymon OB.1 in great working order.',
+      postedAt: '2025-03-17T12:00:00.000Z',
+      seller: { name: 'pedalpal_uk', feedbackCount: 1482, positivePercent: 99.6 },
+      collectionOnly: false,
+      images: ['https://i.ebayimg.com/images/g/AbC/s-l640.jpg', 'https://i.ebayimg.com/images/g/Def/s-l640.jpg'],
+    }));
+    expect(out.money.postage).toBe(450);
+  });
+
+  it('keeps card values that are already set', () => {
+    const out = applyDetail({ ...card, postedAt: '2025-03-01T00:00:00.000Z', description: 'A long card description' }, {
+      description: 'Short', postedAt: '2025-03-17T12:00:00.000Z', images: [],
+    });
+    expect(out.postedAt).toBe('2025-03-01T00:00:00.000Z');
+    expect(out.description).toBe('A long card description');
+  });
+
+  it('passes listings without a detail through', () => {
+    expect(applyDetail(card, null)).toBe(card);
+  });
+});
+
+describe('EnrichmentService', () => {
+  const listing = (n, source = 'ebay') => ({ title: `Item ${n}`, source, link: `https://www.ebay.co.uk/itm/${n}?hash=x`, description: '' });
+  const fakeFetch = () => {
+    const calls = [];
+    const fetchDetail = async (r) => {
+      calls.push(r.link);
+      if (/itm\/bad/.test(r.link)) throw new Error('503');
+      return { description: `Detail for ${r.title}`, images: [] };
+    };
+    return { fetchDetail, calls };
+  };
+  const supports = (r) => r.source === 'ebay';
+
+  it('enriches the top N only, in order', async () => {
+    const { fetchDetail, calls } = fakeFetch();
+    const svc = new EnrichmentService({ topN: 2, fetchDetail, supports });
+    const out = await svc.enrich([listing(1), listing(2), listing(3)]);
+    expect(out.map(r => r.enriched ?? false)).toEqual([true, true, false]);
+    expect(out[0].description).toBe('Detail for Item 1');
+    expect(calls).toHaveLength(2);
+  });
+
+  it('caches details by listing URL', async () => {
+    const { fetchDetail, calls } = fakeFetch();
+    const svc = new EnrichmentService({ topN: 5, fetchDetail, supports });
+    await svc.enrich([listing(1)]);
+    const again = await svc.enrich([{ ...listing(1), link: 'https://www.ebay.co.uk/itm/1?hash=y' }]);
+    expect(calls).toHaveLength(1);
+    expect(again[0].enriched).toBe(true);
+    expect(svc.stats()).toEqual(expect.objectContaining({ fetched: 1, cached: 1 }));
+  });
+
+  it('stops at the per-search fetch budget and skips unsupported sources', async () => {
+    const { fetchDetail, calls } = fakeFetch();
+    const svc = new EnrichmentService({ topN: 10, maxFetches: 2, fetchDetail, supports });
+    const out = await svc.enrich([listing(1), listing(2, 'gumtree'), listing(3), listing(4)]);
+    expect(calls).toEqual(['https://www.ebay.co.uk/itm/1?hash=x', 'https://www.ebay.co.uk/itm/3?hash=x']);
+    expect(out.map(r => r.enriched ?? false)).toEqual([true, false, true, false]);
+  });
+
+  it('skips fetching once the search credit budget is used', async () => {
+    const { fetchDetail, calls } = fakeFetch();
+    const svc = new EnrichmentService({ fetchDetail, supports });
+    await svc.enrich([listing(1)], { budget: { exhausted: true } });
+    expect(calls).toEqual([]);
+  });
+
+  it('survives failed fetches and does not retry them straight away', async () => {
+    const { fetchDetail, calls } = fakeFetch();
+    const svc = new EnrichmentService({ fetchDetail, supports });
+    const out = await svc.enrich([listing('bad'), listing(2)]);
+    expect(out.map(r => r.enriched ?? false)).toEqual([false, true]);
+    await svc.enrich([listing('bad')]);
+    expect(calls.filter(u => /bad/.test(u))).toHaveLength(1);
+    expect(svc.stats().failed).toBe(1);
+  });
+});
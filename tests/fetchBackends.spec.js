@@ -0,0 +1,150 @@
+import nock from 'nock';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fetchBackends, fixtureBackend, fixturePath, browserHeaders, headlessBackend } from '../src/services/fetchBackends.js';
+import { scrapingService } from '../src/services/scrapingService.js';
+import { SearchBudget } from '../src/services/creditBudget.js';
+import { caseNamed, FIXTURE_DIR } from './fixtures/scrapers/cases.js';
+import { replayScrapingBee, resetReplay } from './helpers/scrapingBeeReplay.js';
+
+const ENV = ['FETCH_BACKENDS', 'FETCH_BACKENDS_DISCOGS', 'FETCH_BACKENDS_FACEBOOK', 'FETCH_PROXY_URL', 'FETCH_FIXTURE_DIR', 'FETCH_FIXTURE_RECORD', 'SCRAPINGBEE_API_KEY'];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+afterEach(() => {
+  for (const k of ENV) {
+    if (saved[k] === undefined) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+  resetReplay();
+});
+
+const fixture = (file) => readFile(new URL(file, FIXTURE_DIR), 'utf8');
+
+describe('fetch backend chains', () => {
+  it('uses ScrapingBee unless configured otherwise', () => {
+    expect(fetchBackends.chainFor('ebay').map(b => b.id)).toEqual(['scrapingBee']);
+    process.env.FETCH_BACKENDS_DISCOGS = 'direct, scrapingBee';
+    expect(fetchBackends.chainFor('discogs').map(b => b.id)).toEqual(['direct', 'scrapingBee']);
+    process.env.FETCH_BACKENDS = 'fixture,direct';
+    expect(fetchBackends.chainFor('ebay').map(b => b.id)).toEqual(['direct']); // no FETCH_FIXTURE_DIR
+  });
+
+  it('drops unconfigured and unknown backends', () => {
+    process.env.FETCH_BACKENDS = 'proxy,headless,scrapingBee';
+    expect(fetchBackends.chainFor('ebay').map(b => b.id)).toEqual(['scrapingBee']);
+    process.env.FETCH_PROXY_URL = 'https://proxy.test/fetch?target={url}';
+    expect(fetchBackends.chainFor('ebay').map(b => b.id)).toEqual(['proxy', 'scrapingBee']);
+  });
+
+  it('knows the headless backend but drops it while Playwright isn\'t installed', () => {
+    process.env.FETCH_BACKENDS_FACEBOOK = 'headless,scrapingBee';
+    expect(fetchBackends.configured('facebook').map(b => b.id)).toEqual(['headless', 'scrapingBee']);
+    expect(headlessBackend.available()).toBe(false); // not a dependency here
+    expect(fetchBackends.chainFor('facebook').map(b => b.id)).toEqual(['scrapingBee']);
+  });
+
+  it('leaves scrapers on their mocks when a source has no backend', async () => {
+    delete process.env.SCRAPINGBEE_API_KEY;
+    expect(scrapingService.canFetch('ebay')).toBe(false);
+    const out = await scrapingService.searchEbay('strymon ob-1');
+    expect(out.every(i => /mock-listing/.test(i.link))).toBe(true);
+  });
+
+  it('fetches for each search\'s own region, even when searches overlap', async () => {
+    nock.disableNetConnect();
+    const seen = [];
+    nock('https://app.scrapingbee.com').persist().get('/api/v1/').query((q) => {
+      seen.push([new URL(q.url).hostname.replace(/^(www|m)\./, ''), q.country_code]);
+      return true;
+    }).reply(404);
+    await Promise.all([
+      scrapingService.searchEbay('strymon ob-1', 'Ireland'),
+      scrapingService.searchEbay('strymon ob-1', 'UK'),
+      scrapingService.searchVinted('strymon ob-1', 'France'),
+    ]);
+    expect(new Set(seen.map(s => s.join(':')))).toEqual(new Set(['ebay.ie:ie', 'ebay.co.uk:gb', 'vinted.fr:fr']));
+  });
+
+  it('rotates User-Agents and speaks the region\'s language', () => {
+    const a = browserHeaders('fr'), b = browserHeaders('fr');
+    expect(a['User-Agent']).not.toBe(b['User-Agent']);
+    expect(a['Accept-Language']).toMatch(/^fr,fr;q=0\.9/);
+    expect(browserHeaders('gb')['Accept-Language']).toMatch(/^en-GB,en;q=0\.9/);
+  });
+});
+
+describe('direct and proxy backends', () => {
+  it('fetches a cheap source directly and spends no credits', async () => {
+    process.env.FETCH_BACKENDS_DISCOGS = 'direct,scrapingBee';
+    const bee = replayScrapingBee(caseNamed('discogs').responses);
+    const direct = nock('https://www.discogs.com').get('/sell/list').query(true)
+      .reply(200, await fixture('discogs/sell-list.html'));
+    const budget = new SearchBudget();
+    const out = await scrapingService.searchDiscogs('strymon ob-1', 'UK', 1, { budget: budget.forSource('discogs') });
+
+    expect(direct.isDone()).toBe(true);
+    expect(bee).toEqual([]);
+    expect(out.length).toBeGreaterThan(0);
+    expect(budget.summary().credits).toBe(0);
+  });
+
+  it('falls back down the chain when a backend is blocked', async () => {
+    process.env.FETCH_BACKENDS_DISCOGS = 'direct,scrapingBee';
+    const bee = replayScrapingBee(caseNamed('discogs').responses);
+    nock('https://www.discogs.com').get('/sell/list').query(true).reply(200, await fixture('ebay/captcha.html'));
+    const budget = new SearchBudget();
+    const out = await scrapingService.searchDiscogs('strymon ob-1', 'UK', 1, { budget: budget.forSource('discogs') });
+
+    expect(bee).toHaveLength(1);
+    expect(out.length).toBeGreaterThan(0);
+    expect(budget.summary().credits).toBeGreaterThan(0);
+  });
+
+  it('sends the target through the proxy URL', async () => {
+    process.env.FETCH_BACKENDS_DISCOGS = 'proxy';
+    process.env.FETCH_PROXY_URL = 'https://proxy.test/fetch?target={url}';
+    nock.disableNetConnect();
+    let target = null;
+    nock('https://proxy.test').get('/fetch').query((q) => { target = q.target; return true; })
+      .reply(200, await fixture('discogs/sell-list.html'));
+    const out = await scrapingService.searchDiscogs('strymon ob-1');
+
+    expect(target).toMatch(/^https:\/\/www\.discogs\.com\/sell\/list\?/);
+    expect(out.length).toBeGreaterThan(0);
+  });
+});
+
+describe('fixture backend', () => {
+  let dir;
+  beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'fetch-fixtures-')); });
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('serves saved pages offline, keyed by URL', async () => {
+    const requested = replayScrapingBee(caseNamed('discogs').responses);
+    await scrapingService.searchDiscogs('strymon ob-1'); // just to learn the URL it asks for
+    resetReplay();
+    const [url] = requested;
+
+    process.env.FETCH_FIXTURE_DIR = dir;
+    process.env.FETCH_BACKENDS_DISCOGS = 'fixture';
+    nock.disableNetConnect();
+    await expect(fixtureBackend.fetch(url)).rejects.toMatchObject({ code: 'FIXTURE_MISSING' });
+
+    const file = fixturePath(dir, url);
+    expect(file).toMatch(/www\.discogs\.com\/[0-9a-f]{16}\.html$/);
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(file, await fixture('discogs/sell-list.html'));
+    const out = await scrapingService.searchDiscogs('strymon ob-1');
+    expect(out.length).toBeGreaterThan(0);
+  });
+
+  it('records what the other backends fetch when asked', async () => {
+    process.env.FETCH_FIXTURE_DIR = dir;
+    process.env.FETCH_FIXTURE_RECORD = 'true';
+    const requested = replayScrapingBee(caseNamed('discogs').responses);
+    await scrapingService.searchDiscogs('strymon ob-1');
+
+    const saved = await readFile(fixturePath(dir, requested[0]), 'utf8');
+    expect(saved).toBe(await fixture('discogs/sell-list.html'));
+  });
+});
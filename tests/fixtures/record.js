@@ -0,0 +1,44 @@
+// tests/fixtures/record.js
+// Refresh parser fixtures from the live sites through ScrapingBee:
+//   SCRAPINGBEE_API_KEY=... npm run fixtures:record [-- <case name filter>]
+// then review the diff and run `npm test -- -u` to accept the new snapshots. Synthetic
+// cases and bodies (see scrapers/cases.js) are hand-written and left alone.
+import { readFile, writeFile } from 'node:fs/promises';
+import * as cheerio from 'cheerio';
+import { cases, FIXTURE_DIR } from './scrapers/cases.js';
+import { scrapingService } from '../../src/services/scrapingService.js';
+
+if (!process.env.SCRAPINGBEE_API_KEY) {
+  console.error('SCRAPINGBEE_API_KEY is required to record fixtures');
+  process.exit(1);
+}
+
+const filter = (process.argv[2] || '').toLowerCase();
+const selected = cases.filter(c => !filter || c.name.toLowerCase().includes(filter));
+const liveFetch = scrapingService.fetchHTML.bind(scrapingService);
+
+for (const c of selected) {
+  if (c.synthetic) {
+    console.log(`⏭️ ${c.name}: synthetic, skipped`);
+    continue;
+  }
+  const written = [];
+  scrapingService.fetchHTML = async (url, opts = {}) => {
+    const hit = c.responses.find(r => r.match.test(url));
+    if (!hit) throw new Error(`no fixture mapping for ${url}`);
+    const file = new URL(hit.file, FIXTURE_DIR);
+    let body;
+    if (hit.synthetic) {
+      body = await readFile(file, 'utf8');
+    } else {
+      body = await liveFetch(url, { ...opts, mode: 'text', cache: false });
+      await writeFile(file, body);
+      written.push(hit.file);
+    }
+    return opts.mode === 'text' ? body : cheerio.load(body);
+  };
+
+  const out = await scrapingService[c.method](c.query, c.location || 'UK', 1, c.ctx);
+  console.log(`📼 ${c.name}: ${out.length} listings parsed; wrote ${written.join(', ') || 'nothing'}`);
+}
+scrapingService.fetchHTML = liveFetch;
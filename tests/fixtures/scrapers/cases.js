@@ -0,0 +1,127 @@
+// tests/fixtures/scrapers/cases.js
+// Replay cases for the ScrapingService parsers. Each case calls one search method with
+// ScrapingBee stubbed by nock; `responses` map the target URL ScrapingBee is asked for
+// to a saved body (first match wins); an optional `location` (default 'UK') and `ctx` are
+// passed as the method's second and fourth arguments. `synthetic` bodies are hand-written
+// (e.g. an empty RSS feed to force the HTML fallback) and are never overwritten by the
+// recorder; a `synthetic` case is hand-written throughout (markup shaped for what the
+// test checks, not captured from the site) and the recorder skips it.
+//
+// When a site changes its markup:
+//   SCRAPINGBEE_API_KEY=... npm run fixtures:record -- ebay   # refresh the saved bodies
+//   npm test -- -u                                             # accept the new parsed output
+export const FIXTURE_DIR = new URL('./', import.meta.url);
+
+const QUERY = 'strymon ob-1';
+const EBAY_RSS = /^https:\/\/www\.ebay\.co\.uk\/sch\/.*[?&]_rss=1/;
+const EBAY_DESKTOP = /^https:\/\/www\.ebay\.co\.uk\/sch\//;
+const EBAY_SOLD = /^https:\/\/www\.ebay\.co\.uk\/sch\/.*[?&]LH_Sold=1/;
+
+export const cases = [
+  {
+    name: 'ebay rss',
+    method: 'searchEbay',
+    source: 'ebay',
+    query: QUERY,
+    responses: [{ match: EBAY_RSS, file: 'ebay/rss.xml' }],
+  },
+  {
+    name: 'ebay desktop',
+    method: 'searchEbay',
+    source: 'ebay',
+    query: QUERY,
+    responses: [
+      { match: EBAY_RSS, file: 'ebay/rss-empty.xml', synthetic: true },
+      { match: EBAY_DESKTOP, file: 'ebay/desktop.html' },
+    ],
+  },
+  {
+    name: 'ebay mobile',
+    method: 'searchEbay',
+    source: 'ebay',
+    query: QUERY,
+    responses: [
+      { match: EBAY_RSS, file: 'ebay/rss-empty.xml', synthetic: true },
+      { match: EBAY_DESKTOP, file: 'ebay/desktop-empty.html', synthetic: true },
+      { match: /^https:\/\/m\.ebay\.co\.uk\/sch\//, file: 'ebay/mobile.html' },
+    ],
+  },
+  {
+    name: 'ebay sold',
+    method: 'searchEbay',
+    source: 'ebay',
+    query: QUERY,
+    ctx: { sold: true },
+    responses: [{ match: EBAY_SOLD, file: 'ebay/sold.html' }],
+  },
+  {
+    name: 'ebay ie',
+    method: 'searchEbay',
+    source: 'ebay',
+    query: QUERY,
+    location: 'IE',
+    synthetic: true, // hand-built ebay.ie page: EUR listings plus a GBP one for the region filter
+    responses: [
+      { match: /^https:\/\/www\.ebay\.ie\/sch\/.*[?&]_rss=1/, file: 'ebay/rss-empty.xml', synthetic: true },
+      { match: /^https:\/\/www\.ebay\.ie\/sch\//, file: 'ebay/desktop-ie.html', synthetic: true },
+    ],
+  },
+  {
+    name: 'gumtree',
+    method: 'searchGumtree',
+    source: 'gumtree',
+    query: QUERY,
+    responses: [{ match: /^https:\/\/www\.gumtree\.com\/search/, file: 'gumtree/search.html' }],
+  },
+  {
+    name: 'facebook',
+    method: 'searchFacebookMarketplace',
+    source: 'facebook',
+    query: QUERY,
+    responses: [{ match: /^https:\/\/www\.facebook\.com\/marketplace\/search/, file: 'facebook/search.html' }],
+  },
+  {
+    name: 'cashConverters',
+    method: 'searchCashConverters',
+    source: 'cashConverters',
+    query: 'strymon',
+    responses: [{ match: /^https:\/\/www\.cashconverters\.co\.uk\/search/, file: 'cashConverters/search.html' }],
+  },
+  {
+    name: 'vinted',
+    method: 'searchVinted',
+    source: 'vinted',
+    query: 'strymon',
+    responses: [{ match: /^https:\/\/www\.vinted\.co\.uk\/catalog/, file: 'vinted/catalog.html' }],
+  },
+  {
+    name: 'depop',
+    method: 'searchDepop',
+    source: 'depop',
+    query: 'strymon',
+    responses: [{ match: /^https:\/\/www\.depop\.com\/search/, file: 'depop/search.html' }],
+  },
+  {
+    name: 'discogs',
+    method: 'searchDiscogs',
+    source: 'discogs',
+    query: 'strymon',
+    responses: [{ match: /^https:\/\/www\.discogs\.com\/sell\/list/, file: 'discogs/sell-list.html' }],
+  },
+  {
+    name: 'googleShopping',
+    method: 'searchGoogleShopping',
+    source: 'googleShopping',
+    query: QUERY,
+    responses: [{ match: /^https:\/\/www\.google\.com\/search\?tbm=shop/, file: 'google/shopping.html' }],
+  },
+  {
+    name: 'googleResults',
+    method: 'searchGoogleResults',
+    source: 'googleResults',
+    query: QUERY,
+    responses: [{ match: /^https:\/\/www\.google\.com\/search\?q=/, file: 'google/results.html' }],
+  },
+];
+
+export const caseNamed = (name) => cases.find(c => c.name === name);
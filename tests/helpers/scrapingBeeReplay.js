@@ -0,0 +1,36 @@
+// tests/helpers/scrapingBeeReplay.js
+import nock from 'nock';
+import { readFileSync } from 'node:fs';
+import { FIXTURE_DIR } from '../fixtures/scrapers/cases.js';
+
+const BEE_ORIGIN = 'https://app.scrapingbee.com';
+
+/**
+ * Intercept ScrapingBee GETs and answer from fixture files.
+ * Returns the list of target URLs requested (for asserting fallbacks were taken);
+ * a target with no matching response gets a 404, like an unknown page would.
+ * A response with `delayMs` answers that much later (a slow source, for deadline tests).
+ */
+export function replayScrapingBee(responses, { dir = FIXTURE_DIR } = {}) {
+  nock.disableNetConnect();
+  const requested = [];
+  nock(BEE_ORIGIN)
+    .persist()
+    .get('/api/v1/')
+    .query(true)
+    .reply((uri, _body, done) => {
+      const target = new URL(uri, BEE_ORIGIN).searchParams.get('url');
+      requested.push(target);
+      const hit = responses.find(r => r.match.test(target));
+      if (!hit) return done(null, [404, `no fixture for ${target}`]);
+      const reply = () => done(null, [200, readFileSync(new URL(hit.file, dir), 'utf8')]);
+      if (hit.delayMs) setTimeout(reply, hit.delayMs).unref();
+      else reply();
+    });
+  return requested;
+}
+
+export function resetReplay() {
+  nock.cleanAll();
+  nock.enableNetConnect();
+}
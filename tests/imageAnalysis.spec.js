@@ -0,0 +1,136 @@
+import { readFileSync } from 'node:fs';
+import { decodeImage, hashImageBuffer, hammingDistance } from '../src/utils/imageHash.js';
+import { ImageAnalysisService } from '../src/services/imageAnalysisService.js';
+import { clusterListings, clusterConfig } from '../src/search/cluster.js';
+
+const IMAGES = new URL('./fixtures/images/', import.meta.url);
+const file = (name) => readFileSync(new URL(name, IMAGES));
+const hashOf = (name) => hashImageBuffer(file(name));
+
+// "https://img.test/<file>" -> tests/fixtures/images/<file>
+function localFetcher() {
+  const calls = [];
+  let active = 0;
+  const fetchImage = async (url) => {
+    calls.push(url);
+    active++;
+    fetchImage.maxActive = Math.max(fetchImage.maxActive, active);
+    await new Promise(r => setTimeout(r, 5));
+    active--;
+    return file(new URL(url).pathname.slice(1));
+  };
+  fetchImage.maxActive = 0;
+  return { fetchImage, calls };
+}
+
+describe('imageHash', () => {
+  it('decodes JPEG and PNG', () => {
+    expect(decodeImage(file('pedal.jpg'))).toMatchObject({ width: 160, height: 120 });
+    expect(decodeImage(file('pedal.png'))).toMatchObject({ width: 120, height: 90 });
+    expect(() => decodeImage(Buffer.from('GIF89a......'))).toThrow(expect.objectContaining({ code: 'BAD_IMAGE' }));
+  });
+
+  it('gives resized/recompressed copies near-identical hashes and other photos distant ones', () => {
+    const pedal = hashOf('pedal.jpg');
+    expect(pedal).toMatch(/^[0-9a-f]{16}$/);
+    expect(hashOf('pedal.jpg')).toBe(pedal);
+    expect(hammingDistance(pedal, hashOf('pedal-thumb.jpg'))).toBeLessThanOrEqual(10);
+    expect(hammingDistance(pedal, hashOf('pedal.png'))).toBeLessThanOrEqual(10);
+    expect(hammingDistance(pedal, hashOf('landscape.jpg'))).toBeGreaterThan(16);
+  });
+
+  it('measures bit distance', () => {
+    expect(hammingDistance('ff00ff00ff00ff00', 'ff00ff00ff00ff01')).toBe(1);
+    expect(hammingDistance('ff', 'ff00')).toBe(Infinity);
+  });
+});
+
+describe('ImageAnalysisService', () => {
+  const service = (opts = {}) => {
+    const fetcher = localFetcher();
+    return { ...fetcher, images: new ImageAnalysisService({ enabled: true, fetchImage: fetcher.fetchImage, ...opts }) };
+  };
+
+  it('hashes listing photos once per URL, upgrading eBay thumbnails', async () => {
+    const { images, calls } = service();
+    const out = await images.hashListings([
+      { title: 'a', image: 'https://img.test/pedal.jpg' },
+      { title: 'b', image: 'https://img.test/pedal.jpg' },
+      { title: 'c' },
+      { title: 'd', image: 'https://img.test/missing.jpg' },
+    ]);
+    expect(out.map(r => r.imageHash)).toEqual([hashOf('pedal.jpg'), hashOf('pedal.jpg'), null, null]);
+    expect(calls.filter(u => /pedal/.test(u))).toHaveLength(1);
+    expect(images.stats()).toMatchObject({ downloads: 2, failures: 1 });
+
+    await images.hashImage('https://i.ebayimg.com/thumbs/images/g/x/s-l140.jpg');
+    expect(calls.at(-1)).toBe('https://i.ebayimg.com/thumbs/images/g/x/s-l640.jpg');
+  });
+
+  it('caps concurrent downloads and the photos hashed per search', async () => {
+    const names = ['pedal.jpg', 'pedal-thumb.jpg', 'pedal.png', 'landscape.jpg'];
+    const { images, fetchImage } = service({ concurrency: 2, maxPerSearch: 3 });
+    const out = await images.hashListings(names.map(n => ({ title: n, image: `https://img.test/${n}` })));
+    expect(fetchImage.maxActive).toBe(2);
+    expect(out.filter(r => r.imageHash)).toHaveLength(3);
+    expect(out[3]).not.toHaveProperty('imageHash');
+  });
+
+  it('skips hashing after an abort and stops waiting when one arrives', async () => {
+    const { images, calls } = service();
+    const listings = [{ title: 'a', image: 'https://img.test/pedal.jpg' }];
+    const aborted = await images.hashListings(listings, { signal: AbortSignal.abort() });
+    expect(aborted).toBe(listings);
+    expect(calls).toEqual([]);
+
+    const slow = new ImageAnalysisService({
+      enabled: true,
+      fetchImage: () => new Promise(r => setTimeout(() => r(file('pedal.jpg')), 200)),
+    });
+    const out = await slow.hashListings(listings, { signal: AbortSignal.timeout(20) });
+    expect(out[0].imageHash).toBeNull();
+  });
+
+  it('flags a photo on several unrelated listings as a stock photo', async () => {
+    const { images } = service({ reuseThreshold: 3 });
+    const listing = (n, image = 'https://img.test/pedal.jpg') => ({ title: `pedal ${n}`, link: `https://shop${n}.test/item`, image });
+    const first = await images.flagReuse(await images.hashListings([listing(1), listing(2), listing(3, 'https://img.test/landscape.jpg')]));
+    expect(first.map(r => r.imageReuse)).toEqual([
+      { count: 2, stockPhoto: false }, { count: 2, stockPhoto: false }, { count: 1, stockPhoto: false },
+    ]);
+
+    // seeing listing 1 again doesn't count; a third seller does
+    const second = await images.flagReuse(await images.hashListings([listing(1), listing(4)]));
+    expect(second.map(r => r.imageReuse)).toEqual([{ count: 3, stockPhoto: true }, { count: 3, stockPhoto: true }]);
+    expect(images.stats()).toMatchObject({ photos: 2, stockPhotos: 1 });
+  });
+
+  it('remembers a bounded number of photos', async () => {
+    const { images } = service({ maxPhotos: 1 });
+    await images.recordSighting('aaaa', ['https://shop1.test/item']);
+    await images.recordSighting('bbbb', ['https://shop2.test/item']);
+    expect(images.stats().photos).toBe(1);
+    expect(await images.reuseOf('aaaa')).toEqual({ count: 0, stockPhoto: false });
+    expect(await images.reuseOf('bbbb')).toEqual({ count: 1, stockPhoto: false });
+  });
+
+  it("counts one seller's cross-posts once after clustering", async () => {
+    const { images } = service({ reuseThreshold: 2 });
+    const hashed = await images.hashListings([
+      { source: 'ebay', title: 'Strymon OB-1 compressor', priceAmount: 130, link: 'https://www.ebay.co.uk/itm/1', image: 'https://img.test/pedal.jpg' },
+      { source: 'gumtree', title: 'Strymon OB1 compressor pedal', priceAmount: 125, link: 'https://www.gumtree.com/p/2', image: 'https://img.test/pedal-thumb.jpg' },
+    ]);
+    const [result, ...rest] = await images.flagReuse(clusterListings(hashed, clusterConfig({})));
+    expect(rest).toHaveLength(0);
+    expect(result.alternates).toHaveLength(1);
+    expect(result.imageReuse).toEqual({ count: 1, stockPhoto: false });
+  });
+
+  it('passes listings through when disabled', async () => {
+    const { images, calls } = service({ enabled: false });
+    const listings = [{ title: 'a', image: 'https://img.test/pedal.jpg' }];
+    expect(await images.hashListings(listings)).toBe(listings);
+    expect(await images.flagReuse(listings)).toBe(listings);
+    expect(calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  parsePostcode, geocode, localityCoords, distanceMiles, resolveNear, radiusApplies, isCollectionOnly, withDistance, withinCollectionRadius,
+} from '../src/search/location.js';
+
+describe('parsePostcode', () => {
+  it.each([
+    ['LS6 2AB', { outcode: 'LS6', area: 'LS', postcode: 'LS6 2AB' }],
+    ['ls62ab', { outcode: 'LS6', area: 'LS', postcode: 'LS6 2AB' }],
+    ['sw1a 1aa', { outcode: 'SW1A', area: 'SW', postcode: 'SW1A 1AA' }],
+    ['M14', { outcode: 'M14', area: 'M', postcode: null }],
+  ])('reads "%s"', (text, out) => {
+    expect(parsePostcode(text)).toEqual(out);
+  });
+
+  it('returns null for anything else', () => {
+    expect(parsePostcode('Leeds')).toBeNull();
+    expect(parsePostcode('LS6 2A')).toBeNull();
+  });
+});
+
+describe('geocode', () => {
+  it('places outcodes, falls back to the postcode area and knows towns', () => {
+    expect(geocode('LS6 2AB')).toEqual(expect.objectContaining({ label: 'LS6 2AB', outcode: 'LS6', precision: 'outcode' }));
+    expect(geocode('LS27')).toEqual(expect.objectContaining({ outcode: 'LS27', precision: 'area' }));
+    expect(geocode('milton keynes')).toEqual(expect.objectContaining({ label: 'Milton Keynes', precision: 'place' }));
+    expect(geocode('Atlantis')).toBeNull();
+    expect(geocode('ZZ1')).toBeNull();
+  });
+});
+
+describe('localityCoords', () => {
+  it('reads listing locality text', () => {
+    expect(localityCoords('Hackney, London').label).toBe('Hackney');
+    expect(localityCoords('from Bristol, United Kingdom').label).toBe('Bristol');
+    expect(localityCoords('Headingley LS6').outcode).toBe('LS6');
+  });
+
+  it('cannot place a country', () => {
+    expect(localityCoords('from United Kingdom')).toBeNull();
+    expect(localityCoords('')).toBeNull();
+  });
+});
+
+describe('distanceMiles', () => {
+  it('measures great-circle miles', () => {
+    const london = geocode('london'), manchester = geocode('manchester');
+    expect(distanceMiles(london, manchester)).toBeGreaterThan(155);
+    expect(distanceMiles(london, manchester)).toBeLessThan(170);
+    expect(distanceMiles(london, london)).toBe(0);
+    expect(distanceMiles(london, null)).toBeNull();
+  });
+});
+
+describe('resolveNear', () => {
+  it('resolves a postcode or town with a radius', () => {
+    expect(resolveNear('BS1 4DJ', '25')).toEqual(expect.objectContaining({
+      query: 'BS1 4DJ', postcode: 'BS1 4DJ', outcode: 'BS1', town: 'Bristol', radiusMiles: 25,
+    }));
+    expect(resolveNear('Leeds')).toEqual(expect.objectContaining({ outcode: 'LS1', town: 'Leeds', radiusMiles: null }));
+    expect(resolveNear('')).toBeNull();
+  });
+
+  it.each([
+    ['Atlantis', 10],
+    ['Leeds', 0],
+    ['Leeds', 501],
+    ['Leeds', 'far'],
+    ['', 10],
+  ])('rejects near=%p radius=%p', (near, radius) => {
+    expect(() => resolveNear(near, radius)).toThrow(expect.objectContaining({ code: 'BAD_LOCATION' }));
+  });
+});
+
+describe('collection radius', () => {
+  const near = resolveNear('BS1', 20);
+  const listings = withDistance([
+    { source: 'gumtree', location: 'Bristol, Bristol' },
+    { source: 'gumtree', location: 'Hackney, London' },
+    { source: 'gumtree', location: 'Hackney, London', collectionOnly: false },
+    { source: 'ebay', location: 'Leeds' },
+    { source: 'ebay', location: 'Leeds', collectionOnly: true },
+    { source: 'facebook', location: '' },
+  ], near);
+
+  it('treats Gumtree and Facebook as collection-only unless they say otherwise', () => {
+    expect(listings.map(isCollectionOnly)).toEqual([true, true, false, false, true, true]);
+  });
+
+  it('drops only collection-only listings known to be out of range', () => {
+    expect(listings.map(r => r.distanceMiles == null)).toEqual([false, false, false, false, false, true]);
+    expect(listings.map(r => withinCollectionRadius(r, near))).toEqual([true, false, true, true, false, true]);
+    expect(withinCollectionRadius(listings[1], { ...near, radiusMiles: null })).toBe(true);
+  });
+
+  it('only filters when both ends are placed by outcode or town', () => {
+    const coarse = resolveNear('LS27', 5); // not in the table: Leeds postcode area centroid
+    expect(coarse.precision).toBe('area');
+    expect(radiusApplies(coarse)).toBe(false);
+    expect(radiusApplies(near)).toBe(true);
+    const far = withDistance([{ source: 'gumtree', location: 'Hackney, London' }], coarse);
+    expect(far[0]).toEqual(expect.objectContaining({ distanceMiles: expect.any(Number), distanceApprox: true }));
+    expect(withinCollectionRadius(far[0], coarse)).toBe(true);
+
+    const [byArea] = withDistance([{ source: 'gumtree', location: 'NE99' }], near); // listing placed by area only
+    expect(byArea.distanceApprox).toBe(true);
+    expect(withinCollectionRadius(byArea, near)).toBe(true);
+    expect(listings[1].distanceApprox).toBeUndefined();
+  });
+});
@@ -1,6 +1,43 @@
+import { parsePriceGBP } from '../src/utils/price.js';
+import { scrapingService } from '../src/services/scrapingService.js';
+import { cases } from './fixtures/scrapers/cases.js';
+import { replayScrapingBee, resetReplay } from './helpers/scrapingBeeReplay.js';
+
 describe('parsing fixtures', () => {
   it('normalizes empty price', () => {
-    const { parsePriceGBP } = require('../src/utils/price');
     expect(parsePriceGBP('')).toEqual({ amount: null, currency: 'GBP' });
   });
 });
+
+describe.each(cases)('$name parser replay', (c) => {
+  let requested;
+  let out;
+
+  beforeAll(async () => {
+    requested = replayScrapingBee(c.responses);
+    out = await scrapingService[c.method](c.query, c.location || 'UK', 1, c.ctx);
+  });
+  afterAll(resetReplay);
+
+  it('fetches every recorded page it has a fixture for', () => {
+    for (const r of c.responses) {
+      expect(requested.some(u => r.match.test(u))).toBe(true);
+    }
+  });
+
+  it('returns normalized listings', () => {
+    expect(out.length).toBeGreaterThan(0);
+    for (const it of out) {
+      expect(it.source).toBe(c.source);
+      expect(it.title).toEqual(expect.any(String));
+      expect(it.title.length).toBeGreaterThan(0);
+      expect(it.link).toMatch(/^https:\/\//);
+      expect(it.url).toBe(it.link);
+      if (it.price) expect(it.price).toMatch(/^[£$€]-?\d+(\.\d{1,2})?$/);
+    }
+  });
+
+  it('matches the recorded parse', () => {
+    expect(out).toMatchSnapshot();
+  });
+});
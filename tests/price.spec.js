@@ -0,0 +1,88 @@
+import { parseMoney, parsePriceGBP, detectCurrency, formatMoney } from '../src/utils/price.js';
+import { convertMoney, convertMinor, fxRates, setFxRates, loadRates } from '../src/utils/fx.js';
+
+describe('parseMoney', () => {
+  it.each([
+    ['£129.99', { amount: 12999, currency: 'GBP', kind: 'fixed' }],
+    ['£1,049.99', { amount: 104999, currency: 'GBP', kind: 'fixed' }],
+    ['1.049,00 €', { amount: 104900, currency: 'EUR', kind: 'fixed' }],
+    ['12,50 €', { amount: 1250, currency: 'EUR', kind: 'fixed' }],
+    ['US$20', { amount: 2000, currency: 'USD', kind: 'fixed' }],
+    ['EUR 45', { amount: 4500, currency: 'EUR', kind: 'fixed' }],
+    ['£0', { amount: 0, currency: 'GBP', kind: 'free' }],
+    ['Free', { amount: 0, currency: null, kind: 'free' }],
+    ['Swap or sell', { amount: null, currency: null, kind: 'swap' }],
+    ['Contact seller', { amount: null, currency: null, kind: 'unknown' }],
+  ])('%s', (label, expected) => {
+    expect(parseMoney(label)).toMatchObject({ ...expected, label });
+  });
+
+  it('keeps both ends of a price range and uses the lower one as the amount', () => {
+    expect(parseMoney('£199 to £249')).toMatchObject({ amount: 19900, kind: 'range', range: { min: 19900, max: 24900 } });
+    expect(parseMoney('£20 - £35').range).toEqual({ min: 2000, max: 3500 });
+  });
+
+  it('flags ONO without losing the amount', () => {
+    expect(parseMoney('£80 ONO')).toMatchObject({ amount: 8000, ono: true });
+    expect(parseMoney('£80 or nearest offer').ono).toBe(true);
+    expect(parseMoney('£80').ono).toBe(false);
+  });
+
+  it('separates postage from the item price', () => {
+    expect(parseMoney('£119.99 +£4.50 postage')).toMatchObject({ amount: 11999, postage: 450 });
+    expect(parseMoney('£50 free postage')).toMatchObject({ amount: 5000, kind: 'fixed', postage: 0 });
+    expect(parseMoney('£50', { postageText: '+£3.20 P&P' }).postage).toBe(320);
+    expect(parseMoney('£50', { postageText: 'Free delivery' }).postage).toBe(0);
+  });
+
+  it('needs a currency marker unless a default is given', () => {
+    expect(parseMoney('129.99').amount).toBeNull();
+    expect(parseMoney('129.99', { defaultCurrency: 'GBP' })).toMatchObject({ amount: 12999, currency: 'GBP' });
+  });
+
+  it('detects the currency of the first amount', () => {
+    expect(detectCurrency('€40 (approx £34)')).toBe('EUR');
+    expect(detectCurrency('no price')).toBeNull();
+  });
+
+  it('keeps the legacy parsePriceGBP shape', () => {
+    expect(parsePriceGBP('£12.50')).toEqual({ amount: 12.5, currency: 'GBP' });
+    expect(parsePriceGBP(7)).toEqual({ amount: 7, currency: 'GBP' });
+  });
+});
+
+describe('fx', () => {
+  const saved = fxRates();
+  afterEach(() => setFxRates(saved));
+
+  it('converts through GBP rates and rounds to minor units', () => {
+    setFxRates({ EUR: 1.2, USD: 1.25 });
+    expect(convertMinor(12000, 'EUR', 'GBP')).toBe(10000);
+    expect(convertMinor(10000, 'GBP', 'USD')).toBe(12500);
+    expect(convertMinor(12000, 'EUR', 'USD')).toBe(12500);
+    expect(convertMinor(100, 'XYZ', 'GBP')).toBeNull();
+  });
+
+  it('converts a money object and remembers the original', () => {
+    setFxRates({ EUR: 1.2 });
+    const conv = convertMoney(parseMoney('€120 to €240'), 'GBP');
+    expect(conv).toMatchObject({
+      amount: 10000,
+      currency: 'GBP',
+      label: formatMoney(10000, 'GBP'),
+      range: { min: 10000, max: 20000 },
+      converted: true,
+      original: { amount: 12000, currency: 'EUR', label: '€120 to €240' },
+    });
+    expect(convertMoney(parseMoney('£5'), 'GBP')).toMatchObject({ amount: 500, converted: false, original: null });
+  });
+
+  it('treats an unpriced "Free" as zero in any currency and leaves swaps unconverted', () => {
+    expect(convertMoney(parseMoney('Free'), 'EUR')).toMatchObject({ amount: 0, currency: 'EUR' });
+    expect(convertMoney(parseMoney('Swap'), 'GBP')).toBeNull();
+  });
+
+  it('reads overrides from FX_RATES-style strings', () => {
+    expect(loadRates({ inline: 'eur=1.5, USD=2,bad=x' })).toMatchObject({ GBP: 1, EUR: 1.5, USD: 2 });
+  });
+});
@@ -0,0 +1,133 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PriceHistoryService, normalizeQueryKey, historyKey, summarize, dealScore } from '../src/services/priceHistoryService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1, 12);
+const listings = (prices, prefix = 'l') => prices.map((priceAmount, i) => ({ key: `${prefix}${i}`, priceAmount }));
+
+describe('normalizeQueryKey', () => {
+  it('ignores case, word order, separators and operators', () => {
+    expect(normalizeQueryKey('Strymon OB-1')).toBe('ob1 strymon');
+    expect(normalizeQueryKey('ob.1 strymon')).toBe('ob1 strymon');
+    expect(normalizeQueryKey('strymon ob1 source:ebay £50..£150')).toBe('ob1 strymon');
+  });
+
+  it('prefixes history keys with the region', () => {
+    expect(historyKey('Strymon OB-1')).toBe('gb:ob1 strymon');
+    expect(historyKey('strymon ob1', 'US')).toBe('us:ob1 strymon');
+    expect(historyKey('source:ebay')).toBe('');
+  });
+});
+
+describe('summarize', () => {
+  it('computes median and quartiles', () => {
+    expect(summarize([100, 140, 120, 110, 130])).toEqual({ count: 5, median: 120, p25: 110, p75: 130, iqr: 20 });
+  });
+
+  it('is empty for no prices', () => {
+    expect(summarize([])).toEqual({ count: 0, median: null, p25: null, p75: null, iqr: null });
+  });
+});
+
+describe('dealScore', () => {
+  const baseline = { median: 120, p25: 110, p75: 130, iqr: 20 };
+
+  it.each([
+    [100, 'great'],
+    [115, 'good'],
+    [125, 'fair'],
+    [160, 'high'],
+  ])('labels %d as %s', (price, label) => {
+    expect(dealScore(price, baseline).label).toBe(label);
+  });
+
+  it('scores 0.5 at the median and clamps to 0..1', () => {
+    expect(dealScore(120, baseline)).toEqual({ score: 0.5, label: 'good', vsMedianPct: 0 });
+    expect(dealScore(20, baseline).score).toBe(1);
+    expect(dealScore(500, baseline).score).toBe(0);
+  });
+
+  it('needs a baseline and a price', () => {
+    expect(dealScore(100, null)).toBeNull();
+    expect(dealScore(null, baseline)).toBeNull();
+  });
+});
+
+describe('PriceHistoryService', () => {
+  it('keeps one point per listing per day and counts each listing once', async () => {
+    const h = new PriceHistoryService({ file: '', minSamples: 3 });
+    await h.record('strymon ob-1', listings([100, 120]), { now: NOW });
+    await h.record('Strymon OB1', listings([90, 120]), { now: NOW + 1000 });
+    await h.record('strymon ob-1', listings([80]), { now: NOW + DAY });
+
+    const mv = await h.marketValue('ob-1 strymon', { now: NOW + DAY });
+    expect(mv).toEqual(expect.objectContaining({ query: 'ob1 strymon', count: 2, median: 100, reliable: false }));
+    expect(h.queries.get('gb:ob1 strymon').get('l0')).toHaveLength(2);
+  });
+
+  it('reports trends against the previous window', async () => {
+    const h = new PriceHistoryService({ file: '' });
+    await h.record('boss ds-1', listings([40, 50, 60], 'old'), { now: NOW - 10 * DAY });
+    await h.record('boss ds-1', listings([30, 40, 50], 'new'), { now: NOW - DAY });
+
+    const { trend } = await h.marketValue('boss ds-1', { now: NOW });
+    expect(trend['7d']).toEqual({ median: 40, count: 3, previousMedian: 50, changePct: -20 });
+    expect(trend['30d']).toEqual(expect.objectContaining({ count: 6, previousMedian: null, changePct: null }));
+  });
+
+  it('stores GBP and answers in the requested currency', async () => {
+    const h = new PriceHistoryService({ file: '', minSamples: 1 });
+    await h.record('boss ds-1', listings([117]), { currency: 'EUR', now: NOW });
+    expect((await h.marketValue('boss ds-1', { now: NOW })).median).toBe(100);
+    expect((await h.marketValue('boss ds-1', { currency: 'USD', now: NOW })).median).toBe(127);
+  });
+
+  it('drops points past the retention window', async () => {
+    const h = new PriceHistoryService({ file: '', retentionDays: 30 });
+    await h.record('boss ds-1', listings([50], 'old'), { now: NOW - 40 * DAY });
+    await h.record('boss ds-1', listings([60], 'new'), { now: NOW });
+    expect([...h.queries.get('gb:boss ds1').keys()]).toEqual(['new0']);
+  });
+
+  it('persists to and reloads from its file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'price-history-'));
+    try {
+      const file = join(dir, 'history.json');
+      const a = new PriceHistoryService({ file, minSamples: 2 });
+      await a.record('strymon ob-1', listings([100, 120]), { now: NOW });
+      await a.flush();
+      clearTimeout(a.saveTimer);
+      expect(JSON.parse(await readFile(file, 'utf8')).queries['gb:ob1 strymon'].listings.l0).toEqual([[NOW, 100]]);
+
+      const b = new PriceHistoryService({ file, minSamples: 2 });
+      expect(await b.marketValue('strymon ob-1', { now: NOW })).toEqual(expect.objectContaining({ count: 2, median: 110, reliable: true }));
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps each region\'s market apart', async () => {
+    const h = new PriceHistoryService({ file: '', minSamples: 1 });
+    await h.record('strymon ob-1', listings([100, 120]), { now: NOW });
+    await h.record('strymon ob-1', listings([200]), { currency: 'USD', region: 'us', now: NOW });
+
+    expect(await h.marketValue('strymon ob-1', { now: NOW })).toEqual(expect.objectContaining({ region: 'gb', count: 2, median: 110 }));
+    expect(await h.marketValue('strymon ob-1', { currency: 'USD', region: 'us', now: NOW }))
+      .toEqual(expect.objectContaining({ region: 'us', count: 1, median: 200 }));
+    expect((await h.marketValue('strymon ob-1', { region: 'de', now: NOW })).count).toBe(0);
+  });
+
+  it('loads history saved before regions as UK history', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'price-history-'));
+    try {
+      const file = join(dir, 'history.json');
+      await writeFile(file, JSON.stringify({ queries: { 'ob1 strymon': { listings: { l0: [[NOW, 100]] } } } }));
+      const h = new PriceHistoryService({ file, minSamples: 1 });
+      expect((await h.marketValue('strymon ob-1', { now: NOW })).median).toBe(100);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,139 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { productKnowledge, ProductKnowledgeBase, validateFamily, aliasRegex } from '../src/services/productKnowledge.js';
+
+/** accepts(listing) for a query, via the shipped knowledge base */
+const fits = (query, listing) => productKnowledge.accepts(listing, productKnowledge.targetsFor(query));
+const target = (query) => productKnowledge.targetsFor(query).map(t => `${t.family}:${[...t.models].join(',')}`);
+
+describe('aliasRegex', () => {
+  it('tolerates separators and letter/digit splits', () => {
+    for (const s of ['OB-1', 'ob.1', 'OB1', 'ob 1']) expect(s).toMatch(aliasRegex('ob-1'));
+    expect('PS 5').toMatch(aliasRegex('ps5'));
+    expect('DS-1W').not.toMatch(aliasRegex('ds-1'));
+  });
+});
+
+describe('strymon', () => {
+  it('needs the brand in the query', () => {
+    expect(target('strymon ob-1')).toEqual(['strymon:ob-1']);
+    expect(target('timeline of events')).toEqual([]);
+  });
+
+  it('rejects sibling pedals that do not mention the target', () => {
+    expect(fits('strymon ob-1', 'Strymon Timeline delay')).toBe(false);
+    expect(fits('strymon ob-1', 'Strymon OB.1 compressor')).toBe(true);
+    expect(fits('strymon ob-1', 'Strymon OB-1 with Timeline box')).toBe(true);
+    expect(fits('strymon ob-1', 'Compressor pedal')).toBe(true);
+    expect(fits('strymon bigsky', 'Strymon BigSky MX')).toBe(false);
+  });
+});
+
+describe('boss', () => {
+  it('keeps Waza and standard models apart', () => {
+    expect(fits('boss ds-1', 'Boss DS-1W Waza Craft')).toBe(false);
+    expect(fits('ds-1 distortion', 'BOSS DS-1 Distortion')).toBe(true);
+    expect(fits('boss metal zone', 'Boss MT-2 Metal Zone')).toBe(true);
+  });
+});
+
+describe('playstation', () => {
+  it('separates generations and Pro models', () => {
+    expect(fits('ps5', 'PS5 Pro 2TB')).toBe(false);
+    expect(fits('ps5 console', 'Sony PlayStation 5 Slim disc edition')).toBe(true);
+    expect(fits('playstation 4', 'PS5 controller')).toBe(false);
+  });
+});
+
+describe('xbox', () => {
+  it('separates Series S and Series X', () => {
+    expect(fits('xbox series x', 'Xbox Series S 512GB')).toBe(false);
+    expect(fits('xbox series x', 'Microsoft Xbox Series X 1TB')).toBe(true);
+  });
+});
+
+describe('nintendo', () => {
+  it('uses explicit siblings: a Switch search accepts the OLED but not the Lite', () => {
+    expect(fits('nintendo switch', 'Nintendo Switch OLED white')).toBe(true);
+    expect(fits('nintendo switch', 'Nintendo Switch Lite turquoise')).toBe(false);
+    expect(fits('switch lite', 'Nintendo Switch OLED')).toBe(false);
+  });
+});
+
+describe('iphone', () => {
+  it('tells Pro from Pro Max and Plus', () => {
+    expect(fits('iphone 15 pro', 'Apple iPhone 15 Pro Max 256GB')).toBe(false);
+    expect(fits('iphone 15 pro', 'iPhone 15 Pro 128GB unlocked')).toBe(true);
+    expect(fits('iphone 14', 'iPhone 14 Plus')).toBe(false);
+  });
+});
+
+describe('samsung-galaxy-s', () => {
+  it('handles "+" models and Ultra', () => {
+    expect(target('galaxy s24+')).toEqual(['samsung-galaxy-s:galaxy-s24-plus']);
+    expect(fits('galaxy s24+', 'Samsung Galaxy S24 Ultra')).toBe(false);
+    expect(fits('galaxy s24+', 'Samsung Galaxy S24+ 256GB')).toBe(true);
+    expect(fits('samsung s23', 'Galaxy S23 FE')).toBe(false);
+  });
+});
+
+describe('google-pixel', () => {
+  it('does not confuse the a-series', () => {
+    expect(fits('pixel 7', 'Google Pixel 7a')).toBe(false);
+    expect(fits('pixel 7a', 'Google Pixel 7a 128GB')).toBe(true);
+  });
+});
+
+describe('pokemon-rarities', () => {
+  it('requires the requested rarity', () => {
+    expect(fits('charizard sir', 'Charizard ex special illustration rare 199/165')).toBe(true);
+    expect(fits('charizard sir', 'Charizard ex SAR')).toBe(true);
+    expect(fits('charizard sir', 'Charizard ex ultra rare')).toBe(false);
+    expect(fits('charizard sir', 'Charizard ex')).toBe(false);
+    expect(fits('umbreon hyper rare', 'Umbreon gold rare')).toBe(true);
+  });
+
+  it('tells illustration rares from special illustration rares', () => {
+    expect(target('charizard sir')).toEqual(['pokemon-rarities:special-illustration-rare']);
+    expect(target('charizard illustration rare')).toEqual(['pokemon-rarities:illustration-rare']);
+    expect(fits('charizard sir', 'Charizard ex illustration rare 185/165')).toBe(false);
+    expect(fits('charizard illustration rare', 'Charizard ex IR 185/165')).toBe(true);
+    expect(fits('charizard illustration rare', 'Charizard ex special illustration rare 199/165')).toBe(false);
+  });
+});
+
+describe('yugioh-rarities', () => {
+  it('only applies to Yu-Gi-Oh queries', () => {
+    expect(target('blue eyes starlight')).toEqual([]);
+    expect(fits('yugioh blue eyes starlight rare', 'Blue-Eyes White Dragon Starlight Rare')).toBe(true);
+    expect(fits('yugioh blue eyes starlight rare', 'Blue-Eyes White Dragon Ultra Rare')).toBe(false);
+  });
+});
+
+describe('loading', () => {
+  let dir;
+  beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'hunta-kb-')); });
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('validates families', () => {
+    expect(validateFamily({ id: 'x', models: [{ id: 'a', aliases: ['a'], siblings: ['b'] }] }))
+      .toEqual(['model a lists unknown sibling b']);
+    expect(validateFamily({ id: 'x', match: 'fuzzy', models: [] })).toHaveLength(2);
+  });
+
+  it('loads JSON files from a directory and skips bad ones', async () => {
+    await writeFile(join(dir, 'widgets.json'), JSON.stringify({
+      category: 'widgets',
+      families: [
+        { id: 'acme', brands: ['acme'], models: [{ id: 'w1', aliases: ['w1'] }, { id: 'w2', aliases: ['w2'] }] },
+        { id: 'broken', models: [] },
+      ],
+    }));
+    await writeFile(join(dir, 'bad.json'), '{ not json');
+
+    const kb = await new ProductKnowledgeBase().load(dir);
+    expect(kb.ids()).toEqual(['acme']);
+    expect(kb.accepts('Acme W2', kb.targetsFor('acme w1'))).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+import { parseQuery, matchesPhrases, priceBounds, capBounds, withinBounds } from '../src/search/query.js';
+import { fxRates, setFxRates } from '../src/utils/fx.js';
+
+describe('parseQuery', () => {
+  it('splits words, phrases, exclusions and a max price', () => {
+    expect(parseQuery('strymon -"box only" max:250')).toMatchObject({
+      text: 'strymon',
+      terms: ['strymon'],
+      phrases: [],
+      exclude: ['box only'],
+      price: { min: null, max: 250, currency: null },
+    });
+  });
+
+  it('reads sources, price ranges and conditions', () => {
+    const q = parseQuery('"ob-1" strymon source:ebay,gumtree -source:facebook £50..£150 cond:used,good+');
+    expect(q).toMatchObject({
+      text: 'strymon ob-1',
+      phrases: ['ob-1'],
+      sources: ['ebay', 'gumtree'],
+      excludeSources: ['facebook'],
+      price: { min: 50, max: 150, currency: 'GBP' },
+      condition: ['used', 'good+'],
+    });
+  });
+
+  it.each([
+    ['..200', { min: null, max: 200 }],
+    ['50..', { min: 50, max: null }],
+    ['min:50 max:€80', { min: 50, max: 80, currency: 'EUR' }],
+    ['price:75', { min: 75, max: 75 }],
+  ])('price %s', (syntax, price) => {
+    expect(parseQuery(`pedal ${syntax}`).price).toMatchObject(price);
+  });
+
+  it('keeps hyphenated models, unknown keys and stray dashes as words', () => {
+    expect(parseQuery('ob-1 ob:1 - pedal').terms).toEqual(['ob-1', 'ob:1', 'pedal']);
+  });
+
+  it('rejects inverted ranges and operator-only queries', () => {
+    expect(() => parseQuery('pedal £200..£100')).toThrow(expect.objectContaining({ code: 'BAD_QUERY' }));
+    expect(() => parseQuery('max:abc')).toThrow(expect.objectContaining({ code: 'BAD_QUERY' }));
+    expect(() => parseQuery('source:ebay max:50', { requireText: true })).toThrow(/at least one word/);
+    expect(parseQuery('source:ebay').text).toBe('');
+  });
+});
+
+describe('query matching', () => {
+  const q = parseQuery('strymon "ob 1" -"box only" -faulty');
+
+  it('needs every phrase and no exclusion in title + description', () => {
+    expect(matchesPhrases({ title: 'Strymon OB-1 pedal' }, q)).toBe(true);
+    expect(matchesPhrases({ title: 'Strymon OB-1', description: 'BOX ONLY, no pedal' }, q)).toBe(false);
+    expect(matchesPhrases({ title: 'Strymon OB-1 faulty' }, q)).toBe(false);
+    expect(matchesPhrases({ title: 'Strymon Timeline' }, q)).toBe(false);
+    expect(matchesPhrases({ title: 'anything' }, parseQuery('plain words'))).toBe(true);
+  });
+
+  it('converts typed price bounds into the search currency', () => {
+    const saved = fxRates();
+    setFxRates({ EUR: 1.25 });
+    try {
+      expect(priceBounds(parseQuery('pedal max:€250'), 'GBP')).toEqual({ min: null, max: 200 });
+      expect(priceBounds(parseQuery('pedal ..250'), 'EUR')).toEqual({ min: null, max: 250 });
+      expect(priceBounds(parseQuery('pedal'), 'GBP')).toBeNull();
+    } finally {
+      setFxRates(saved);
+    }
+  });
+
+  it('caps bounds with a maximum from outside the query', () => {
+    expect(capBounds(null, 100)).toEqual({ min: null, max: 100 });
+    expect(capBounds({ min: 20, max: 150 }, 100)).toEqual({ min: 20, max: 100 });
+    expect(capBounds({ min: null, max: 80 }, 100)).toEqual({ min: null, max: 80 });
+    expect(capBounds({ min: 20, max: null }, null)).toEqual({ min: 20, max: null });
+  });
+
+  it('drops listings without a comparable price when bounded', () => {
+    const bounds = { min: 50, max: 100 };
+    expect(withinBounds({ priceAmount: 75 }, bounds)).toBe(true);
+    expect(withinBounds({ priceAmount: 120 }, bounds)).toBe(false);
+    expect(withinBounds({ priceAmount: null }, bounds)).toBe(false);
+    expect(withinBounds({ priceAmount: null }, null)).toBe(true);
+  });
+});
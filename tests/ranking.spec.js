@@ -0,0 +1,85 @@
+import { cosine, hashedEmbedding, embedAll, rank, rankSemantic, recencyScore, resolveRankingMode } from '../src/services/rankingService.js';
+
+describe('hashedEmbedding', () => {
+  it('is deterministic and unit length', () => {
+    const a = hashedEmbedding('Strymon OB-1 compressor');
+    expect(hashedEmbedding('Strymon OB-1 compressor')).toEqual(a);
+    expect(a).toHaveLength(512);
+    expect(Math.hypot(...a)).toBeCloseTo(1, 6);
+  });
+
+  it('scores shared wording above unrelated text', () => {
+    const q = hashedEmbedding('strymon ob-1 compressor');
+    const near = hashedEmbedding('Strymon OB.1 optical compressor pedal');
+    const far = hashedEmbedding('childrens bicycle with stabilisers');
+    expect(cosine(q, near)).toBeGreaterThan(cosine(q, far));
+  });
+
+  it('handles empty text', () => {
+    expect(hashedEmbedding('').every(v => v === 0)).toBe(true);
+  });
+});
+
+describe('embedAll', () => {
+  it('falls back to hashed vectors without an OpenAI key', async () => {
+    const out = await embedAll('strymon', [{ title: 'Strymon Timeline' }, { title: 'Boss DD-3' }]);
+    expect(out.provider).toBe('hashed');
+    expect(out.queryEmbedding).toEqual(hashedEmbedding('strymon'));
+    expect(out.embeddings).toHaveLength(2);
+  });
+});
+
+describe('rank', () => {
+  const items = [
+    { title: 'Bicycle bell', source: 'ebay', priceAmount: 10 },
+    { title: 'Strymon OB-1 compressor', source: 'ebay', priceAmount: 120 },
+  ];
+
+  it('orders by blended score and reports similarity', async () => {
+    const { provider, ranked } = await rankSemantic(items, {
+      query: 'strymon ob-1 compressor', keywords: ['strymon', 'ob-1'], medianPrice: 120,
+    });
+    expect(provider).toBe('hashed');
+    expect(ranked[0].title).toMatch(/Strymon/);
+    expect(ranked[0].similarity).toBeGreaterThan(ranked[1].similarity);
+    expect(ranked.every(r => !('embedding' in r))).toBe(true);
+  });
+
+  it('weights sources by the given table', () => {
+    const same = [{ title: 'x', source: 'a' }, { title: 'x', source: 'b' }];
+    const out = rank(same, { queryEmbedding: null, sourceWeights: { a: 0, b: 1 } });
+    expect(out[0].source).toBe('b');
+  });
+
+  it('breaks the score down per signal when explaining', () => {
+    const [top] = rank([{ title: 'Strymon OB-1', source: 'ebay', priceAmount: 100 }], {
+      queryEmbedding: null, medianPrice: 100, sourceWeights: { ebay: 0.8 }, keywords: ['strymon'], explain: true,
+    });
+    const { rankingMode, score, ...signals } = top.explain;
+    expect(rankingMode).toBe('semantic');
+    expect(signals.source).toMatchObject({ source: 'ebay', score: 0.8, contribution: 0.04 });
+    expect(signals.price).toMatchObject({ amount: 100, median: 100, score: 1 });
+    expect(Object.values(signals).reduce((n, s) => n + s.contribution, 0)).toBeCloseTo(score, 2);
+  });
+
+  it('returns an empty ranking for no items', async () => {
+    expect(await rankSemantic([], { query: 'x' })).toEqual({ provider: null, ranked: [] });
+  });
+});
+
+describe('resolveRankingMode', () => {
+  it('defaults to keyword and rejects unknown modes', () => {
+    expect(resolveRankingMode()).toBe('keyword');
+    expect(resolveRankingMode('Semantic')).toBe('semantic');
+    expect(() => resolveRankingMode('vibes')).toThrow(expect.objectContaining({ code: 'BAD_RANKING_MODE' }));
+  });
+});
+
+describe('recencyScore', () => {
+  it('steps down with age and is neutral when the date is unknown', () => {
+    const ago = (days) => new Date(Date.now() - days * 86400000).toISOString();
+    expect([0.5, 3, 20, 60, 400].map(d => recencyScore(ago(d)))).toEqual([1, 0.8, 0.6, 0.4, 0.2]);
+    expect(recencyScore(null)).toBe(0.5);
+    expect(recencyScore('last Tuesday')).toBe(0.5);
+  });
+});
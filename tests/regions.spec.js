@@ -0,0 +1,45 @@
+import { REGIONS, resolveRegion, regionProfile, domainFor } from '../src/search/regions.js';
+import { sourceRegistry } from '../src/services/sourceRegistry.js';
+
+describe('resolveRegion', () => {
+  it.each([
+    ['UK', 'gb'],
+    ['united  kingdom', 'gb'],
+    ['Ireland', 'ie'],
+    ['IE', 'ie'],
+    ['usa', 'us'],
+    ['Deutschland', 'de'],
+  ])('maps %p to %s', (location, code) => {
+    expect(resolveRegion(location).code).toBe(code);
+  });
+
+  it('returns null for places that are not regions', () => {
+    expect(resolveRegion('Manchester')).toBeNull();
+    expect(resolveRegion('')).toBeNull();
+  });
+});
+
+describe('regionProfile', () => {
+  it('falls back to the UK profile', () => {
+    expect(regionProfile('Manchester')).toBe(REGIONS.gb);
+    expect(regionProfile('IE')).toEqual(expect.objectContaining({ currency: 'EUR', google: { hl: 'en-IE', gl: 'ie' } }));
+  });
+});
+
+describe('domainFor', () => {
+  it('uses the region marketplace, else the UK one', () => {
+    expect(domainFor(REGIONS.ie, 'ebay')).toBe('ebay.ie');
+    expect(domainFor(REGIONS.fr, 'vinted')).toBe('vinted.fr');
+    expect(domainFor(REGIONS.ie, 'vinted')).toBe('vinted.co.uk');
+  });
+});
+
+describe('profiles', () => {
+  it('only default to adapters that exist and run in the region', () => {
+    for (const region of Object.values(REGIONS)) {
+      for (const id of region.sources || []) {
+        expect(sourceRegistry.get(id)?.regions).toContain(region.code);
+      }
+    }
+  });
+});
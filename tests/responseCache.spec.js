@@ -0,0 +1,149 @@
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { DiskCache, MemoryLRU, ResponseCache } from '../src/utils/responseCache.js';
+
+/** A load that resolves when the test says so, recording the signal it was given. */
+function deferredLoad() {
+  const calls = [];
+  const load = (signal) => new Promise((resolve, reject) => {
+    calls.push({ signal, resolve });
+    signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  return { load, calls };
+}
+
+describe('MemoryLRU', () => {
+  it('expires entries after their TTL', async () => {
+    const lru = new MemoryLRU();
+    await lru.set('fresh', 1, 60000);
+    await lru.set('stale', 2, -1);
+    expect(await lru.get('fresh')).toBe(1);
+    expect(await lru.get('stale')).toBeUndefined();
+    expect(lru.values()).toEqual([1]);
+  });
+
+  it('evicts the least recently used entry', async () => {
+    const lru = new MemoryLRU({ maxEntries: 2 });
+    await lru.set('a', 1, 60000);
+    await lru.set('b', 2, 60000);
+    await lru.get('a');
+    await lru.set('c', 3, 60000);
+    expect(await lru.get('b')).toBeUndefined();
+    expect(lru.values()).toEqual([1, 3]);
+    expect(lru.evictions).toBe(1);
+  });
+});
+
+describe('ResponseCache.wrap', () => {
+  it('loads on a miss and serves the copy until it expires', async () => {
+    const cache = new ResponseCache();
+    let loads = 0;
+    const load = async () => `page ${++loads}`;
+
+    expect(await cache.wrap('k', { source: 'ebay', ttlMs: 60000 }, load)).toBe('page 1');
+    expect(await cache.wrap('k', { source: 'ebay', ttlMs: 60000 }, load)).toBe('page 1');
+    expect(await cache.wrap('gone', { ttlMs: -1 }, load)).toBe('page 2'); // no TTL, not cached
+    expect(cache.stats()).toEqual(expect.objectContaining({ hits: 1, misses: 1, hitRate: 0.5, entries: 1 }));
+    expect(cache.stats().bySource.ebay).toEqual({ hits: 1, misses: 1 });
+  });
+
+  it('shares one load between identical concurrent requests', async () => {
+    const cache = new ResponseCache();
+    const { load, calls } = deferredLoad();
+    const a = cache.wrap('k', { ttlMs: 60000 }, load);
+    const b = cache.wrap('k', { ttlMs: 60000 }, load);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(calls).toHaveLength(1);
+    calls[0].resolve('page');
+    expect(await Promise.all([a, b])).toEqual(['page', 'page']);
+    expect(cache.stats()).toEqual(expect.objectContaining({ misses: 1, coalesced: 1 }));
+    expect(cache.inflight.size).toBe(0);
+  });
+
+  it('lets one caller give up without failing the others', async () => {
+    const cache = new ResponseCache();
+    const { load, calls } = deferredLoad();
+    const quitter = new AbortController();
+    const a = cache.wrap('k', { ttlMs: 60000, signal: quitter.signal }, load);
+    const b = cache.wrap('k', { ttlMs: 60000, signal: new AbortController().signal }, load);
+    await new Promise(resolve => setImmediate(resolve));
+
+    quitter.abort(new Error('deadline'));
+    await expect(a).rejects.toThrow('deadline');
+    expect(calls[0].signal.aborted).toBe(false);
+    calls[0].resolve('page');
+    expect(await b).toBe('page');
+  });
+
+  it('cancels the load once every caller has aborted', async () => {
+    const cache = new ResponseCache();
+    const { load, calls } = deferredLoad();
+    const one = new AbortController(), two = new AbortController();
+    const a = cache.wrap('k', { ttlMs: 60000, signal: one.signal }, load);
+    const b = cache.wrap('k', { ttlMs: 60000, signal: two.signal }, load);
+    await new Promise(resolve => setImmediate(resolve));
+
+    one.abort(new Error('first'));
+    await expect(a).rejects.toThrow('first');
+    two.abort(new Error('second'));
+    await expect(b).rejects.toThrow('second');
+    expect(calls[0].signal.aborted).toBe(true);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(cache.inflight.size).toBe(0);
+    expect(await cache.backend.get('k')).toBeUndefined();
+  });
+
+  it('passes the caller\'s signal straight through when disabled', async () => {
+    const cache = new ResponseCache({ enabled: false });
+    const signal = new AbortController().signal;
+    let seen = null;
+    await cache.wrap('k', { signal }, async (s) => { seen = s; return 'page'; });
+    expect(seen).toBe(signal);
+  });
+});
+
+describe('DiskCache', () => {
+  let dir;
+  beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'response-cache-')); });
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('round-trips entries through files and drops expired ones', async () => {
+    const disk = new DiskCache({ dir });
+    await disk.set('a', { html: '<p>a</p>' }, 60000);
+    await disk.set('b', 'b', -1);
+
+    expect(await new DiskCache({ dir }).get('a')).toEqual({ html: '<p>a</p>' });
+    expect(await disk.get('b')).toBeUndefined();
+    expect(await disk.get('missing')).toBeUndefined();
+  });
+
+  it('sweeps expired files, then the soonest to expire, down to maxEntries', async () => {
+    const disk = new DiskCache({ dir, maxEntries: 2, sweepEvery: 1000 });
+    await disk.ready;
+    await disk.sweeping; // the start-up sweep
+    await disk.set('expired', 0, -1000);
+    for (const [key, ttl] of [['short', 10000], ['long', 60000], ['longest', 120000]]) await disk.set(key, key, ttl);
+
+    expect(await disk.sweep()).toBe(2);
+    expect(await readdir(dir)).toHaveLength(2);
+    expect(await disk.get('short')).toBeUndefined();
+    expect(await disk.get('long')).toBe('long');
+    expect(await disk.get('longest')).toBe('longest');
+    expect(disk.evictions).toBe(1);
+    expect(disk.size).toBe(2);
+  });
+
+  it('sweeps by size too', async () => {
+    const disk = new DiskCache({ dir, maxBytes: 300, sweepEvery: 1000 });
+    await disk.ready;
+    await disk.sweeping; // the start-up sweep
+    for (let i = 0; i < 5; i++) await disk.set(`k${i}`, 'x'.repeat(100), 60000 + i * 1000);
+
+    await disk.sweep();
+    expect(await disk.get('k0')).toBeUndefined();
+    expect(await disk.get('k4')).toBe('x'.repeat(100));
+    expect((await readdir(dir)).length).toBeLessThan(5);
+  });
+});
@@ -0,0 +1,96 @@
+import { parseResultView, viewResults, DEFAULT_PAGE_SIZE } from '../src/search/results.js';
+import { SearchSessionStore } from '../src/services/searchSessionStore.js';
+
+const listings = [
+  { title: 'a', source: 'ebay', priceAmount: 120, postedAt: '2026-01-02T00:00:00Z', distanceMiles: 12 },
+  { title: 'b', source: 'gumtree', priceAmount: 80, postedAt: null, distanceMiles: 3.5 },
+  { title: 'c', source: 'ebay', priceAmount: null, postedAt: '2026-01-05T00:00:00Z', distanceMiles: null },
+  { title: 'd', source: 'vinted', priceAmount: 95, postedAt: '2026-01-01T00:00:00Z', distanceMiles: 40 },
+  { title: 'e', source: 'ebay', priceAmount: 80, postedAt: '2026-01-03T00:00:00Z', distanceMiles: 3.5 },
+];
+const titles = (page) => page.items.map(i => i.title).join('');
+
+describe('parseResultView', () => {
+  it('defaults to relevance and one default-sized page', () => {
+    expect(parseResultView()).toEqual({ sort: 'relevance', bounds: null, maxDistance: null, sources: null, limit: DEFAULT_PAGE_SIZE, cursor: null });
+  });
+
+  it('accepts query-string values', () => {
+    expect(parseResultView({ sort: 'PRICE_ASC', minPrice: '£50', maxPrice: '150', sources: 'eBay, gumtree', limit: '10' }))
+      .toMatchObject({ sort: 'price_asc', bounds: { min: 50, max: 150 }, sources: ['ebay', 'gumtree'], limit: 10 });
+  });
+
+  it.each([
+    [{ sort: 'cheapest' }, /Unknown sort/],
+    [{ minPrice: 'lots' }, /minPrice/],
+    [{ minPrice: 200, maxPrice: 100 }, /above maxPrice/],
+    [{ maxDistance: 0 }, /maxDistance/],
+    [{ limit: 0 }, /limit/],
+    [{ limit: 1000 }, /limit/],
+  ])('rejects %j', (params, message) => {
+    expect(() => parseResultView(params)).toThrow(expect.objectContaining({ code: 'BAD_VIEW', message: expect.stringMatching(message) }));
+  });
+});
+
+describe('viewResults', () => {
+  const view = (params) => parseResultView(params);
+
+  it('keeps relevance order by default', () => {
+    expect(titles(viewResults(listings, view()))).toBe('abcde');
+  });
+
+  it('sorts by price (unpriced last, ties in relevance order) and by newest', () => {
+    expect(titles(viewResults(listings, view({ sort: 'price_asc' })))).toBe('bedac');
+    expect(titles(viewResults(listings, view({ sort: 'price_desc' })))).toBe('adbec');
+    expect(titles(viewResults(listings, view({ sort: 'newest' })))).toBe('ceadb');
+  });
+
+  it('sorts by distance (unknown last) and filters by it', () => {
+    expect(titles(viewResults(listings, view({ sort: 'distance' })))).toBe('beadc');
+    expect(titles(viewResults(listings, view({ maxDistance: '20' })))).toBe('abe');
+  });
+
+  it('filters by price and source', () => {
+    expect(titles(viewResults(listings, view({ minPrice: 90 })))).toBe('ad');
+    expect(titles(viewResults(listings, view({ sources: ['ebay'], maxPrice: 100 })))).toBe('e');
+  });
+
+  it('pages with cursors until the set is exhausted', () => {
+    const first = viewResults(listings, view({ sort: 'price_asc', limit: 2 }), { searchId: 's1' });
+    expect(first).toMatchObject({ total: 5 });
+    const second = viewResults(listings, view({ sort: 'price_asc', limit: 2, cursor: first.nextCursor }), { searchId: 's1' });
+    const third = viewResults(listings, view({ sort: 'price_asc', limit: 2, cursor: second.nextCursor }), { searchId: 's1' });
+    expect([titles(first), titles(second), titles(third)]).toEqual(['be', 'da', 'c']);
+    expect(third.nextCursor).toBeNull();
+  });
+
+  it('rejects cursors from another view or search', () => {
+    const { nextCursor } = viewResults(listings, view({ limit: 2 }), { searchId: 's1' });
+    expect(() => viewResults(listings, view({ sort: 'newest', cursor: nextCursor }), { searchId: 's1' }))
+      .toThrow(expect.objectContaining({ code: 'BAD_VIEW' }));
+    expect(() => viewResults(listings, view({ cursor: nextCursor }), { searchId: 's2' }))
+      .toThrow(expect.objectContaining({ code: 'BAD_VIEW' }));
+    expect(() => viewResults(listings, view({ cursor: 'not-a-cursor' }), { searchId: 's1' }))
+      .toThrow(/Invalid cursor/);
+  });
+});
+
+describe('SearchSessionStore', () => {
+  it('stores a ranked set under a new searchId until it expires', async () => {
+    const store = new SearchSessionStore({ ttlMs: 50, maxEntries: 2 });
+    const s = await store.create({ listings, searchTerm: 'strymon' });
+    expect(s.searchId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(await store.get(s.searchId)).toMatchObject({ searchTerm: 'strymon', listings });
+    expect(await store.get('missing')).toBeNull();
+    await new Promise(r => setTimeout(r, 60));
+    expect(await store.get(s.searchId)).toBeNull();
+  });
+
+  it('evicts the oldest sessions past maxEntries', async () => {
+    const store = new SearchSessionStore({ ttlMs: 60000, maxEntries: 2 });
+    const [a, b, c] = [await store.create(), await store.create(), await store.create()];
+    expect(await store.get(a.searchId)).toBeNull();
+    expect(await store.get(b.searchId)).not.toBeNull();
+    expect(await store.get(c.searchId)).not.toBeNull();
+  });
+});
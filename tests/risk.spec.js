@@ -0,0 +1,80 @@
+import { scoreRisk, assessRisk, isHighRisk, offPlatformSignals, locationCountry, riskConfig } from '../src/search/risk.js';
+
+const cfg = riskConfig({});
+const codes = (risk) => risk.reasons.map(r => r.code);
+
+describe('offPlatformSignals', () => {
+  it.each([
+    ['WhatsApp me for quick sale', /WhatsApp/],
+    ['text me on 07700 900123', /phone/],
+    ['Bank transfer only, no PayPal', /bank transfer/],
+    ['paypal friends and family please', /friends & family/],
+    ['payment by gift card', /untraceable/],
+    ['email me at seller@example.com', /email|off-site/],
+    ['Courier only, no viewings', /viewing/],
+  ])('flags "%s"', (description, message) => {
+    expect(offPlatformSignals({ description }).join('; ')).toMatch(message);
+  });
+
+  it('leaves ordinary descriptions alone', () => {
+    expect(offPlatformSignals({ title: 'Strymon OB.1', description: 'Cash or bank transfer on collection. Can post.' })).toEqual([]);
+  });
+});
+
+describe('locationCountry', () => {
+  it.each([
+    ['from United Kingdom', 'gb'],
+    ['Belfast, Northern Ireland', 'gb'],
+    ['from Ireland', 'ie'],
+    ['from China', 'cn'],
+    ['Hong Kong', 'hk'],
+    ['Leeds', null],
+    ['', null],
+  ])('%s -> %s', (text, code) => expect(locationCountry(text)).toBe(code));
+});
+
+describe('scoreRisk', () => {
+  const valuable = { high_value_item: true, common_scam_target: true };
+
+  it('scores a clean listing as low risk with no reasons', () => {
+    expect(scoreRisk({ title: 'iPhone 13', priceAmount: 380, location: 'from United Kingdom' }, { medianPrice: 400, flags: valuable }, cfg))
+      .toEqual({ score: 0, level: 'low', reasons: [] });
+  });
+
+  it('flags prices far below the median only for high-value searches', () => {
+    const cheap = { title: 'iPhone 13', priceAmount: 120 };
+    const risk = scoreRisk(cheap, { medianPrice: 400, flags: valuable, currency: 'GBP' }, cfg);
+    expect(codes(risk)).toEqual(['price_far_below_median', 'scam_target']);
+    expect(risk.reasons[0].message).toBe('70% below the median GBP 400 for this search');
+    expect(codes(scoreRisk(cheap, { medianPrice: 400, flags: {} }, cfg))).toEqual([]);
+  });
+
+  it('adds up independent signals into a high score', () => {
+    const risk = scoreRisk({
+      title: 'iPhone 15 Pro sealed',
+      description: 'WhatsApp only, bank transfer only',
+      priceAmount: 150,
+      seller: { name: 'x', feedbackCount: 0, positivePercent: null },
+      imageReuse: { count: 4, stockPhoto: true },
+      location: 'from China',
+    }, { medianPrice: 800, flags: valuable, country: 'gb' }, cfg);
+    expect(codes(risk)).toEqual([
+      'price_far_below_median', 'off_platform_contact', 'new_seller', 'stock_photo', 'location_mismatch', 'scam_target',
+    ]);
+    expect(risk).toMatchObject({ score: 1, level: 'high' });
+    expect(isHighRisk({ risk }, cfg)).toBe(true);
+  });
+
+  it('notes low positive feedback for established sellers', () => {
+    const risk = scoreRisk({ seller: { feedbackCount: 300, positivePercent: 91.2 } }, {}, cfg);
+    expect(risk).toMatchObject({ score: 0.1, level: 'low', reasons: [{ code: 'low_feedback' }] });
+  });
+});
+
+describe('assessRisk', () => {
+  it('uses the set median and honours configured thresholds', () => {
+    const listings = [300, 320, 340, 90].map((priceAmount, i) => ({ title: `iPhone ${i}`, priceAmount }));
+    const out = assessRisk(listings, { flags: { high_value_item: true } }, riskConfig({ RISK_MEDIUM_THRESHOLD: '0.2' }));
+    expect(out.map(r => r.risk.level)).toEqual(['low', 'low', 'low', 'medium']);
+  });
+});
@@ -0,0 +1,152 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SavedSearchService, validateSavedSearch } from '../src/services/savedSearchService.js';
+
+const listing = (id, priceAmount = 100) => ({
+  title: `Strymon OB.1 #${id}`, link: `https://www.ebay.co.uk/itm/${id}`, priceAmount, price: `£${priceAmount}`, source: 'ebay',
+});
+
+describe('validateSavedSearch', () => {
+  it('requires a query with words besides operators', () => {
+    expect(validateSavedSearch({})).toBe('query is required');
+    expect(validateSavedSearch({ query: '  ' })).toBe('query is required');
+    expect(validateSavedSearch({ query: 'source:ebay' })).toMatch(/at least one word/);
+    expect(validateSavedSearch({ query: 'strymon ob-1' })).toBeNull();
+  });
+
+  it('checks sources, interval, pages and flags', () => {
+    expect(validateSavedSearch({ sources: 'ebay' }, { partial: true })).toMatch(/sources/);
+    expect(validateSavedSearch({ intervalMinutes: 5 }, { partial: true })).toMatch(/intervalMinutes/);
+    expect(validateSavedSearch({ maxPages: 9 }, { partial: true })).toMatch(/maxPages/);
+    expect(validateSavedSearch({ paused: 'false' }, { partial: true })).toBe('paused must be true or false');
+    expect(validateSavedSearch({ ukOnly: 1 }, { partial: true })).toBe('ukOnly must be true or false');
+    expect(validateSavedSearch({ paused: false, ukOnly: true }, { partial: true })).toBeNull();
+  });
+
+  it('won\'t let a PATCH clear the interval or page count', () => {
+    expect(validateSavedSearch({ intervalMinutes: null }, { partial: true })).toMatch(/intervalMinutes/);
+    expect(validateSavedSearch({ maxPages: null }, { partial: true })).toMatch(/maxPages/);
+    expect(validateSavedSearch({ query: 'strymon ob-1', intervalMinutes: null })).toBeNull(); // create: the default
+  });
+});
+
+describe('SavedSearchService', () => {
+  let dir, results, calls, service;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'saved-searches-'));
+    results = [];
+    calls = [];
+    service = new SavedSearchService({
+      file: join(dir, 'saved.json'),
+      search: async (...args) => {
+        calls.push(args);
+        if (results instanceof Error) throw results;
+        return results;
+      },
+    });
+  });
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('creates, updates and removes records, persisting them', async () => {
+    const rec = await service.create({ query: ' strymon ob-1 ', sources: ['ebay'], intervalMinutes: 30 });
+    expect(rec).toEqual(expect.objectContaining({
+      query: 'strymon ob-1', location: 'UK', sources: ['ebay'], maxPages: 1, intervalMinutes: 30, paused: false, seenCount: 0, runs: [],
+    }));
+
+    const updated = await service.update(rec.id, { paused: false, ukOnly: true, maxPages: '2' });
+    expect(updated).toEqual(expect.objectContaining({ paused: false, ukOnly: true, maxPages: 2 }));
+
+    const stored = JSON.parse(await readFile(join(dir, 'saved.json'), 'utf8'));
+    expect(stored.savedSearches).toHaveLength(1);
+    expect(stored.savedSearches[0].seenKeys).toEqual([]);
+
+    expect(await service.update('nope', { paused: true })).toBeNull();
+    expect(await service.remove(rec.id)).toBe(true);
+    expect(await service.list()).toEqual([]);
+    expect(await service.remove(rec.id)).toBe(false);
+  });
+
+  it('searches every result in the location\'s currency', async () => {
+    const uk = await service.create({ query: 'strymon ob-1' });
+    const ie = await service.create({ query: 'strymon ob-1', location: 'Ireland', maxPages: 2 });
+    await service.run(uk.id);
+    await service.run(ie.id);
+
+    expect(calls.map(([, location, currency, opts]) => [location, currency, opts.maxPages, opts.maxResults]))
+      .toEqual([['UK', 'GBP', 1, null], ['Ireland', 'EUR', 2, null]]);
+    expect(calls.every(([, , , opts]) => opts.enrich === false)).toBe(true);
+  });
+
+  it('seeds a baseline, then reports only listings not seen before', async () => {
+    const rec = await service.create({ query: 'strymon ob-1' });
+    results = [listing(1), listing(2)];
+    const first = await service.run(rec.id);
+    expect(first.newItems).toEqual([]);
+    expect(first.runs).toEqual([expect.objectContaining({ total: 2, baseline: true, newCount: 0 })]);
+
+    // same listing relisted at another URL keeps its title+price+host identity
+    results = [listing(2), { ...listing(1), link: 'https://www.ebay.co.uk/itm/1?hash=abc' }, listing(3, 90)];
+    const second = await service.run(rec.id);
+    expect(second.newItems.map(r => r.link)).toEqual(['https://www.ebay.co.uk/itm/3']);
+
+    const fresh = await service.newSinceLastSeen(rec.id);
+    expect(fresh.items.map(r => r.link)).toEqual(['https://www.ebay.co.uk/itm/3']);
+    expect(fresh.items[0].firstSeenAt).toEqual(expect.any(String));
+    await service.markSeen(rec.id, new Date(Date.now() + 1000).toISOString());
+    expect((await service.newSinceLastSeen(rec.id)).items).toEqual([]);
+  });
+
+  it('reports new listings once when a manual run overlaps the scheduled one', async () => {
+    const rec = await service.create({ query: 'strymon ob-1' });
+    results = [listing(1)];
+    await service.run(rec.id);
+    results = [listing(1), listing(2)];
+
+    const [manual] = await Promise.all([service.run(rec.id), service.tick(Date.now() + 24 * 3600000)]); // due by then
+    expect(calls).toHaveLength(2);
+    expect(manual.newItems.map(r => r.link)).toEqual(['https://www.ebay.co.uk/itm/2']);
+    expect(manual.runs).toHaveLength(2);
+    expect((await service.newSinceLastSeen(rec.id)).items).toHaveLength(1);
+  });
+
+  it('starts a new baseline when the hunt changes', async () => {
+    const rec = await service.create({ query: 'strymon ob-1' });
+    results = [listing(1)];
+    await service.run(rec.id);
+    const updated = await service.update(rec.id, { query: 'strymon deco' });
+    expect(updated).toEqual(expect.objectContaining({ seenCount: 0, runs: [] }));
+    expect((await service.run(rec.id)).runs[0].baseline).toBe(true);
+  });
+
+  it('records a failed search without losing the baseline', async () => {
+    const rec = await service.create({ query: 'strymon ob-1' });
+    results = [listing(1)];
+    await service.run(rec.id);
+    results = new Error('all sources down');
+    const out = await service.run(rec.id);
+    expect(out.lastError).toBe('all sources down');
+    expect(out.seenCount).toBeGreaterThan(0);
+    expect(out.runs).toHaveLength(1);
+  });
+
+  it('ticks through due, unpaused searches and schedules the next run', async () => {
+    const due = await service.create({ query: 'strymon ob-1', intervalMinutes: 60 });
+    await service.create({ query: 'strymon deco', paused: true });
+    const resumed = await service.create({ query: 'strymon timeline', paused: true });
+    await service.update(resumed.id, { paused: false });
+    results = [listing(1)];
+
+    const now = Date.now();
+    await service.tick(now);
+    expect(calls.map(([q]) => q).sort()).toEqual(['strymon ob-1', 'strymon timeline']);
+
+    const rec = await service.get(due.id);
+    expect(Date.parse(rec.nextRunAt) - Date.parse(rec.lastRunAt)).toBeGreaterThanOrEqual(60 * 60000);
+
+    calls = [];
+    await service.tick(now + 1000); // nothing due again yet
+    expect(calls).toEqual([]);
+  });
+});
@@ -1,11 +1,245 @@
-// Minimal smoke test; recommend adding nock fixtures for stability
-const request = require('node:http');
+import { searchService, uniqKey } from '../src/services/searchService.js';
+import { SearchBudget } from '../src/services/creditBudget.js';
+import { MemoryLRU, responseCache } from '../src/utils/responseCache.js';
+import { caseNamed } from './fixtures/scrapers/cases.js';
+import { replayScrapingBee, resetReplay } from './helpers/scrapingBeeReplay.js';
 
 describe('search integration', () => {
-  it('returns a basic response shape', async () => {
-    const { search } = require('../src/services/searchService');
-    const out = await search({ search_term: 'test', sources: [] });
-    expect(out).toHaveProperty('items');
-    expect(out).toHaveProperty('expansion');
+  afterEach(resetReplay);
+
+  it('merges, filters and ranks replayed eBay + Gumtree results', async () => {
+    replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    const events = [];
+    const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', {
+      sources: ['ebay', 'gumtree'],
+      onEvent: (type) => events.push(type),
+    });
+
+    expect(items.length).toBeGreaterThan(0);
+    expect(new Set(items.map(i => i.source))).toEqual(new Set(['ebay', 'gumtree']));
+    expect(new Set(items.map(uniqKey)).size).toBe(items.length);
+    expect(items.some(i => /manual/i.test(i.title))).toBe(false); // EXCLUDE_PATTERNS
+    for (let i = 1; i < items.length; i++) expect(items[i - 1].score).toBeGreaterThanOrEqual(items[i].score);
+    expect(events[0]).toBe('enhanced');
+    expect(events.filter(e => e === 'batch').length).toBeGreaterThan(0);
+  });
+
+  it('keeps only listings whose condition passes the condition filter', async () => {
+    replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    const all = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['ebay', 'gumtree'] });
+    replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    const good = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', {
+      sources: ['ebay', 'gumtree'],
+      condition: 'used,good+',
+    });
+
+    expect(good.length).toBeGreaterThan(0);
+    expect(good.length).toBeLessThan(all.length);
+    for (const i of good) expect(['good', 'very_good', 'like_new']).toContain(i.condition?.grade);
+    await expect(searchService.performSearch('x', 'UK', 'GBP', { condition: 'shiny' }))
+      .rejects.toMatchObject({ code: 'BAD_CONDITION' });
+  });
+
+  it('applies query syntax to sources, precision and prices', async () => {
+    replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    const items = await searchService.performSearch('strymon ob-1 -"with box" ..200', 'UK', 'GBP', {
+      sources: ['ebay', 'gumtree'],
+    });
+
+    expect(items.length).toBeGreaterThan(0);
+    for (const i of items) {
+      expect(i.title).not.toMatch(/with box/i);
+      expect(i.priceAmount).toBeLessThanOrEqual(200);
+    }
+    expect(searchService.getLastEnhancedQuery().query).toMatchObject({ text: 'strymon ob-1', exclude: ['with box'] });
+
+    const requested = replayScrapingBee([...caseNamed('gumtree').responses]);
+    await searchService.performSearch('strymon ob-1 source:gumtree', 'UK', 'GBP', { sources: ['ebay', 'gumtree'] });
+    expect(requested.every(u => /gumtree/.test(u))).toBe(true);
+  });
+
+  it('ranks semantically on request with local embeddings', async () => {
+    replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    const events = [];
+    const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', {
+      sources: ['ebay', 'gumtree'],
+      rankingMode: 'semantic',
+      onEvent: (type, data) => events.push([type, data]),
+    });
+
+    expect(items.length).toBeGreaterThan(0);
+    for (let i = 1; i < items.length; i++) expect(items[i - 1].score).toBeGreaterThanOrEqual(items[i].score);
+    for (const i of items) {
+      expect(typeof i.similarity).toBe('number');
+      expect(i).not.toHaveProperty('embedding');
+    }
+    expect(events.find(([t]) => t === 'ranked')[1]).toEqual({ rankingMode: 'semantic', provider: 'hashed' });
+    await expect(searchService.performSearch('x', 'UK', 'GBP', { rankingMode: 'vibes' }))
+      .rejects.toMatchObject({ code: 'BAD_RANKING_MODE' });
+  });
+
+  it('explains each score when asked', async () => {
+    replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    const items = await searchService.performSearch('strymon ob-1 ..500', 'UK', 'GBP', {
+      sources: ['ebay', 'gumtree'],
+      explain: true,
+    });
+
+    expect(items.length).toBeGreaterThan(0);
+    for (const i of items) {
+      const e = i.explain;
+      expect(e).toMatchObject({ rankingMode: 'keyword', precision: 'strict' });
+      expect(e.filters).toEqual(expect.arrayContaining(['dedupe', 'region', 'precision:strict', 'price']));
+      expect(e.match.queryTerms.map(t => t.term)).toEqual(['strymon', 'ob-1']);
+      const parts = ['match', 'price', 'recency', 'source', 'condition'].reduce((n, k) => n + e[k].contribution, 0);
+      expect(parts).toBeCloseTo(e.score, 2);
+      expect(i.score).toBeCloseTo(e.score, 1);
+    }
+
+    replayScrapingBee([...caseNamed('gumtree').responses]);
+    const plain = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['gumtree'] });
+    expect(plain.some(i => 'explain' in i)).toBe(false);
+  });
+
+  it('scores risk on every result and can hide high-risk ones', async () => {
+    replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['ebay', 'gumtree'] });
+    for (const i of items) expect(i.risk).toEqual(expect.objectContaining({ score: expect.any(Number), reasons: expect.any(Array) }));
+    const fresh = items.find(i => i.seller?.name === 'ob1_deals');
+    expect(fresh.risk.reasons.map(r => r.code)).toEqual(['new_seller', 'location_mismatch']);
+
+    process.env.RISK_HIGH_THRESHOLD = '0.3';
+    try {
+      replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+      const safe = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['ebay', 'gumtree'], hideHighRisk: true });
+      expect(safe.length).toBe(items.length - 1);
+      expect(safe.some(i => i.seller?.name === 'ob1_deals')).toBe(false);
+    } finally {
+      delete process.env.RISK_HIGH_THRESHOLD;
+    }
+  });
+
+  it('reports eBay sold comps without mixing them into the results', async () => {
+    const requested = replayScrapingBee([caseNamed('ebay sold').responses[0], ...caseNamed('ebay desktop').responses]);
+    let comps = null;
+    const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', {
+      sources: ['ebay'],
+      soldComps: true,
+      onEvent: (type, data) => { if (type === 'soldComps') comps = data.soldComps; },
+    });
+    expect(requested.filter(u => /LH_Sold=1/.test(u))).toHaveLength(1);
+    expect(items.length).toBeGreaterThan(0);
+    expect(items.some(i => 'soldAt' in i)).toBe(false);
+    expect(comps).toEqual(expect.objectContaining({ count: 3, median: 102.5, currency: 'GBP' }));
+    expect(comps.lastSales.map(s => s.soldAt)).toEqual([
+      '2025-03-14T00:00:00.000Z', '2025-03-02T00:00:00.000Z', '2025-02-20T00:00:00.000Z',
+    ]);
+  });
+
+  it('enriches the top results from their item pages before the final ranking', async () => {
+    const requested = replayScrapingBee([
+      { match: /^https:\/\/www\.ebay\.co\.uk\/itm\/204598765432/, file: 'ebay/item.html' },
+      ...caseNamed('ebay desktop').responses,
+    ]);
+    const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['ebay'], enrich: true, explain: true });
+    expect(requested.filter(u => /\/itm\//.test(u)).length).toBeGreaterThan(0);
+    const ob1 = items.find(i => /204598765432/.test(i.link));
+    expect(ob1).toEqual(expect.objectContaining({ enriched: true, collectionOnly: false }));
+    expect(ob1.description).toMatch(/great working order/);
+    expect(ob1.images.length).toBeGreaterThan(1);
+    expect(ob1.explain.match.queryTerms.find(t => t.term === 'strymon').description).toBe(true);
+  });
+
+  it('searches around a postcode and drops far-away collection-only listings', async () => {
+    const requested = replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', {
+      sources: ['ebay', 'gumtree'], near: 'bs1 4dj', radiusMiles: 10, explain: true,
+    });
+    expect(requested.filter(u => /ebay/.test(u)).every(u => /_stpos=BS1%204DJ&_sadis=10/.test(u))).toBe(true);
+    expect(requested.find(u => /gumtree/.test(u))).toMatch(/search_location=BS1%204DJ&distance=10/);
+
+    const listed = items.flatMap(i => [i, ...i.alternates]); // the Bristol ad is a cross-post of an eBay listing
+    const gumtree = listed.filter(i => i.source === 'gumtree');
+    expect(gumtree.map(i => i.location)).toEqual(['Bristol, Bristol']); // Hackney and Cardiff are out
+    expect(gumtree[0].distanceMiles).toBeLessThanOrEqual(10);
+    expect(listed.filter(i => i.source === 'ebay').length).toBeGreaterThan(0); // eBay posts
+    for (const i of listed) expect(i).toHaveProperty('distanceMiles');
+    expect(items[0].explain.filters).toContain('radius');
+
+    await expect(searchService.performSearch('x', 'UK', 'GBP', { near: 'Atlantis' }))
+      .rejects.toMatchObject({ code: 'BAD_LOCATION' });
+  });
+
+  it('searches the Irish sites for IE and keeps EUR listings', async () => {
+    const requested = replayScrapingBee(caseNamed('ebay ie').responses);
+    const items = await searchService.performSearch('strymon ob-1', 'IE', null, { sources: ['ebay', 'gumtree'] });
+
+    expect(requested.length).toBeGreaterThan(0);
+    expect(requested.every(u => /^https:\/\/www\.ebay\.ie\//.test(u))).toBe(true); // gumtree is UK-only
+    expect(items.map(i => i.money.currency)).toEqual(['EUR', 'EUR']); // the £ listing is dropped
+    expect(items[0]).toEqual(expect.objectContaining({ priceCurrency: 'EUR' }));
+
+    // no sources asked for: the IE profile's defaults
+    resetReplay();
+    const hosts = replayScrapingBee([]);
+    await searchService.performSearch('strymon ob-1', 'IE');
+    expect(new Set(hosts.map(u => new URL(u).hostname))).toEqual(new Set(['www.ebay.ie', 'www.facebook.com', 'www.depop.com', 'www.discogs.com']));
+    expect(hosts.find(u => /discogs/.test(u))).toMatch(/currency=EUR/);
+  });
+
+  it('answers at the deadline without the slow source, cancelling its fetch', async () => {
+    replayScrapingBee([
+      ...caseNamed('ebay desktop').responses,
+      ...caseNamed('gumtree').responses.map(r => ({ ...r, delayMs: 3000 })),
+    ]);
+    const budget = new SearchBudget();
+    let timedOut = null;
+    const started = Date.now();
+    const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', {
+      sources: ['ebay', 'gumtree'], deadlineMs: 500, budget,
+      onEvent: (type, data) => { if (type === 'timedOut') timedOut = data; },
+    });
+
+    expect(Date.now() - started).toBeLessThan(2500);
+    expect(items.length).toBeGreaterThan(0);
+    expect(new Set(items.map(i => i.source))).toEqual(new Set(['ebay']));
+    expect(timedOut).toEqual({ sources: ['gumtree'], deadlineMs: 500 });
+    expect(budget.summary().bySource.gumtree.credits).toBe(0); // cancelled calls are refunded
+
+    await expect(searchService.performSearch('x', 'UK', 'GBP', { deadlineMs: 'soon' }))
+      .rejects.toMatchObject({ code: 'BAD_DEADLINE' });
+  });
+
+  it('still serves cached pages once the budget is spent, skipping only the sources it would pay for', async () => {
+    const { enabled, backend } = responseCache;
+    Object.assign(responseCache, { enabled: true, backend: new MemoryLRU() });
+    try {
+      replayScrapingBee(caseNamed('gumtree').responses);
+      await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['gumtree'], soldComps: false });
+
+      replayScrapingBee([]); // nothing left to fetch: gumtree is cached, eBay isn't
+      const budget = new SearchBudget({ maxRequests: 0 });
+      expect(budget.exhausted).toBe(true);
+      const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', {
+        sources: ['ebay', 'gumtree'], soldComps: false, budget,
+      });
+
+      expect(items.length).toBeGreaterThan(0);
+      expect(new Set(items.map(i => i.source))).toEqual(new Set(['gumtree']));
+      const cost = budget.summary();
+      expect(cost).toEqual(expect.objectContaining({ credits: 0, requests: 0 }));
+      expect(cost.bySource.gumtree.skipped).toBe(0);
+      expect(cost.bySource.gumtree.cacheHits).toBeGreaterThan(0);
+      expect(cost.bySource.ebay.skipped).toBeGreaterThan(0); // one per expanded term
+      expect(cost.skippedJobs).toBe(cost.bySource.ebay.skipped);
+    } finally {
+      Object.assign(responseCache, { enabled, backend });
+    }
+  });
+
+  it('returns [] when no source answers', async () => {
+    replayScrapingBee([]);
+    const items = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['gumtree'] });
+    expect(items).toEqual([]);
   });
 });
@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import { get } from 'node:http';
+import nock from 'nock';
+import request from 'supertest';
+import { app } from '../server.js';
+import { searchService } from '../src/services/searchService.js';
+import { caseNamed } from './fixtures/scrapers/cases.js';
+import { replayScrapingBee, resetReplay } from './helpers/scrapingBeeReplay.js';
+
+/** Collect the raw SSE body, then split it into { event, data } in order (heartbeats dropped). */
+const sse = (res, done) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', (c) => { text += c; });
+  res.on('end', () => done(null, text));
+};
+const events = (text) => text.split('\n\n').filter(b => b.startsWith('event: ')).map((block) => {
+  const [, event] = block.match(/^event: (.+)$/m);
+  const [, data] = block.match(/^data: (.+)$/m);
+  return { event, data: JSON.parse(data) };
+});
+
+const stream = (query) => request(app).get('/search/stream').query(query).buffer(true).parse(sse);
+
+describe('GET /search/stream', () => {
+  beforeEach(() => { jest.spyOn(console, 'log').mockImplementation(() => {}); });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete searchService.performSearch; // back to the class method
+    resetReplay();
+  });
+
+  it('streams enhanced, then the batches, then done with the first page', async () => {
+    replayScrapingBee([...caseNamed('ebay desktop').responses, ...caseNamed('gumtree').responses]);
+    nock.enableNetConnect('127.0.0.1'); // supertest's own server
+    const res = await stream({ search_term: 'strymon ob-1', sources: 'ebay,gumtree', soldComps: 'false', limit: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    const order = events(res.body).map(e => e.event);
+    expect(order[0]).toBe('enhanced');
+    expect(order[order.length - 1]).toBe('done');
+    const batches = order.map((e, i) => (e === 'batch' ? i : -1)).filter(i => i >= 0);
+    expect(batches.length).toBeGreaterThan(0);
+    expect(Math.max(...batches)).toBeLessThan(order.indexOf('ranked'));
+
+    const done = events(res.body).pop().data;
+    expect(done.searchId).toEqual(expect.any(String));
+    expect(done.listings.length).toBeGreaterThan(0);
+    expect(done.listings.length).toBeLessThanOrEqual(5);
+    expect(done.total).toBeGreaterThanOrEqual(done.listings.length);
+  });
+
+  it('ends with an error event when the search fails', async () => {
+    searchService.performSearch = async () => { throw new Error('every source is down'); };
+    const res = await stream({ search_term: 'strymon ob-1' });
+
+    expect(res.status).toBe(200);
+    expect(events(res.body)).toEqual([{ event: 'error', data: { error: 'Search failed', message: 'every source is down' } }]);
+  });
+
+  it('refuses bad input before opening the stream', async () => {
+    const res = await request(app).get('/search/stream').query({ search_term: ' ' });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid search term' });
+  });
+
+  it('aborts the search when the client hangs up', async () => {
+    let searchSignal = null;
+    let aborted;
+    const stopped = new Promise((resolve) => { aborted = resolve; });
+    // still fetching until the signal fires, then returns what it has, like a real search
+    searchService.performSearch = (_term, _location, _currency, { signal }) => {
+      searchSignal = signal;
+      return new Promise((resolve) => {
+        signal.addEventListener('abort', () => { aborted(); resolve([]); }, { once: true });
+      });
+    };
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+      const req = get(`http://127.0.0.1:${server.address().port}/search/stream?search_term=strymon`);
+      req.on('error', () => {}); // we're the ones hanging up
+      await new Promise(resolve => req.once('response', resolve));
+      expect(searchSignal.aborted).toBe(false);
+      req.destroy();
+      await stopped;
+      expect(searchSignal.aborted).toBe(true);
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,10 @@
+// tests/setup.js — runs before each test file's imports
+process.env.SCRAPINGBEE_API_KEY = 'test-key';   // take the real parser paths, not the mocks
+delete process.env.OPENAI_API_KEY;               // deterministic fallback enhancement
+process.env.CACHE_ENABLED = 'false';             // every case hits its own fixtures
+process.env.CREDIT_USAGE_FILE = '';
+process.env.PRICE_HISTORY_FILE = '';
+process.env.IMAGE_ANALYSIS = 'false';            // no photo downloads; imageAnalysis.spec uses local files
+process.env.ENRICH_DETAILS = 'false';            // no item-page fetches unless a test asks (options.enrich)
+process.env.SOURCE_CIRCUIT_BREAKER = 'false';    // shared breaker: one test's failed fetches mustn't skip sources in the next
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
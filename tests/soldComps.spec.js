@@ -0,0 +1,61 @@
+import { soldComps, soldCompsConfig } from '../src/search/soldComps.js';
+import { scrapingService } from '../src/services/scrapingService.js';
+
+describe('parseSoldDate', () => {
+  const now = new Date('2025-03-20T12:00:00Z');
+
+  it.each([
+    ['Sold  14 Mar 2025', '2025-03-14T00:00:00.000Z'],
+    ['Sold Feb 20, 2025', '2025-02-20T00:00:00.000Z'],
+    ['Sold 3 January 2024', '2024-01-03T00:00:00.000Z'],
+    ['Sold 18 Mar', '2025-03-18T00:00:00.000Z'],
+    ['Sold 25 Dec', '2024-12-25T00:00:00.000Z'],
+  ])('reads "%s"', (text, iso) => {
+    expect(scrapingService.parseSoldDate(text, now)).toBe(iso);
+  });
+
+  it('returns null without a date', () => {
+    expect(scrapingService.parseSoldDate('Sold', now)).toBeNull();
+    expect(scrapingService.parseSoldDate('', now)).toBeNull();
+  });
+});
+
+describe('soldComps', () => {
+  const sale = (priceAmount, soldAt, title = 'Strymon OB.1') => ({
+    title, priceAmount, priceLabel: `£${priceAmount}`, soldAt, link: `https://www.ebay.co.uk/itm/${priceAmount}`,
+  });
+
+  it('summarises prices and lists the latest sales first', () => {
+    const comps = soldComps([
+      sale(95, '2025-03-14T00:00:00.000Z'),
+      sale(110, '2025-03-02T00:00:00.000Z'),
+      sale(102.5, '2025-02-20T00:00:00.000Z'),
+      sale(null, '2025-03-15T00:00:00.000Z'),
+    ], { currency: 'GBP', lastN: 2 });
+
+    expect(comps).toEqual(expect.objectContaining({
+      count: 3, median: 102.5, currency: 'GBP',
+      from: '2025-02-20T00:00:00.000Z', to: '2025-03-14T00:00:00.000Z',
+    }));
+    expect(comps.lastSales.map(s => s.priceAmount)).toEqual([95, 110]);
+    expect(comps.lastSales[0]).toEqual({
+      title: 'Strymon OB.1', price: '£95', priceAmount: 95, soldAt: '2025-03-14T00:00:00.000Z',
+      link: 'https://www.ebay.co.uk/itm/95', condition: null,
+    });
+  });
+
+  it('puts undated sales last', () => {
+    const comps = soldComps([sale(90, null), sale(100, '2025-01-01T00:00:00.000Z')], { lastN: 5 });
+    expect(comps.lastSales.map(s => s.priceAmount)).toEqual([100, 90]);
+    expect(comps.from).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('is empty without sales', () => {
+    expect(soldComps([], { currency: 'EUR' })).toEqual(expect.objectContaining({ count: 0, median: null, currency: 'EUR', lastSales: [] }));
+  });
+
+  it('is off unless SOLD_COMPS=true', () => {
+    expect(soldCompsConfig({}).enabled).toBe(false);
+    expect(soldCompsConfig({ SOLD_COMPS: 'true', SOLD_COMPS_LAST_N: '5' })).toEqual({ enabled: true, lastN: 5 });
+  });
+});
@@ -0,0 +1,180 @@
+import { readFileSync } from 'node:fs';
+import { SourceHealth, sourceHealth, healthKey } from '../src/services/sourceHealth.js';
+import { looksBlocked, scrapingService } from '../src/services/scrapingService.js';
+import { searchService } from '../src/services/searchService.js';
+import { SearchBudget } from '../src/services/creditBudget.js';
+import { FIXTURE_DIR, cases } from './fixtures/scrapers/cases.js';
+import { replayScrapingBee, resetReplay } from './helpers/scrapingBeeReplay.js';
+
+const fixture = (file) => readFileSync(new URL(file, FIXTURE_DIR), 'utf8');
+
+describe('looksBlocked', () => {
+  it('spots captcha and access-denied pages', () => {
+    expect(looksBlocked(fixture('ebay/captcha.html'))).toBe(true);
+    expect(looksBlocked('<html><body><h1>Access Denied</h1>You don\'t have permission.</body></html>')).toBe(true);
+    expect(looksBlocked('', 429)).toBe(true);
+    expect(looksBlocked('', '403')).toBe(true);
+  });
+
+  it('leaves real pages alone, reCAPTCHA scripts and all', () => {
+    for (const file of new Set(cases.flatMap(c => c.responses.map(r => r.file)))) {
+      expect([file, looksBlocked(fixture(file))]).toEqual([file, false]);
+    }
+    expect(looksBlocked('<html><script src="https://www.google.com/recaptcha/api.js"></script><body>Strymon OB.1 £120</body></html>')).toBe(false);
+    expect(looksBlocked(`<ul>${'<li>Access Denied (DVD) £3</li>'.repeat(200)}</ul>`)).toBe(false);
+    expect(looksBlocked('', 404)).toBe(false);
+  });
+});
+
+describe('SourceHealth', () => {
+  const clock = () => {
+    let t = Date.parse('2025-03-20T12:00:00Z');
+    return { now: () => t, tick: (ms) => { t += ms; } };
+  };
+
+  it('opens after consecutive failures, half-opens after the cool-down, closes on success', () => {
+    const { now, tick } = clock();
+    const h = new SourceHealth({ enabled: true, failures: 3, cooldownMs: 60000, now });
+    h.recordRequest('ebay', { ok: false });
+    h.recordRequest('ebay', { ok: true });
+    h.recordRequest('ebay', { ok: false });
+    h.recordRequest('ebay', { ok: false });
+    expect(h.allow('ebay')).toBe(true);
+    h.recordRequest('ebay', { ok: false, blocked: true });
+    expect(h.allow('ebay')).toBe(false);
+    expect(h.openUntil('ebay')).toBe('2025-03-20T12:01:00.000Z');
+    expect(h.allow('gumtree')).toBe(true);
+
+    tick(60000);
+    expect(h.state('ebay')).toBe('half_open');
+    h.recordRequest('ebay', { ok: true });
+    expect(h.state('ebay')).toBe('closed');
+  });
+
+  it('re-opens when the half-open trial fails', () => {
+    const { now, tick } = clock();
+    const h = new SourceHealth({ enabled: true, failures: 1, cooldownMs: 1000, now });
+    h.recordRequest('gumtree', { ok: false });
+    tick(1000);
+    expect(h.allow('gumtree')).toBe(true);
+    h.recordRequest('gumtree', { ok: false });
+    expect(h.allow('gumtree')).toBe(false);
+    expect(h.stats().sources.gumtree.opened).toBe(2);
+  });
+
+  it('lets a single trial through while half-open', () => {
+    const { now, tick } = clock();
+    const h = new SourceHealth({ enabled: true, failures: 1, cooldownMs: 1000, now });
+    h.recordRequest('ebay', { ok: false });
+    expect(h.claimTrial('ebay')).toBe(false); // open: nothing to claim
+    tick(1000);
+    expect(h.allow('ebay')).toBe(true);
+    expect(h.claimTrial('ebay')).toBe(true);
+    expect(h.allow('ebay')).toBe(false);
+    expect(h.claimTrial('ebay')).toBe(false);
+
+    h.endTrial('ebay'); // e.g. cancelled: the next fetch may try
+    expect(h.claimTrial('ebay')).toBe(true);
+    h.recordRequest('ebay', { ok: true });
+    expect(h.state('ebay')).toBe('closed');
+    expect(h.allow('ebay')).toBe(true);
+    expect(h.claimTrial('ebay')).toBe(false);
+  });
+
+  it('counts sold-comps and item-page fetches against their adapter', () => {
+    expect(healthKey('ebaySold')).toBe('ebay');
+    expect(healthKey('ebayDetail')).toBe('ebay');
+    const h = new SourceHealth({ enabled: true, failures: 2 });
+    h.recordRequest('ebaySold', { ok: false });
+    h.recordRequest('ebayDetail', { ok: false });
+    expect(h.allow('ebay')).toBe(false);
+  });
+
+  it('reports success rate, latency, empty searches and blocks', () => {
+    const h = new SourceHealth({ enabled: false, failures: 1 });
+    h.recordRequest('vinted', { ok: true, ms: 100 });
+    h.recordRequest('vinted', { ok: true, ms: 300 });
+    h.recordRequest('vinted', { ok: false, ms: 200, blocked: true, error: 'block page' });
+    h.recordRequest('vinted', { ok: false, error: 'timeout' });
+    h.recordSearch('vinted', { count: 12 });
+    h.recordSearch('vinted', { count: 0 });
+    const { circuit, sources } = h.stats();
+    expect(circuit.enabled).toBe(false);
+    expect(sources.vinted).toEqual(expect.objectContaining({
+      state: 'closed', // breaker off: stats only
+      successRate: 0.5,
+      avgLatencyMs: 200,
+      emptyRate: 0.5,
+      requests: 4,
+      failures: 2,
+      blocks: 1,
+      searches: 2,
+      empty: 1,
+      consecutiveFailures: 2,
+    }));
+    expect(sources.vinted.lastError).toEqual(expect.objectContaining({ blocked: false, message: 'timeout' }));
+  });
+});
+
+describe('circuit breaker in a search', () => {
+  const { failures, cooldownMs } = sourceHealth;
+  beforeEach(() => {
+    sourceHealth.reset();
+    sourceHealth.enabled = true;
+  });
+  afterEach(() => {
+    resetReplay();
+    sourceHealth.reset();
+    Object.assign(sourceHealth, { enabled: false, failures, cooldownMs });
+  });
+
+  it('stops on a block page, opens the circuit and then skips the source', async () => {
+    const blocked = [{ match: /ebay\.co\.uk/, file: 'ebay/captcha.html' }];
+    const requested = replayScrapingBee(blocked);
+    const budget = new SearchBudget();
+    const first = await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['ebay'], soldComps: false, budget });
+    expect(first).toEqual([]);
+    expect(requested.every(u => /_rss=1/.test(u))).toBe(true); // no desktop/mobile fetches after the block
+    expect(budget.summary().credits).toBeGreaterThan(0); // block pages are billed
+
+    for (let i = 0; i < 5 && sourceHealth.allow('ebay'); i++) {
+      await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['ebay'], soldComps: false });
+    }
+    const { sources } = sourceHealth.stats();
+    // blocked searches aren't counted as empty ones
+    expect(sources.ebay).toEqual(expect.objectContaining({ state: 'open', successRate: 0, failures: 3, blocks: 3, searches: 0 }));
+    expect(sources.ebay.openUntil).toEqual(expect.any(String));
+
+    resetReplay();
+    const after = replayScrapingBee(blocked);
+    await searchService.performSearch('strymon ob-1', 'UK', 'GBP', { sources: ['ebay'], soldComps: false });
+    expect(after).toEqual([]);
+  });
+
+  it('has scrapers rethrow an open circuit or a cancelled search instead of returning nothing', async () => {
+    replayScrapingBee([]);
+    sourceHealth.failures = 1;
+    sourceHealth.recordRequest('gumtree', { ok: false });
+    await expect(scrapingService.searchGumtree('strymon ob-1')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+    const hangUp = new AbortController();
+    hangUp.abort();
+    await expect(scrapingService.searchVinted('strymon ob-1', 'UK', 1, { signal: hangUp.signal })).rejects.toBeDefined();
+    expect(await scrapingService.searchVinted('strymon ob-1')).toEqual([]); // a missing page is still just empty
+  });
+
+  it('releases the half-open trial when the trial fetch is cancelled', async () => {
+    Object.assign(sourceHealth, { failures: 1, cooldownMs: 0 }); // half-open as soon as it opens
+    replayScrapingBee([{ match: /vinted/, file: 'ebay/captcha.html', delayMs: 200 }]);
+    sourceHealth.recordRequest('vinted', { ok: false });
+
+    const trial = new AbortController();
+    const pending = scrapingService.searchVinted('strymon ob-1', 'UK', 1, { signal: trial.signal });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(sourceHealth.state('vinted')).toBe('half_open');
+    expect(sourceHealth.allow('vinted')).toBe(false); // the trial is in flight
+    trial.abort();
+    await expect(pending).rejects.toBeDefined();
+    expect(sourceHealth.allow('vinted')).toBe(true);
+  });
+});
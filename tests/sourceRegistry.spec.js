@@ -0,0 +1,95 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SourceRegistry, sourceRegistry, validateAdapter } from '../src/services/sourceRegistry.js';
+
+const adapter = (over = {}) => ({
+  id: 'testSource',
+  displayName: 'Test Source',
+  regions: ['gb'],
+  defaultWeight: 0.5,
+  search: async () => [],
+  ...over,
+});
+
+const adapterFile = (fields) => `export default {
+  displayName: 'Test', regions: ['gb'], defaultWeight: 0.5, search: async () => [], ${fields}
+};
+`;
+
+describe('validateAdapter', () => {
+  it('accepts a complete adapter', () => {
+    expect(validateAdapter(adapter())).toEqual([]);
+    expect(validateAdapter(adapter({ searchSold: async () => [], fetchDetail: async () => ({}) }))).toEqual([]);
+  });
+
+  it('lists everything wrong with a malformed one', () => {
+    expect(validateAdapter(null)).toEqual(['adapter is not an object']);
+    expect(validateAdapter({ id: 'Bad-Id', regions: [], defaultWeight: 2 })).toEqual([
+      'id must be a camelCase string',
+      'displayName missing',
+      'regions must be a non-empty string[]',
+      'search must be a function',
+      'defaultWeight must be a number in 0..1',
+    ]);
+    expect(validateAdapter(adapter({ searchSold: 'yes', fetchDetail: {} }))).toEqual([
+      'searchSold must be a function when set',
+      'fetchDetail must be a function when set',
+    ]);
+  });
+});
+
+describe('SourceRegistry', () => {
+  const saved = process.env.ENABLE_TESTSOURCE;
+  let dir;
+  beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'sources-')); });
+  afterEach(async () => {
+    if (saved === undefined) delete process.env.ENABLE_TESTSOURCE;
+    else process.env.ENABLE_TESTSOURCE = saved;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('loads the shipped adapters', () => {
+    expect(sourceRegistry.ids()).toEqual(expect.arrayContaining(['ebay', 'gumtree', 'vinted', 'discogs']));
+    for (const id of sourceRegistry.ids()) expect([id, validateAdapter(sourceRegistry.get(id))]).toEqual([id, []]);
+    expect(sourceRegistry.get('EBAY').id).toBe('ebay');
+  });
+
+  it('loads a directory, skipping malformed and duplicate adapters', async () => {
+    await writeFile(join(dir, 'package.json'), '{ "type": "module" }');
+    await writeFile(join(dir, 'a.js'), adapterFile(`id: 'alpha'`));
+    await writeFile(join(dir, 'b.js'), adapterFile(`id: 'beta', regions: []`));
+    await writeFile(join(dir, 'c.js'), adapterFile(`id: 'alpha'`));
+    await writeFile(join(dir, 'notes.txt'), 'not an adapter');
+
+    const registry = await new SourceRegistry().load(dir);
+    expect(registry.ids()).toEqual(['alpha']);
+  });
+
+  it('throws on registering a malformed adapter', () => {
+    expect(() => new SourceRegistry().register(adapter({ search: null }), { file: 'x.js' }))
+      .toThrow('Invalid source adapter (x.js): search must be a function');
+  });
+
+  it('disables an adapter with ENABLE_<ID>=false', () => {
+    process.env.ENABLE_TESTSOURCE = 'false';
+    const registry = new SourceRegistry()
+      .register(adapter())
+      .register(adapter({ id: 'otherSource', regions: ['gb', 'ie'] }));
+
+    expect(registry.enabledMap()).toEqual({ testSource: false, otherSource: true });
+    expect(registry.active().map(a => a.id)).toEqual(['otherSource']);
+    expect(registry.get('testSource')).toEqual(expect.objectContaining({ enabled: false }));
+  });
+
+  it('narrows active adapters to the requested ids and the region', () => {
+    const registry = new SourceRegistry()
+      .register(adapter())
+      .register(adapter({ id: 'otherSource', regions: ['gb', 'ie'] }));
+
+    expect(registry.active({ requested: ['OTHERSOURCE'] }).map(a => a.id)).toEqual(['otherSource']);
+    expect(registry.active({ region: 'ie' }).map(a => a.id)).toEqual(['otherSource']);
+    expect(registry.weightOf('testSource')).toBe(0.5);
+    expect(registry.weightOf('nope')).toBe(0.6);
+  });
+});